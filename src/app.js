@@ -2,8 +2,6 @@ import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
-import path from 'path';
-import { fileURLToPath } from 'url';
 
 import { config, validateConfig } from './config/app.js';
 import { initializeChromaDB } from './config/database.js';
@@ -11,12 +9,14 @@ import { initializeAIClients } from './config/ai.js';
 import healthRoutes from './routes/health.js';
 import documentRoutes from './routes/documents.js';
 import ragRoutes from './routes/rag.js';
+import syncRoutes from './routes/sync.js';
+import { documentService } from './services/documentService.js';
+import { directorySyncService } from './services/directorySyncService.js';
+import { documentParser } from './utils/documentParser.js';
+import { loadBlobStorePlugins } from './utils/blobStore.js';
 import { errorHandler } from './middleware/errorHandler.js';
 import { mountSwagger } from './config/swagger.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
 const app = express();
 
 validateConfig();
@@ -29,8 +29,6 @@ app.use(cors({
 app.use(express.json({ limit: config.upload.maxFileSize }));
 app.use(express.urlencoded({ extended: true, limit: config.upload.maxFileSize }));
 
-app.use('/uploads', express.static(path.join(__dirname, '..', config.upload.uploadPath)));
-
 mountSwagger(app);
 
 app.get('/', (req, res) => {
@@ -45,6 +43,7 @@ app.get('/', (req, res) => {
 app.use('/api/v1/health', healthRoutes);
 app.use('/api/v1/documents', documentRoutes);
 app.use('/api/v1/rag', ragRoutes);
+app.use('/api/v1/sync', syncRoutes);
 
 app.use((req, res) => {
   res.status(404).json({ error: 'Route not found' });
@@ -58,11 +57,19 @@ const startServer = async () => {
     
     await initializeChromaDB();
     await initializeAIClients();
+    await documentParser.loadPlugins(config.upload.parserPlugins);
+    await loadBlobStorePlugins(config.upload.blobStorePlugins);
+    documentService.restorePendingJobs();
     
     app.listen(config.server.port, () => {
       console.log(`🚀 Server running on port ${config.server.port}`);
       console.log(`📖 Swagger docs: http://localhost:${config.server.port}/docs`);
     });
+
+    // The initial scan can take a while; it must not hold up serving requests
+    directorySyncService.start().catch(error => {
+      console.error('❌ Directory sync failed to start:', error.message);
+    });
   } catch (error) {
     console.error('❌ Failed to start server:', error.message);
     process.exit(1);
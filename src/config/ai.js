@@ -51,6 +51,5 @@ export const aiConfig = {
   },
   huggingface: {
     embeddingModel: 'sentence-transformers/all-MiniLM-L6-v2',
-    maxLength: 512,
   },
 };
@@ -1,5 +1,14 @@
 import 'dotenv/config';
 
+const maxFileSize = parseInt(process.env.MAX_FILE_SIZE) || 10485760;
+
+// `parseInt(value) || fallback` for settings where 0 is a valid value; unset, empty or
+// non-numeric values fall back
+const parseIntOr = (value, fallback) => {
+  const parsed = parseInt(value);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
 export const config = {
   server: {
     port: process.env.PORT || 3000,
@@ -12,6 +21,24 @@ export const config = {
     huggingfaceApiKey: process.env.HUGGINGFACE_API_KEY,
   },
 
+  embedding: {
+    // Metadata fields (e.g. title,tags) prepended to each chunk's text when it is embedded
+    metadataFields: (process.env.EMBED_METADATA_FIELDS || '').split(',').map(f => f.trim()).filter(Boolean),
+    // The embedding model's input window in tokens; all-MiniLM-L6-v2 reads at most 256
+    maxTokens: parseInt(process.env.EMBEDDING_MAX_TOKENS) || 256,
+    // vocab.txt or tokenizer.json of the model's WordPiece tokenizer; token counts are estimated without it
+    tokenizerPath: process.env.EMBEDDING_TOKENIZER_PATH || null,
+    tokenizerLowercase: process.env.EMBEDDING_TOKENIZER_LOWERCASE !== 'false',
+  },
+
+  chunking: {
+    // "characters" (default) or "tokens" for windows of the embedding model's tokens
+    mode: process.env.CHUNKING_MODE || 'characters',
+    // Tokens per chunk in token mode; never more than the embedding window allows
+    maxTokens: parseInt(process.env.CHUNK_MAX_TOKENS) || null,
+    overlapTokens: parseIntOr(process.env.CHUNK_OVERLAP_TOKENS, 32),
+  },
+
   chroma: {
     url: process.env.CHROMA_URL || null,
     host: process.env.CHROMA_HOST || 'localhost',
@@ -20,9 +47,25 @@ export const config = {
   },
 
   upload: {
-    maxFileSize: parseInt(process.env.MAX_FILE_SIZE) || 10485760,
+    maxFileSize,
     uploadPath: process.env.UPLOAD_PATH || './uploads',
-    allowedFileTypes: (process.env.ALLOWED_FILE_TYPES || 'pdf,docx,txt,html').split(','),
+    // Where original files are kept for download and reprocessing; "local" stores them under uploadPath
+    blobStore: process.env.BLOB_STORE || 'local',
+    blobStorePlugins: (process.env.BLOB_STORE_PLUGINS || '').split(',').map(p => p.trim()).filter(Boolean),
+    // Optional allowlist; when unset every file type with a registered parser is accepted
+    fileTypeAllowlist: process.env.ALLOWED_FILE_TYPES
+      ? process.env.ALLOWED_FILE_TYPES.split(',').map(type => type.trim().toLowerCase()).filter(Boolean)
+      : null,
+    // Derived from the parsers registered on DocumentParser
+    allowedFileTypes: [],
+    parserPlugins: (process.env.PARSER_PLUGINS || '').split(',').map(p => p.trim()).filter(Boolean),
+    maxBatchFiles: parseInt(process.env.MAX_BATCH_FILES) || 20,
+    // What to do when an upload's extracted text matches a stored document: skip, replace or keep
+    onDuplicate: process.env.ON_DUPLICATE || 'skip',
+    // Zip bomb limits for .zip uploads: files, total expanded bytes and archives-within-archives
+    maxArchiveEntries: parseInt(process.env.MAX_ARCHIVE_ENTRIES) || 500,
+    maxArchiveExpandedSize: parseInt(process.env.MAX_ARCHIVE_EXPANDED_SIZE) || maxFileSize * 10,
+    maxArchiveDepth: parseInt(process.env.MAX_ARCHIVE_DEPTH) || 2,
   },
 
   security: {
@@ -38,6 +81,36 @@ export const config = {
   retention: {
     days: parseInt(process.env.RETENTION_DAYS) || 7,
     cleanupIntervalMinutes: parseInt(process.env.CLEANUP_INTERVAL_MINUTES) || 60
+  },
+
+  jobs: {
+    concurrency: parseInt(process.env.INGESTION_CONCURRENCY) || 2,
+    storagePath: process.env.JOB_STORAGE_PATH || './data/jobs',
+    retentionHours: parseInt(process.env.JOB_RETENTION_HOURS) || 24
+  },
+
+  versions: {
+    storagePath: process.env.VERSION_STORAGE_PATH || './data/versions'
+  },
+
+  crawler: {
+    userAgent: process.env.CRAWLER_USER_AGENT || 'DKnowledgeEngineBot/1.0',
+    // ETag/Last-Modified and document ids of crawled pages, for conditional re-crawls
+    storagePath: process.env.CRAWL_STORAGE_PATH || './data/crawl',
+    maxPages: parseInt(process.env.CRAWL_MAX_PAGES) || 50,
+    maxDepth: parseInt(process.env.CRAWL_MAX_DEPTH) || 3,
+    timeoutMs: parseInt(process.env.CRAWL_TIMEOUT_MS) || 15000,
+    // Pause between requests; a larger robots.txt Crawl-delay (capped at 10s) takes precedence
+    delayMs: parseInt(process.env.CRAWL_DELAY_MS) || 0
+  },
+  sync: {
+    // Directory mirrored into the knowledge base; sync is off when unset
+    directory: process.env.SYNC_DIRECTORY || null,
+    // Manifest of synced files (path -> documentId, content hash) kept across restarts
+    manifestPath: process.env.SYNC_MANIFEST_PATH || './data/sync',
+    // Full rescans catch changes the file watcher misses; 0 disables them
+    intervalSeconds: parseIntOr(process.env.SYNC_INTERVAL_SECONDS, 300),
+    debounceMs: parseInt(process.env.SYNC_DEBOUNCE_MS) || 1000
   }
 };
 
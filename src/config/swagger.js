@@ -28,9 +28,33 @@ const buildOpenApiSpec = () => ({
           data: {
             type: 'object',
             properties: {
-              documentId: { type: 'string' },
+              jobId: { type: 'string' },
               status: { type: 'string' },
-              processingTime: { type: 'number' }
+              statusUrl: { type: 'string' }
+            }
+          }
+        }
+      },
+      JobStatus: {
+        type: 'object',
+        properties: {
+          success: { type: 'boolean' },
+          data: {
+            type: 'object',
+            properties: {
+              jobId: { type: 'string' },
+              status: { type: 'string', enum: ['queued', 'processing', 'completed', 'failed'] },
+              stage: { type: 'string', enum: ['queued', 'extracting', 'chunking', 'embedding', 'storing', 'completed', 'failed'] },
+              progress: {
+                type: 'object',
+                properties: {
+                  chunksEmbedded: { type: 'integer' },
+                  totalChunks: { type: 'integer' },
+                  percent: { type: 'integer' }
+                }
+              },
+              documentId: { type: 'string', nullable: true },
+              error: { type: 'string', nullable: true }
             }
           }
         }
@@ -42,7 +66,8 @@ const buildOpenApiSpec = () => ({
           query: { type: 'string' },
           maxResults: { type: 'integer', minimum: 1, maximum: 20 },
           includeMetadata: { type: 'boolean' },
-          documentId: { type: 'string' }
+          documentId: { type: 'string' },
+          threadId: { type: 'string', description: 'Restrict retrieval to one email conversation' }
         }
       },
       RAGResponse: {
@@ -54,6 +79,22 @@ const buildOpenApiSpec = () => ({
             properties: {
               query: { type: 'string' },
               answer: { type: 'string' },
+              sources: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    id: { type: 'string' },
+                    source: { type: 'string' },
+                    location: { type: 'string', nullable: true, description: 'e.g. "pages 4-5" or "Install > Linux"' },
+                    pageStart: { type: 'integer', description: 'PDF sources only' },
+                    pageEnd: { type: 'integer', description: 'PDF sources only' },
+                    link: { type: 'string', description: 'PDF sources only, e.g. handbook.pdf#page=4' },
+                    relevance: { type: 'number' },
+                    text: { type: 'string' }
+                  }
+                }
+              },
               confidence: { type: 'number' },
               processingTime: { type: 'number' }
             }
@@ -66,7 +107,7 @@ const buildOpenApiSpec = () => ({
     '/health': { get: { summary: 'Health check', responses: { 200: { description: 'Service healthy' } } } },
     '/documents/upload': {
       post: {
-        summary: 'Upload a document',
+        summary: 'Upload a document, a .zip whose supported files each become a document, or an .mbox whose messages do',
         requestBody: {
           required: true,
           content: {
@@ -77,24 +118,302 @@ const buildOpenApiSpec = () => ({
                   document: { type: 'string', format: 'binary' },
                   title: { type: 'string' },
                   description: { type: 'string' },
-                  tags: { type: 'string', description: 'Comma-separated or JSON array' }
+                  tags: { type: 'string', description: 'Comma-separated or JSON array' },
+                  onDuplicate: { type: 'string', enum: ['skip', 'replace', 'keep'], description: 'When the extracted text matches a stored document (default skip)' },
+                  chunkStrategy: { type: 'string', enum: ['recursive', 'paragraph', 'sentence', 'semantic', 'token'], description: 'semantic cuts prose where neighbouring sentences stop being similar (default recursive)' },
+                  chunkSize: { type: 'integer', description: 'Characters (100-8000), or tokens for the token strategy' },
+                  chunkOverlap: { type: 'integer', minimum: 0, description: 'Below half of chunkSize' }
                 },
                 required: ['document']
               }
             }
           }
         },
-        responses: { 201: { description: 'Uploaded' }, 400: { description: 'Bad request' } }
+        responses: {
+          202: { description: 'Accepted for background processing (for a zip: one job per file, plus skipped entries)', content: { 'application/json': { schema: { $ref: '#/components/schemas/UploadResponse' } } } },
+          400: { description: 'Bad request' },
+          413: { description: 'File too large, or archive over its entry count or expanded size limit' },
+          415: { description: 'File content does not match its extension, or is not text' }
+        }
+      }
+    },
+    '/documents/upload-batch': {
+      post: {
+        summary: 'Upload and process several documents (or a folder) in one request',
+        requestBody: {
+          required: true,
+          content: {
+            'multipart/form-data': {
+              schema: {
+                type: 'object',
+                properties: {
+                  documents: { type: 'array', items: { type: 'string', format: 'binary' } },
+                  title: { type: 'string', description: 'Shared by every file unless overridden' },
+                  description: { type: 'string' },
+                  tags: { type: 'string', description: 'Comma-separated or JSON array' },
+                  fileMetadata: { type: 'string', description: 'JSON array aligned with the files, or JSON object keyed by file name / relative path' },
+                  onDuplicate: { type: 'string', enum: ['skip', 'replace', 'keep'] },
+                  chunkStrategy: { type: 'string', enum: ['recursive', 'paragraph', 'sentence', 'semantic', 'token'] },
+                  chunkSize: { type: 'integer', description: 'Characters (100-8000), or tokens for the token strategy' },
+                  chunkOverlap: { type: 'integer', minimum: 0, description: 'Below half of chunkSize' }
+                },
+                required: ['documents']
+              }
+            }
+          }
+        },
+        responses: { 200: { description: 'Per-file results with a summary' }, 400: { description: 'Bad request' } }
       }
     },
-    '/documents': { get: { summary: 'Get documents (stats + pagination)', responses: { 200: { description: 'OK' } } } },
+    '/documents/ingest-url': {
+      post: {
+        summary: 'Fetch a web page, optionally following same-origin links or a sitemap, and ingest it',
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  url: { type: 'string', format: 'uri' },
+                  followLinks: { type: 'boolean', default: false },
+                  sitemap: { oneOf: [ { type: 'boolean' }, { type: 'string', format: 'uri' } ], description: 'true for the site\'s sitemap, or a sitemap URL' },
+                  maxDepth: { type: 'integer', minimum: 0, default: 1 },
+                  maxPages: { type: 'integer', minimum: 1, default: 10 },
+                  title: { type: 'string', description: 'Used when a page has no title' },
+                  description: { type: 'string' },
+                  tags: { type: 'array', items: { type: 'string' } },
+                  onDuplicate: { type: 'string', enum: ['skip', 'replace', 'keep'] },
+                  chunkStrategy: { type: 'string', enum: ['recursive', 'paragraph', 'sentence', 'semantic', 'token'] },
+                  chunkSize: { type: 'integer', description: 'Characters (100-8000), or tokens for the token strategy' },
+                  chunkOverlap: { type: 'integer', minimum: 0, description: 'Below half of chunkSize' }
+                },
+                required: ['url']
+              }
+            }
+          }
+        },
+        responses: {
+          202: { description: 'Accepted as a background crawl job; its result lists every page with a summary', content: { 'application/json': { schema: { $ref: '#/components/schemas/UploadResponse' } } } },
+          400: { description: 'Bad request' }
+        }
+      }
+    },
+    '/documents/jobs/{jobId}': {
+      get: {
+        summary: 'Get ingestion job status',
+        parameters: [ { in: 'path', name: 'jobId', required: true, schema: { type: 'string' } } ],
+        responses: { 200: { description: 'OK', content: { 'application/json': { schema: { $ref: '#/components/schemas/JobStatus' } } } }, 404: { description: 'Not found' } }
+      }
+    },
+    '/documents': {
+      get: {
+        summary: 'List documents (one entry per document) with filters, sorting and pagination',
+        parameters: [
+          { in: 'query', name: 'page', schema: { type: 'integer', minimum: 1, default: 1 } },
+          { in: 'query', name: 'limit', schema: { type: 'integer', minimum: 1, maximum: 100, default: 10 } },
+          { in: 'query', name: 'cursor', schema: { type: 'string' }, description: 'nextCursor from a previous page; replaces page and keeps that page\'s sort' },
+          { in: 'query', name: 'sortBy', schema: { type: 'string', enum: ['title', 'tags', 'fileType', 'chunkCount', 'size', 'uploadedBy', 'createdAt', 'expiresAt'], default: 'createdAt' } },
+          { in: 'query', name: 'order', schema: { type: 'string', enum: ['asc', 'desc'], default: 'desc' } },
+          { in: 'query', name: 'tag', schema: { type: 'string' } },
+          { in: 'query', name: 'fileType', schema: { type: 'string' }, description: 'Comma-separated list, e.g. pdf,docx' },
+          { in: 'query', name: 'uploadedBy', schema: { type: 'string' } },
+          { in: 'query', name: 'threadId', schema: { type: 'string' }, description: 'Email messages of one thread' },
+          { in: 'query', name: 'createdAfter', schema: { type: 'string', format: 'date-time' } },
+          { in: 'query', name: 'createdBefore', schema: { type: 'string', format: 'date-time' } }
+        ],
+        responses: { 200: { description: 'OK' }, 400: { description: 'Bad request' } }
+      },
+      delete: { summary: 'Reset all documents (clear collection)', responses: { 200: { description: 'All documents cleared' } } }
+    },
     '/documents/all': { get: { summary: 'Get all documents list', responses: { 200: { description: 'OK' } } } },
     '/documents/stats': { get: { summary: 'Get system stats', responses: { 200: { description: 'OK' } } } },
-    '/documents': { delete: { summary: 'Reset all documents (clear collection)', responses: { 200: { description: 'All documents cleared' } } } },
     '/documents/{documentId}': {
       get: { summary: 'Get document info', parameters: [ { in: 'path', name: 'documentId', required: true, schema: { type: 'string' } } ], responses: { 200: { description: 'OK' }, 404: { description: 'Not found' } } },
+      put: {
+        summary: 'Upload a new revision of a document under the same id',
+        parameters: [ { in: 'path', name: 'documentId', required: true, schema: { type: 'string' } } ],
+        requestBody: {
+          required: true,
+          content: {
+            'multipart/form-data': {
+              schema: {
+                type: 'object',
+                properties: {
+                  document: { type: 'string', format: 'binary' },
+                  title: { type: 'string' },
+                  description: { type: 'string' },
+                  tags: { type: 'string', description: 'Comma-separated or JSON array' },
+                  chunkStrategy: { type: 'string', enum: ['recursive', 'paragraph', 'sentence', 'semantic', 'token'] },
+                  chunkSize: { type: 'integer', description: 'Characters (100-8000), or tokens for the token strategy' },
+                  chunkOverlap: { type: 'integer', minimum: 0, description: 'Below half of chunkSize' }
+                },
+                required: ['document']
+              }
+            }
+          }
+        },
+        responses: { 202: { description: 'Accepted for background processing' }, 400: { description: 'Bad request' }, 404: { description: 'Not found' }, 415: { description: 'File content does not match its extension, or is not text' } }
+      },
+      patch: {
+        summary: 'Update metadata on every chunk of a document',
+        parameters: [ { in: 'path', name: 'documentId', required: true, schema: { type: 'string' } } ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  title: { type: 'string' },
+                  description: { type: 'string' },
+                  tags: { type: 'array', items: { type: 'string' } }
+                },
+                additionalProperties: { description: 'Custom fields: string, number, boolean or an array of them' }
+              }
+            }
+          }
+        },
+        responses: { 200: { description: 'Updated' }, 400: { description: 'Bad request' }, 404: { description: 'Not found' } }
+      },
       delete: { summary: 'Delete a document', parameters: [ { in: 'path', name: 'documentId', required: true, schema: { type: 'string' } } ], responses: { 200: { description: 'Deleted' } } }
     },
+    '/documents/{documentId}/file': {
+      get: {
+        summary: 'Download the original uploaded file',
+        parameters: [
+          { in: 'path', name: 'documentId', required: true, schema: { type: 'string' } },
+          { in: 'query', name: 'version', schema: { type: 'integer', minimum: 1 }, description: 'Defaults to the current version' }
+        ],
+        responses: { 200: { description: 'The file', content: { 'application/octet-stream': { schema: { type: 'string', format: 'binary' } } } }, 400: { description: 'Bad request' }, 404: { description: 'Not found' } }
+      }
+    },
+    '/documents/{documentId}/reprocess': {
+      post: {
+        summary: 'Re-run extraction, chunking and embedding from the stored original',
+        parameters: [ { in: 'path', name: 'documentId', required: true, schema: { type: 'string' } } ],
+        requestBody: {
+          required: false,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  chunkStrategy: { type: 'string', enum: ['recursive', 'paragraph', 'sentence', 'semantic', 'token'], description: 'Defaults to the settings of the current version' },
+                  chunkSize: { type: 'integer', description: 'Characters (100-8000), or tokens for the token strategy' },
+                  chunkOverlap: { type: 'integer', minimum: 0, description: 'Below half of chunkSize' }
+                }
+              }
+            }
+          }
+        },
+        responses: { 202: { description: 'Accepted for background processing' }, 400: { description: 'Bad request' }, 404: { description: 'Not found' }, 409: { description: 'Original file not stored' } }
+      }
+    },
+    '/documents/{documentId}/chunks': {
+      get: {
+        summary: 'Indexed chunks in order, with text, offsets and metadata',
+        parameters: [
+          { in: 'path', name: 'documentId', required: true, schema: { type: 'string' } },
+          { in: 'query', name: 'page', schema: { type: 'integer', minimum: 1, default: 1 } },
+          { in: 'query', name: 'limit', schema: { type: 'integer', minimum: 1, maximum: 100, default: 10 } }
+        ],
+        responses: { 200: { description: 'OK' }, 400: { description: 'Bad request' }, 404: { description: 'Not found' } }
+      }
+    },
+    '/documents/{documentId}/chunks/{chunkIndex}': {
+      put: {
+        summary: 'Replace a chunk\'s text and re-embed it; the extracted text is kept as originalText',
+        parameters: [
+          { in: 'path', name: 'documentId', required: true, schema: { type: 'string' } },
+          { in: 'path', name: 'chunkIndex', required: true, schema: { type: 'integer', minimum: 0 } }
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  text: { type: 'string', maxLength: 10000 },
+                  editedBy: { type: 'string' }
+                },
+                required: ['text']
+              }
+            }
+          }
+        },
+        responses: { 200: { description: 'Updated' }, 400: { description: 'Bad request' }, 404: { description: 'Not found' } }
+      },
+      patch: {
+        summary: 'Disable (exclude from retrieval) or re-enable a chunk',
+        parameters: [
+          { in: 'path', name: 'documentId', required: true, schema: { type: 'string' } },
+          { in: 'path', name: 'chunkIndex', required: true, schema: { type: 'integer', minimum: 0 } }
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  disabled: { type: 'boolean' },
+                  changedBy: { type: 'string' }
+                },
+                required: ['disabled']
+              }
+            }
+          }
+        },
+        responses: { 200: { description: 'Updated' }, 400: { description: 'Bad request' }, 404: { description: 'Not found' } }
+      },
+      delete: {
+        summary: 'Delete one chunk of a document',
+        parameters: [
+          { in: 'path', name: 'documentId', required: true, schema: { type: 'string' } },
+          { in: 'path', name: 'chunkIndex', required: true, schema: { type: 'integer', minimum: 0 } }
+        ],
+        responses: { 200: { description: 'Deleted' }, 400: { description: 'Bad request' }, 404: { description: 'Not found' } }
+      }
+    },
+    '/documents/{documentId}/text': {
+      get: {
+        summary: 'Extracted text rebuilt from the chunks without their overlap',
+        parameters: [
+          { in: 'path', name: 'documentId', required: true, schema: { type: 'string' } },
+          { in: 'query', name: 'page', schema: { type: 'integer', minimum: 1, default: 1 } },
+          { in: 'query', name: 'limit', schema: { type: 'integer', minimum: 1, maximum: 100, default: 10 }, description: 'Chunks per page' }
+        ],
+        responses: { 200: { description: 'OK' }, 400: { description: 'Bad request' }, 404: { description: 'Not found' } }
+      }
+    },
+    '/documents/{documentId}/versions': {
+      get: { summary: 'List document versions', parameters: [ { in: 'path', name: 'documentId', required: true, schema: { type: 'string' } } ], responses: { 200: { description: 'OK' }, 404: { description: 'Not found' } } }
+    },
+    '/documents/{documentId}/versions/diff': {
+      get: {
+        summary: 'Sections added, removed or changed between two versions',
+        parameters: [
+          { in: 'path', name: 'documentId', required: true, schema: { type: 'string' } },
+          { in: 'query', name: 'from', schema: { type: 'integer', minimum: 1 }, description: 'Defaults to the version before `to`' },
+          { in: 'query', name: 'to', schema: { type: 'integer', minimum: 1 }, description: 'Defaults to the latest version' }
+        ],
+        responses: { 200: { description: 'OK' }, 400: { description: 'Bad request' }, 404: { description: 'Not found' } }
+      }
+    },
+    '/sync/status': {
+      get: {
+        summary: 'Directory sync status: watched directory, tracked files, last scan and recent errors',
+        responses: { 200: { description: 'OK' } }
+      }
+    },
+    '/sync/scan': {
+      post: {
+        summary: 'Rescan the synced directory now',
+        responses: { 200: { description: 'Scan summary and status' }, 409: { description: 'Directory sync is not enabled' } }
+      }
+    },
     '/rag/query': {
       post: {
         summary: 'Query the RAG engine',
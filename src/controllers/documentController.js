@@ -1,37 +1,131 @@
 import { documentService } from '../services/documentService.js';
+// Registers the handler that runs crawl jobs
+import '../services/crawlService.js';
 import { logger } from '../utils/logger.js';
+import { decodeCursor } from '../utils/documentCatalog.js';
+import { isArchive, isMailbox, expandZip, expandMailbox } from '../utils/archive.js';
+
+const normalizeTags = (rawTags) => {
+  if (Array.isArray(rawTags)) {
+    return rawTags.map(tag => String(tag).trim()).filter(Boolean);
+  }
+  if (typeof rawTags === 'string') {
+    const trimmed = rawTags.trim();
+    if (trimmed.startsWith('[')) {
+      try {
+        const parsed = JSON.parse(trimmed);
+        return Array.isArray(parsed) ? parsed.map(t => String(t).trim()).filter(Boolean) : [];
+      } catch {
+        return trimmed.length ? trimmed.split(',').map(t => t.trim()).filter(Boolean) : [];
+      }
+    }
+    return trimmed.length ? trimmed.split(',').map(t => t.trim()).filter(Boolean) : [];
+  }
+  return [];
+};
+
+const buildUploadMetadata = (fields, originalName) => ({
+  title: fields.title,
+  description: fields.description,
+  tags: normalizeTags(fields.tags),
+  uploadedBy: fields.uploadedBy || 'anonymous',
+  uploadedAt: new Date().toISOString(),
+  originalName
+});
+
+// How an upload is ingested: its duplicate policy and chunking settings (validated into fields.chunking)
+const processingOptions = (fields) => ({
+  onDuplicate: fields.onDuplicate || undefined,
+  ...(fields.chunking && { chunking: fields.chunking })
+});
+
+// Each supported file in a zip, and each message in an mbox, becomes an upload of its own,
+// recording where it came from
+const expandArchiveUpload = async (buffer, archiveName, fields) => {
+  const { files, skipped } = isMailbox(archiveName) ? expandMailbox(buffer, archiveName) : await expandZip(buffer);
+
+  return {
+    items: files.map(file => ({
+      buffer: file.buffer,
+      originalName: file.originalName,
+      mimeType: null,
+      metadata: {
+        ...buildUploadMetadata(fields, file.originalName),
+        archiveName,
+        pathInArchive: file.pathInArchive,
+        ...(file.messageIndex && { messageIndex: file.messageIndex })
+      }
+    })),
+    skipped
+  };
+};
+
+const sendArchiveError = (res, error) => {
+  if (error.code === 'ARCHIVE_LIMIT_EXCEEDED') {
+    return res.status(413).json({
+      success: false,
+      error: 'Archive too large',
+      message: error.message
+    });
+  }
+
+  return res.status(400).json({
+    success: false,
+    error: 'Invalid archive',
+    message: error.message
+  });
+};
+
+const isArchiveError = (error) => error.code === 'ARCHIVE_LIMIT_EXCEEDED' || error.code === 'INVALID_ARCHIVE';
+
+const uploadArchive = async (req, res) => {
+  const archiveName = req.file.originalname;
+  const { items, skipped } = await expandArchiveUpload(req.file.buffer, archiveName, req.body);
+
+  logger.info('Archive upload expanded', { archiveName, fileCount: items.length, skippedCount: skipped.length });
+
+  if (items.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'No supported files in archive',
+      message: `${archiveName} contains no files that can be ingested`,
+      data: { skipped }
+    });
+  }
+
+  const jobs = items.map(item => {
+    const job = documentService.enqueueDocumentBuffer(item.buffer, item.originalName, item.metadata, item.mimeType, processingOptions(req.body));
+
+    return {
+      jobId: job.jobId,
+      originalName: item.originalName,
+      pathInArchive: item.metadata.pathInArchive,
+      status: job.status,
+      statusUrl: `${req.baseUrl}/jobs/${job.jobId}`
+    };
+  });
+
+  res.status(202).json({
+    success: true,
+    message: `Archive expanded into ${jobs.length} document(s)`,
+    data: {
+      archiveName,
+      jobs,
+      skipped
+    }
+  });
+};
 
 export const uploadDocument = async (req, res) => {
   try {
     const fileBuffer = req.file.buffer;
     const originalName = req.file.originalname;
 
-    const rawTags = req.body.tags;
-    let normalizedTags = [];
-    if (Array.isArray(rawTags)) {
-      normalizedTags = rawTags.map(tag => String(tag).trim()).filter(Boolean);
-    } else if (typeof rawTags === 'string') {
-      const trimmed = rawTags.trim();
-      if (trimmed.startsWith('[')) {
-        try {
-          const parsed = JSON.parse(trimmed);
-          normalizedTags = Array.isArray(parsed) ? parsed.map(t => String(t).trim()).filter(Boolean) : [];
-        } catch {
-          normalizedTags = trimmed.length ? trimmed.split(',').map(t => t.trim()).filter(Boolean) : [];
-        }
-      } else {
-        normalizedTags = trimmed.length ? trimmed.split(',').map(t => t.trim()).filter(Boolean) : [];
-      }
+    if (isArchive(originalName, req.file.mimetype) || isMailbox(originalName)) {
+      return await uploadArchive(req, res);
     }
 
-    const metadata = {
-      title: req.body.title,
-      description: req.body.description,
-      tags: normalizedTags,
-      uploadedBy: req.body.uploadedBy || 'anonymous',
-      uploadedAt: new Date().toISOString(),
-      originalName
-    };
+    const metadata = buildUploadMetadata(req.body, originalName);
 
     logger.info('Document upload request received', {
       originalName: req.file.originalname,
@@ -39,15 +133,24 @@ export const uploadDocument = async (req, res) => {
       metadata
     });
 
-    const result = await documentService.processDocumentBuffer(fileBuffer, originalName, metadata);
+    const job = documentService.enqueueDocumentBuffer(fileBuffer, originalName, metadata, req.file.mimetype, processingOptions(req.body));
+    const statusUrl = `${req.baseUrl}/jobs/${job.jobId}`;
 
-    res.status(201).json({
+    res.status(202).location(statusUrl).json({
       success: true,
-      message: 'Document uploaded and processed successfully',
-      data: result
+      message: 'Document accepted for processing',
+      data: {
+        jobId: job.jobId,
+        status: job.status,
+        statusUrl
+      }
     });
 
   } catch (error) {
+    if (isArchiveError(error)) {
+      return sendArchiveError(res, error);
+    }
+
     logger.error('Document upload failed', { 
       error: error.message, 
       file: req.file?.originalname 
@@ -61,23 +164,361 @@ export const uploadDocument = async (req, res) => {
   }
 };
 
+export const ingestUrl = async (req, res) => {
+  try {
+    const { url, followLinks = false, sitemap = false, maxDepth = 1, maxPages = 10, onDuplicate, chunking } = req.body;
+    logger.info('URL ingestion request received', { url, followLinks, sitemap, maxDepth, maxPages });
+
+    // Fetching and embedding up to maxPages pages runs as a background job, like an upload
+    const job = documentService.enqueueJob('crawl', {
+      url,
+      followLinks,
+      sitemap,
+      maxDepth,
+      maxPages,
+      // A page's own title takes precedence over `title`
+      metadata: buildUploadMetadata(req.body, null),
+      onDuplicate: onDuplicate || undefined,
+      chunking
+    }, { originalName: url });
+    const statusUrl = `${req.baseUrl}/jobs/${job.jobId}`;
+
+    res.status(202).location(statusUrl).json({
+      success: true,
+      message: 'URL accepted for crawling',
+      data: {
+        jobId: job.jobId,
+        status: job.status,
+        statusUrl
+      }
+    });
+
+  } catch (error) {
+    logger.error('URL ingestion failed', { 
+      error: error.message, 
+      url: req.body?.url 
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to ingest URL',
+      message: error.message
+    });
+  }
+};
+
+export const uploadDocumentRevision = async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    const originalName = req.file.originalname;
+
+    logger.info('Document revision request received', { documentId, originalName, size: req.file.size });
+
+    if (isArchive(originalName, req.file.mimetype) || isMailbox(originalName)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid revision',
+        message: 'A revision must be a single document, not an archive or mailbox'
+      });
+    }
+
+    if (!(await documentService.documentExists(documentId))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Document not found',
+        message: `Document with ID ${documentId} not found`
+      });
+    }
+
+    const metadata = buildUploadMetadata(req.body, originalName);
+    const job = documentService.enqueueDocumentBuffer(req.file.buffer, originalName, metadata, req.file.mimetype, {
+      documentId,
+      ...(req.body.chunking && { chunking: req.body.chunking })
+    });
+    const statusUrl = `${req.baseUrl}/jobs/${job.jobId}`;
+
+    res.status(202).location(statusUrl).json({
+      success: true,
+      message: 'Document revision accepted for processing',
+      data: {
+        jobId: job.jobId,
+        documentId,
+        status: job.status,
+        statusUrl
+      }
+    });
+
+  } catch (error) {
+    logger.error('Document revision failed', { 
+      error: error.message, 
+      documentId: req.params.documentId 
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to process document revision',
+      message: error.message
+    });
+  }
+};
+
+export const reprocessDocument = async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    const { chunking } = req.body;
+
+    logger.info('Document reprocess request', { documentId, chunking });
+
+    const job = await documentService.reprocessDocument(documentId, chunking);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Document not found',
+        message: `Document with ID ${documentId} not found`
+      });
+    }
+
+    const statusUrl = `${req.baseUrl}/jobs/${job.jobId}`;
+
+    res.status(202).location(statusUrl).json({
+      success: true,
+      message: 'Document accepted for reprocessing',
+      data: {
+        jobId: job.jobId,
+        documentId,
+        status: job.status,
+        statusUrl
+      }
+    });
+
+  } catch (error) {
+    if (error.code === 'ORIGINAL_NOT_STORED') {
+      return res.status(409).json({
+        success: false,
+        error: 'Original file not available',
+        message: `${error.message}; upload it again as a revision instead`
+      });
+    }
+
+    logger.error('Document reprocess failed', { 
+      error: error.message, 
+      documentId: req.params.documentId 
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reprocess document',
+      message: error.message
+    });
+  }
+};
+
+export const downloadDocumentFile = async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    const version = req.query.version !== undefined ? parseInt(req.query.version) : null;
+
+    if (version !== null && (isNaN(version) || version < 1)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid version',
+        message: 'version must be a positive integer'
+      });
+    }
+
+    logger.info('Document file download request', { documentId, version });
+
+    const file = await documentService.getOriginalFile(documentId, version);
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        error: 'File not found',
+        message: `No stored original for document ${documentId}${version ? ` version ${version}` : ''}`
+      });
+    }
+
+    const fileName = file.metadata.originalName || `${documentId}.${file.metadata.fileType || 'bin'}`;
+    // attachment() sets the content type from the file extension; prefer the type sent at upload
+    res.attachment(fileName);
+    if (file.metadata.mimeType) res.type(file.metadata.mimeType);
+    res.status(200).send(file.buffer);
+
+  } catch (error) {
+    logger.error('Document file download failed', { 
+      error: error.message, 
+      documentId: req.params.documentId 
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve document file',
+      message: error.message
+    });
+  }
+};
+
+export const uploadDocumentBatch = async (req, res) => {
+  try {
+    const files = req.files || [];
+    const rejected = req.rejectedFiles || [];
+    const fileMetadata = req.body.fileMetadata;
+
+    const items = [];
+    const archiveFailures = [];
+
+    for (const file of files) {
+      // Folder uploads send the relative path as the file name; index by it, store the base name
+      const relativePath = file.originalname;
+      const originalName = relativePath.split(/[\\/]/).pop();
+      const perFile = Array.isArray(fileMetadata)
+        ? fileMetadata[file.uploadIndex]
+        : fileMetadata?.[relativePath] || fileMetadata?.[originalName];
+
+      if (isArchive(originalName, file.mimetype) || isMailbox(originalName)) {
+        // A bad archive fails on its own, like any other file in the batch
+        try {
+          const expanded = await expandArchiveUpload(file.buffer, originalName, { ...req.body, ...perFile });
+          items.push(...expanded.items);
+          archiveFailures.push(...expanded.skipped.map(entry => ({
+            originalName: entry.pathInArchive.split('/').pop(),
+            archiveName: originalName,
+            pathInArchive: entry.pathInArchive,
+            error: entry.reason
+          })));
+        } catch (error) {
+          if (!isArchiveError(error)) throw error;
+          archiveFailures.push({ originalName, error: error.message });
+        }
+        continue;
+      }
+
+      items.push({
+        buffer: file.buffer,
+        originalName,
+        mimeType: file.mimetype,
+        metadata: {
+          ...buildUploadMetadata({ ...req.body, ...perFile }, originalName),
+          ...(relativePath !== originalName && { relativePath })
+        }
+      });
+    }
+
+    logger.info('Batch upload request received', {
+      fileCount: files.length,
+      rejectedCount: rejected.length
+    });
+
+    const processed = items.length > 0
+      ? await documentService.processMultipleDocuments(items, {}, processingOptions(req.body))
+      : [];
+
+    const results = [
+      ...processed,
+      ...rejected.map(file => ({ status: 'failed', originalName: file.originalName, error: file.error })),
+      ...archiveFailures.map(failure => ({ status: 'failed', ...failure }))
+    ];
+
+    res.status(200).json({
+      success: true,
+      data: {
+        results,
+        summary: {
+          total: results.length,
+          successful: results.filter(r => r.status !== 'failed').length,
+          failed: results.filter(r => r.status === 'failed').length
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Batch upload failed', { 
+      error: error.message, 
+      fileCount: req.files?.length 
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to process batch upload',
+      message: error.message
+    });
+  }
+};
+
+export const getJobStatus = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+
+    logger.debug('Job status request', { jobId });
+
+    const job = documentService.getProcessingStatus(jobId);
+
+    if (job.status === 'not_found') {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found',
+        message: `Job with ID ${jobId} not found`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        jobId: job.jobId,
+        status: job.status,
+        stage: job.stage,
+        progress: job.progress,
+        documentId: job.documentId,
+        error: job.error,
+        originalName: job.originalName,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        completedAt: job.completedAt,
+        result: job.result
+      }
+    });
+
+  } catch (error) {
+    logger.error('Job status retrieval failed', { 
+      error: error.message, 
+      jobId: req.params.jobId 
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve job status',
+      message: error.message
+    });
+  }
+};
+
 export const getDocuments = async (req, res) => {
   try {
-    const { page = 1, limit = 10 } = req.query;
+    // Express 5 query objects are read-only getters, so re-parse what the validators checked
+    const { page = 1, limit = 10, cursor, sortBy = 'createdAt', order = 'desc', tag, fileType, uploadedBy, threadId, createdAfter, createdBefore } = req.query;
+    const filters = Object.fromEntries(
+      Object.entries({ tag, fileType, uploadedBy, threadId, createdAfter, createdBefore }).filter(([, value]) => value)
+    );
     
-    logger.info('Document retrieval request', { page, limit });
+    logger.info('Document retrieval request', { page, limit, sortBy, order, filters, cursor: Boolean(cursor) });
 
-    const stats = await documentService.getSystemStats();
+    const { documents, pagination, sort } = await documentService.listDocuments({
+      filters,
+      page: parseInt(page),
+      limit: parseInt(limit),
+      cursor: cursor ? decodeCursor(cursor) : null,
+      sortBy,
+      order
+    });
     
     res.status(200).json({
       success: true,
       data: {
-        stats,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total: stats.vectorDatabase.totalDocuments
-        }
+        documents,
+        pagination,
+        sort,
+        filters
       }
     });
 
@@ -170,6 +611,309 @@ export const getDocumentInfo = async (req, res) => {
   }
 };
 
+export const getDocumentChunks = async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    const { page = 1, limit = 10 } = req.query;
+    
+    logger.info('Document chunks request', { documentId, page, limit });
+
+    const result = await documentService.getDocumentChunks(documentId, { page: parseInt(page), limit: parseInt(limit) });
+    
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Document not found',
+        message: `Document with ID ${documentId} not found`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    logger.error('Document chunks retrieval failed', { 
+      error: error.message, 
+      documentId: req.params.documentId 
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve document chunks',
+      message: error.message
+    });
+  }
+};
+
+export const getDocumentText = async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    const { page = 1, limit = 10 } = req.query;
+    
+    logger.info('Document text request', { documentId, page, limit });
+
+    const result = await documentService.getDocumentText(documentId, { page: parseInt(page), limit: parseInt(limit) });
+    
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Document not found',
+        message: `Document with ID ${documentId} not found`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    logger.error('Document text retrieval failed', { 
+      error: error.message, 
+      documentId: req.params.documentId 
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve document text',
+      message: error.message
+    });
+  }
+};
+
+export const getDocumentVersions = async (req, res) => {
+  try {
+    const { documentId } = req.params;
+
+    logger.info('Document versions request', { documentId });
+
+    const history = await documentService.getVersionHistory(documentId);
+
+    if (!history) {
+      return res.status(404).json({
+        success: false,
+        error: 'Document not found',
+        message: `Document with ID ${documentId} not found`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: history
+    });
+
+  } catch (error) {
+    logger.error('Document versions retrieval failed', { 
+      error: error.message, 
+      documentId: req.params.documentId 
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve document versions',
+      message: error.message
+    });
+  }
+};
+
+export const getDocumentVersionDiff = async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    const from = req.query.from !== undefined ? parseInt(req.query.from) : null;
+    const to = req.query.to !== undefined ? parseInt(req.query.to) : null;
+
+    if ([from, to].some(version => version !== null && (isNaN(version) || version < 1))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid version',
+        message: 'from and to must be positive version numbers'
+      });
+    }
+
+    logger.info('Document version diff request', { documentId, from, to });
+
+    const diff = documentService.getVersionDiff(documentId, from, to);
+
+    if (!diff) {
+      return res.status(404).json({
+        success: false,
+        error: 'Version not found',
+        message: `No recorded versions to compare for document ${documentId}`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: diff
+    });
+
+  } catch (error) {
+    logger.error('Document version diff failed', { 
+      error: error.message, 
+      documentId: req.params.documentId 
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to compare document versions',
+      message: error.message
+    });
+  }
+};
+
+export const updateDocumentMetadata = async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    const updates = Object.fromEntries(Object.entries(req.body).filter(([, value]) => value !== undefined));
+
+    logger.info('Document metadata update request', { documentId, fields: Object.keys(updates) });
+
+    const result = await documentService.updateDocumentMetadata(documentId, updates);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Document not found',
+        message: `Document with ID ${documentId} not found`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Document metadata updated successfully',
+      data: result
+    });
+
+  } catch (error) {
+    logger.error('Document metadata update failed', { 
+      error: error.message, 
+      documentId: req.params.documentId 
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update document metadata',
+      message: error.message
+    });
+  }
+};
+
+export const editChunk = async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    const chunkIndex = parseInt(req.params.chunkIndex);
+
+    logger.info('Chunk edit request', { documentId, chunkIndex });
+
+    const result = await documentService.editChunk(documentId, chunkIndex, { text: req.body.text, editedBy: req.body.editedBy });
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Chunk not found',
+        message: `Chunk ${chunkIndex} of document ${documentId} not found`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Chunk updated and re-embedded',
+      data: result
+    });
+
+  } catch (error) {
+    logger.error('Chunk edit failed', { 
+      error: error.message, 
+      documentId: req.params.documentId,
+      chunkIndex: req.params.chunkIndex
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update chunk',
+      message: error.message
+    });
+  }
+};
+
+export const setChunkState = async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    const chunkIndex = parseInt(req.params.chunkIndex);
+
+    logger.info('Chunk state request', { documentId, chunkIndex });
+
+    const result = await documentService.setChunkDisabled(documentId, chunkIndex, req.body.disabled, req.body.changedBy);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Chunk not found',
+        message: `Chunk ${chunkIndex} of document ${documentId} not found`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: result.disabled ? 'Chunk disabled' : 'Chunk enabled',
+      data: result
+    });
+
+  } catch (error) {
+    logger.error('Chunk state change failed', { 
+      error: error.message, 
+      documentId: req.params.documentId,
+      chunkIndex: req.params.chunkIndex
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to change chunk state',
+      message: error.message
+    });
+  }
+};
+
+export const deleteChunk = async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    const chunkIndex = parseInt(req.params.chunkIndex);
+
+    logger.info('Chunk deletion request', { documentId, chunkIndex });
+
+    const result = await documentService.deleteChunk(documentId, chunkIndex);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Chunk not found',
+        message: `Chunk ${chunkIndex} of document ${documentId} not found`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Chunk deleted successfully',
+      data: result
+    });
+
+  } catch (error) {
+    logger.error('Chunk deletion failed', { 
+      error: error.message, 
+      documentId: req.params.documentId,
+      chunkIndex: req.params.chunkIndex
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete chunk',
+      message: error.message
+    });
+  }
+};
+
 export const deleteDocument = async (req, res) => {
   try {
     const { documentId } = req.params;
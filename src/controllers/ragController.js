@@ -3,7 +3,7 @@ import { logger } from '../utils/logger.js';
 
 export const queryRAG = async (req, res) => {
   try {
-    const { query, maxResults = 5, includeMetadata = false } = req.body;
+    const { query, maxResults = 5, includeMetadata = false, documentId, threadId } = req.body;
     
     logger.info('RAG query request received', { 
       query: query?.substring(0, 100), 
@@ -11,7 +11,7 @@ export const queryRAG = async (req, res) => {
       includeMetadata 
     });
 
-    const result = await ragService.processQuery(query, maxResults, includeMetadata);
+    const result = await ragService.processQuery(query, maxResults, includeMetadata, { documentId, threadId });
     
     res.status(200).json({
       success: true,
@@ -0,0 +1,49 @@
+import { directorySyncService } from '../services/directorySyncService.js';
+import { logger } from '../utils/logger.js';
+
+export const getSyncStatus = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: directorySyncService.getStatus()
+    });
+  } catch (error) {
+    logger.error('Failed to get sync status', { error: error.message });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get sync status',
+      message: error.message
+    });
+  }
+};
+
+export const triggerSyncScan = async (req, res) => {
+  try {
+    if (!directorySyncService.enabled) {
+      return res.status(409).json({
+        success: false,
+        error: 'Directory sync is not enabled',
+        message: 'Set SYNC_DIRECTORY to a directory to sync'
+      });
+    }
+
+    const scan = await directorySyncService.scan();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        scan,
+        status: directorySyncService.getStatus()
+      }
+    });
+  } catch (error) {
+    logger.error('Directory sync scan failed', { error: error.message });
+
+    res.status(500).json({
+      success: false,
+      error: 'Directory sync scan failed',
+      message: error.message
+    });
+  }
+};
@@ -2,6 +2,9 @@ import multer from 'multer';
 import path from 'path';
 import fs from 'fs';
 import { config } from '../config/app.js';
+import { documentParser } from '../utils/documentParser.js';
+import { isArchive } from '../utils/archive.js';
+import { inspectFileContent } from '../utils/fileContent.js';
 import { logger } from '../utils/logger.js';
 
 const storage = multer.memoryStorage();
@@ -10,10 +13,11 @@ const fileFilter = (req, file, cb) => {
   const allowedTypes = config.upload.allowedFileTypes;
   const fileExtension = path.extname(file.originalname).toLowerCase().substring(1);
 
-  if (allowedTypes.includes(fileExtension)) {
+  // Zip uploads are expanded into one document per supported file
+  if (documentParser.resolveFileType(file.originalname, file.mimetype) || isArchive(file.originalname, file.mimetype)) {
     cb(null, true);
   } else {
-    const error = new Error(`File type ${fileExtension} is not allowed. Allowed types: ${allowedTypes.join(', ')}`);
+    const error = new Error(`File type ${fileExtension || file.mimetype} is not allowed. Allowed types: ${allowedTypes.join(', ')}`);
     error.code = 'INVALID_FILE_TYPE';
     cb(error, false);
   }
@@ -30,6 +34,32 @@ export const uploadMiddleware = multer({
   limits
 }).single('document');
 
+// Batch uploads keep going when one file has an unsupported type; rejected files are
+// collected on req.rejectedFiles and reported back alongside the processed ones
+const batchFileFilter = (req, file, cb) => {
+  req.rejectedFiles = req.rejectedFiles || [];
+  req.uploadCount = (req.uploadCount || 0) + 1;
+  file.uploadIndex = req.uploadCount - 1;
+
+  fileFilter(req, file, (error, accepted) => {
+    if (error) {
+      req.rejectedFiles.push({ originalName: file.originalname, uploadIndex: file.uploadIndex, error: error.message });
+      return cb(null, false);
+    }
+    cb(null, accepted);
+  });
+};
+
+export const uploadBatchMiddleware = multer({
+  storage,
+  fileFilter: batchFileFilter,
+  preservePath: true,
+  limits: {
+    fileSize: config.upload.maxFileSize,
+    files: config.upload.maxBatchFiles
+  }
+}).array('documents', config.upload.maxBatchFiles);
+
 export const handleUploadError = (error, req, res, next) => {
   if (error instanceof multer.MulterError) {
     if (error.code === 'LIMIT_FILE_SIZE') {
@@ -39,10 +69,10 @@ export const handleUploadError = (error, req, res, next) => {
       });
     }
 
-    if (error.code === 'LIMIT_FILE_COUNT') {
+    if (error.code === 'LIMIT_FILE_COUNT' || error.code === 'LIMIT_UNEXPECTED_FILE') {
       return res.status(400).json({
         error: 'Too many files',
-        message: 'Only one file can be uploaded at a time'
+        message: `Upload one file with "document", or up to ${config.upload.maxBatchFiles} files with "documents" on the batch endpoint`
       });
     }
 
@@ -66,6 +96,21 @@ export const handleUploadError = (error, req, res, next) => {
   });
 };
 
+// The file filter only sees names and declared types; once the bytes are in, check that they
+// are what the extension claims. Returns the reason a file is rejected, or null. Archives are
+// checked entry by entry when they are expanded.
+const checkFileContent = (file) => {
+  if (isArchive(file.originalname, file.mimetype)) return null;
+
+  try {
+    inspectFileContent(file.buffer, documentParser.resolveFileType(file.originalname, file.mimetype));
+    return null;
+  } catch (error) {
+    if (error.code !== 'UNSUPPORTED_CONTENT') throw error;
+    return error.message;
+  }
+};
+
 export const validateUploadedFile = (req, res, next) => {
   if (!req.file) {
     return res.status(400).json({
@@ -80,5 +125,44 @@ export const validateUploadedFile = (req, res, next) => {
     mimetype: req.file.mimetype
   });
 
+  const contentError = checkFileContent(req.file);
+  if (contentError) {
+    logger.warn('Upload rejected by content check', { originalName: req.file.originalname, reason: contentError });
+    return res.status(415).json({
+      error: 'Unsupported media type',
+      message: contentError
+    });
+  }
+
+  next();
+};
+
+export const validateUploadedFiles = (req, res, next) => {
+  const rejected = req.rejectedFiles || [];
+
+  // Like unsupported types, files whose content fails the check are reported, not fatal
+  const files = (req.files || []).filter(file => {
+    const contentError = checkFileContent(file);
+    if (contentError) {
+      rejected.push({ originalName: file.originalname, uploadIndex: file.uploadIndex, error: contentError });
+    }
+    return !contentError;
+  });
+  req.files = files;
+  req.rejectedFiles = rejected;
+
+  if (files.length === 0 && rejected.length === 0) {
+    return res.status(400).json({
+      error: 'No files uploaded',
+      message: 'Please select one or more files to upload'
+    });
+  }
+
+  logger.info('Batch upload received', {
+    fileCount: files.length,
+    rejectedCount: rejected.length,
+    totalSize: files.reduce((sum, file) => sum + file.size, 0)
+  });
+
   next();
 };
@@ -1,7 +1,10 @@
 import { logger } from '../utils/logger.js';
+import { CATALOG_SORT_FIELDS, decodeCursor } from '../utils/documentCatalog.js';
+import { config } from '../config/app.js';
+import { MAX_CHUNK_TOKENS } from '../utils/textChunker.js';
 
 export const validateRAGQuery = (req, res, next) => {
-  const { query, maxResults = 5, documentId } = req.body;
+  const { query, maxResults = 5, documentId, threadId } = req.body;
   
   if (!query || typeof query !== 'string') {
     return res.status(400).json({
@@ -37,95 +40,385 @@ export const validateRAGQuery = (req, res, next) => {
       message: 'documentId must be a string'
     });
   }
+
+  if (threadId && typeof threadId !== 'string') {
+    return res.status(400).json({
+      error: 'Invalid threadId',
+      message: 'threadId must be a string'
+    });
+  }
   
   req.body.query = query.trim();
   req.body.maxResults = Math.min(Math.max(parseInt(maxResults) || 5, 1), 20);
   if (documentId) req.body.documentId = documentId.trim();
+  if (threadId) req.body.threadId = threadId.trim();
   
   logger.debug('RAG query validation passed', { 
     query: req.body.query, 
     maxResults: req.body.maxResults,
-    ...(req.body.documentId && { documentId: req.body.documentId })
+    ...(req.body.documentId && { documentId: req.body.documentId }),
+    ...(req.body.threadId && { threadId: req.body.threadId })
   });
   
   next();
 };
 
-export const validateDocumentMetadata = (req, res, next) => {
-  const { title, description } = req.body;
-  let { tags } = req.body;
+const parseTagList = (tags) => {
+  // Normalize tags: accept array, comma-separated string, or JSON string
+  if (typeof tags === 'string') {
+    const trimmed = tags.trim();
+    if (trimmed.startsWith('[')) {
+      try {
+        const parsed = JSON.parse(trimmed);
+        return Array.isArray(parsed) ? parsed : [trimmed];
+      } catch {
+        return trimmed.length ? trimmed.split(',') : [];
+      }
+    }
+    return trimmed.length ? trimmed.split(',') : [];
+  }
+  return tags;
+};
+
+const DUPLICATE_POLICIES = ['skip', 'replace', 'keep'];
+
+// Returns { error, message } for the first invalid field, or { metadata } with trimmed values
+export const checkDocumentMetadata = (fields = {}) => {
+  const { title, description, onDuplicate } = fields;
+  const tags = parseTagList(fields.tags);
   
   if (title && typeof title !== 'string') {
-    return res.status(400).json({
-      error: 'Invalid title',
-      message: 'Title must be a string'
-    });
+    return { error: 'Invalid title', message: 'Title must be a string' };
   }
   
   if (title && title.length > 200) {
-    return res.status(400).json({
-      error: 'Title too long',
-      message: 'Title must be less than 200 characters'
-    });
+    return { error: 'Title too long', message: 'Title must be less than 200 characters' };
   }
   
   if (description && typeof description !== 'string') {
-    return res.status(400).json({
-      error: 'Invalid description',
-      message: 'Description must be a string'
-    });
+    return { error: 'Invalid description', message: 'Description must be a string' };
   }
   
   if (description && description.length > 1000) {
-    return res.status(400).json({
-      error: 'Description too long',
-      message: 'Description must be less than 1000 characters'
-    });
-  }
-  
-  // Normalize tags: accept array, comma-separated string, or JSON string
-  if (typeof tags === 'string') {
-    const trimmed = tags.trim();
-    if (trimmed.startsWith('[')) {
-      try {
-        const parsed = JSON.parse(trimmed);
-        tags = Array.isArray(parsed) ? parsed : [trimmed];
-      } catch {
-        tags = trimmed.length ? trimmed.split(',') : [];
-      }
-    } else {
-      tags = trimmed.length ? trimmed.split(',') : [];
-    }
+    return { error: 'Description too long', message: 'Description must be less than 1000 characters' };
   }
   
   if (tags && !Array.isArray(tags)) {
-    return res.status(400).json({
-      error: 'Invalid tags',
-      message: 'Tags must be an array'
-    });
+    return { error: 'Invalid tags', message: 'Tags must be an array' };
   }
   
   if (tags && tags.length > 10) {
-    return res.status(400).json({
-      error: 'Too many tags',
-      message: 'Maximum 10 tags allowed'
-    });
+    return { error: 'Too many tags', message: 'Maximum 10 tags allowed' };
+  }
+
+  if (onDuplicate !== undefined && onDuplicate !== '' && !DUPLICATE_POLICIES.includes(onDuplicate)) {
+    return { error: 'Invalid onDuplicate', message: `onDuplicate must be one of: ${DUPLICATE_POLICIES.join(', ')}` };
   }
   
+  const metadata = { ...fields };
+
   if (tags) {
     const normalized = tags.map(tag => typeof tag === 'string' ? tag.trim() : tag).filter(Boolean);
     const invalidTags = normalized.filter(tag => typeof tag !== 'string' || tag.length > 50);
     if (invalidTags.length > 0) {
+      return { error: 'Invalid tag format', message: 'Tags must be strings less than 50 characters' };
+    }
+    metadata.tags = normalized;
+  }
+  
+  if (title) metadata.title = title.trim();
+  if (description) metadata.description = description.trim();
+  
+  return { metadata };
+};
+
+// Metadata written during ingestion; PATCH may not overwrite it
+const PROTECTED_METADATA_FIELDS = new Set([
+  'documentId', 'chunkIndex', 'totalChunks', 'fileType', 'originalSize', 'fileSize', 'chunkSize', 'text', 'source',
+  'timestamp', 'originalName', 'relativePath', 'archiveName', 'pathInArchive', 'uploadedAt', 'createdAt', 'createdAtMs', 'expiresAt', 'expiresAtMs',
+  'version', 'previousVersions', 'contentHash', 'chunkHash', 'chunkFingerprint', 'nearDuplicate', 'nearDuplicateOf',
+  'duplicateOf', 'metadataUpdatedAt', 'sectionPath', 'sectionTitle', 'headingLevel', 'slideNumber', 'slideTitle',
+  'rowStart', 'rowEnd', 'pageStart', 'pageEnd', 'paragraphStart', 'paragraphEnd', 'columns', 'containsTable', 'recordCount', 'language', 'symbolName',
+  'lineStart', 'lineEnd', 'charStart', 'charEnd', 'originalText', 'editedBy', 'editedAt', 'disabled', 'disabledBy',
+  'disabledAt', 'tokenCount', 'tokenCountEstimated', 'chunkStrategy', 'maxChunkSize', 'chunkOverlap', 'maxChunkTokens', 'chunkOverlapTokens', 'detectedMimeType', 'encoding', 'messageIndex', 'messageId', 'threadId', 'subject', 'from', 'to', 'cc', 'date', 'dateMs'
+]);
+
+const isMetadataValue = (value) => {
+  const isPrimitive = v => v === null || ['string', 'number', 'boolean'].includes(typeof v);
+  return isPrimitive(value) || (Array.isArray(value) && value.every(isPrimitive));
+};
+
+// Checks a PATCH body of title, description, tags and custom fields before validateDocumentMetadata
+export const validateMetadataUpdate = (req, res, next) => {
+  const fields = req.body && typeof req.body === 'object' ? req.body : {};
+  const keys = Object.keys(fields);
+
+  if (keys.length === 0) {
+    return res.status(400).json({
+      error: 'Empty update',
+      message: 'Provide at least one metadata field to update'
+    });
+  }
+
+  const protectedKeys = keys.filter(key => PROTECTED_METADATA_FIELDS.has(key));
+  if (protectedKeys.length > 0) {
+    return res.status(400).json({
+      error: 'Protected fields',
+      message: `These fields are managed by the server and cannot be updated: ${protectedKeys.join(', ')}`
+    });
+  }
+
+  const invalidKeys = keys.filter(key => !isMetadataValue(fields[key]));
+  if (invalidKeys.length > 0) {
+    return res.status(400).json({
+      error: 'Invalid metadata value',
+      message: `Fields must be strings, numbers, booleans or arrays of them: ${invalidKeys.join(', ')}`
+    });
+  }
+
+  next();
+};
+
+const MAX_CHUNK_TEXT_LENGTH = 10000;
+const CHUNK_STRATEGIES = ['recursive', 'paragraph', 'sentence', 'semantic', 'token'];
+const CHUNK_SIZE_RANGE = { min: 100, max: 8000 };
+const DEFAULT_CHUNKING = { chunkSize: 1000, chunkOverlap: 200 };
+// The token strategy measures chunkSize and chunkOverlap in tokens of the embedding model
+const CHUNK_TOKENS_RANGE = { min: 16, max: MAX_CHUNK_TOKENS };
+const DEFAULT_TOKEN_CHUNKING = {
+  chunkSize: Math.min(config.chunking.maxTokens || MAX_CHUNK_TOKENS, MAX_CHUNK_TOKENS),
+  chunkOverlap: config.chunking.overlapTokens
+};
+
+const parseInteger = (value) => (typeof value === 'number' || (typeof value === 'string' && /^\d+$/.test(value.trim()))
+  ? Number(value)
+  : NaN);
+
+// Checks optional chunkStrategy, chunkSize and chunkOverlap fields (sizes as numbers or numeric
+// strings, in characters or, for the token strategy, tokens). Returns { chunking } with both
+// sizes filled in when either is set, { chunking: null } when no field is set, or { error, message }.
+export const checkChunkingOptions = (fields = {}) => {
+  const isSet = value => value !== undefined && value !== null && value !== '';
+  const { chunkStrategy } = fields;
+
+  if (isSet(chunkStrategy) && !CHUNK_STRATEGIES.includes(chunkStrategy)) {
+    return { error: 'Invalid chunkStrategy', message: `chunkStrategy must be one of: ${CHUNK_STRATEGIES.join(', ')}` };
+  }
+
+  const strategy = isSet(chunkStrategy) ? { strategy: chunkStrategy } : {};
+  if (!isSet(fields.chunkSize) && !isSet(fields.chunkOverlap)) {
+    return { chunking: isSet(chunkStrategy) ? strategy : null };
+  }
+
+  const [range, defaults, unit] = chunkStrategy === 'token'
+    ? [CHUNK_TOKENS_RANGE, DEFAULT_TOKEN_CHUNKING, ' tokens']
+    : [CHUNK_SIZE_RANGE, DEFAULT_CHUNKING, ''];
+
+  const chunkSize = isSet(fields.chunkSize) ? parseInteger(fields.chunkSize) : defaults.chunkSize;
+  if (!Number.isInteger(chunkSize) || chunkSize < range.min || chunkSize > range.max) {
+    return { error: 'Invalid chunkSize', message: `chunkSize must be an integer between ${range.min} and ${range.max}${unit}` };
+  }
+
+  const chunkOverlap = isSet(fields.chunkOverlap)
+    ? parseInteger(fields.chunkOverlap)
+    : Math.min(defaults.chunkOverlap, Math.floor(chunkSize / 4));
+  if (!Number.isInteger(chunkOverlap) || chunkOverlap < 0 || chunkOverlap >= chunkSize / 2) {
+    return { error: 'Invalid chunkOverlap', message: 'chunkOverlap must be a non-negative integer below half of chunkSize' };
+  }
+
+  return { chunking: { ...strategy, chunkSize, chunkOverlap } };
+};
+
+// POST /documents/:documentId/reprocess with optional { chunkStrategy, chunkSize, chunkOverlap }
+export const validateReprocessOptions = (req, res, next) => {
+  const { error, message, chunking } = checkChunkingOptions(req.body || {});
+
+  if (error) {
+    return res.status(400).json({ error, message });
+  }
+
+  req.body = { ...req.body, chunking };
+  next();
+};
+
+export const validateChunkIndex = (req, res, next) => {
+  if (!/^\d+$/.test(req.params.chunkIndex)) {
+    return res.status(400).json({
+      error: 'Invalid chunk index',
+      message: 'chunkIndex must be a non-negative integer'
+    });
+  }
+
+  next();
+};
+
+const checkEditor = (editor) => editor === undefined || (typeof editor === 'string' && editor.trim().length > 0 && editor.length <= 100);
+
+// PUT /documents/:documentId/chunks/:chunkIndex with { text, editedBy? }
+export const validateChunkEdit = (req, res, next) => {
+  const { text, editedBy } = req.body || {};
+
+  if (typeof text !== 'string' || !text.trim()) {
+    return res.status(400).json({
+      error: 'Invalid text',
+      message: 'text must be a non-empty string'
+    });
+  }
+
+  if (text.length > MAX_CHUNK_TEXT_LENGTH) {
+    return res.status(400).json({
+      error: 'Text too long',
+      message: `Chunk text must be at most ${MAX_CHUNK_TEXT_LENGTH} characters`
+    });
+  }
+
+  if (!checkEditor(editedBy)) {
+    return res.status(400).json({
+      error: 'Invalid editedBy',
+      message: 'editedBy must be a non-empty string of at most 100 characters'
+    });
+  }
+
+  next();
+};
+
+// PATCH /documents/:documentId/chunks/:chunkIndex with { disabled, changedBy? }
+export const validateChunkState = (req, res, next) => {
+  const { disabled, changedBy } = req.body || {};
+
+  if (typeof disabled !== 'boolean') {
+    return res.status(400).json({
+      error: 'Invalid disabled',
+      message: 'disabled must be true or false'
+    });
+  }
+
+  if (!checkEditor(changedBy)) {
+    return res.status(400).json({
+      error: 'Invalid changedBy',
+      message: 'changedBy must be a non-empty string of at most 100 characters'
+    });
+  }
+
+  next();
+};
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+// POST /documents/ingest-url: { url, followLinks?, sitemap? (true or a sitemap URL),
+// maxDepth?, maxPages? }. Upload fields (tags, description, ...) are checked by validateDocumentMetadata.
+export const validateIngestUrl = (req, res, next) => {
+  const fields = req.body || {};
+  const { url, followLinks, sitemap, maxDepth, maxPages } = fields;
+
+  if (typeof url !== 'string' || !isHttpUrl(url)) {
+    return res.status(400).json({
+      error: 'Invalid url',
+      message: 'url must be an absolute http or https URL'
+    });
+  }
+
+  if (followLinks !== undefined && typeof followLinks !== 'boolean') {
+    return res.status(400).json({
+      error: 'Invalid followLinks',
+      message: 'followLinks must be true or false'
+    });
+  }
+
+  if (sitemap !== undefined && typeof sitemap !== 'boolean' && !(typeof sitemap === 'string' && isHttpUrl(sitemap))) {
+    return res.status(400).json({
+      error: 'Invalid sitemap',
+      message: 'sitemap must be true, false or the URL of a sitemap'
+    });
+  }
+
+  const limits = { maxDepth: [maxDepth, 0, config.crawler.maxDepth], maxPages: [maxPages, 1, config.crawler.maxPages] };
+  for (const [name, [value, min, max]] of Object.entries(limits)) {
+    if (value !== undefined && (!Number.isInteger(value) || value < min || value > max)) {
       return res.status(400).json({
-        error: 'Invalid tag format',
-        message: 'Tags must be strings less than 50 characters'
+        error: `Invalid ${name}`,
+        message: `${name} must be an integer between ${min} and ${max}`
       });
     }
-    req.body.tags = normalized;
   }
+
+  next();
+};
+
+// Upload fields, including the optional chunkStrategy/chunkSize/chunkOverlap, which are
+// collected into req.body.chunking
+export const validateDocumentMetadata = (req, res, next) => {
+  const { error, message, metadata } = checkDocumentMetadata(req.body);
+
+  if (error) {
+    return res.status(400).json({ error, message });
+  }
+
+  const chunkingCheck = checkChunkingOptions(req.body);
+  if (chunkingCheck.error) {
+    return res.status(400).json({ error: chunkingCheck.error, message: chunkingCheck.message });
+  }
+
+  Object.assign(req.body, metadata, chunkingCheck.chunking && { chunking: chunkingCheck.chunking });
   
-  if (req.body.title) req.body.title = req.body.title.trim();
-  if (req.body.description) req.body.description = req.body.description.trim();
+  next();
+};
+
+// Per-file metadata for batch uploads: a JSON array aligned with the uploaded files,
+// or a JSON object keyed by file name (or relative path for folder uploads)
+export const validateBatchMetadata = (req, res, next) => {
+  let { fileMetadata } = req.body;
+
+  if (fileMetadata === undefined || fileMetadata === '') {
+    req.body.fileMetadata = null;
+    return next();
+  }
+
+  if (typeof fileMetadata === 'string') {
+    try {
+      fileMetadata = JSON.parse(fileMetadata);
+    } catch {
+      return res.status(400).json({
+        error: 'Invalid fileMetadata',
+        message: 'fileMetadata must be valid JSON'
+      });
+    }
+  }
+
+  if (!fileMetadata || typeof fileMetadata !== 'object') {
+    return res.status(400).json({
+      error: 'Invalid fileMetadata',
+      message: 'fileMetadata must be an array or an object keyed by file name'
+    });
+  }
+
+  const normalized = Array.isArray(fileMetadata) ? [] : {};
+
+  for (const [key, entry] of Object.entries(fileMetadata)) {
+    if (entry === null || entry === undefined) continue;
+
+    if (typeof entry !== 'object' || Array.isArray(entry)) {
+      return res.status(400).json({
+        error: 'Invalid fileMetadata',
+        message: `Metadata for "${key}" must be an object`
+      });
+    }
+
+    const { error, message, metadata } = checkDocumentMetadata(entry);
+    if (error) {
+      return res.status(400).json({ error, message: `${message} (file "${key}")` });
+    }
+
+    normalized[key] = metadata;
+  }
+
+  req.body.fileMetadata = normalized;
   
   next();
 };
@@ -156,6 +449,44 @@ export const validatePagination = (req, res, next) => {
   next();
 };
 
+// Sorting, cursor and filter parameters for the document listing; runs after validatePagination
+export const validateDocumentListQuery = (req, res, next) => {
+  const { sortBy, order, cursor, createdAfter, createdBefore } = req.query;
+
+  if (sortBy !== undefined && !CATALOG_SORT_FIELDS.includes(sortBy)) {
+    return res.status(400).json({
+      error: 'Invalid sortBy',
+      message: `sortBy must be one of: ${CATALOG_SORT_FIELDS.join(', ')}`
+    });
+  }
+
+  if (order !== undefined && !['asc', 'desc'].includes(order)) {
+    return res.status(400).json({
+      error: 'Invalid order',
+      message: 'order must be "asc" or "desc"'
+    });
+  }
+
+  if (cursor !== undefined && (typeof cursor !== 'string' || !decodeCursor(cursor))) {
+    return res.status(400).json({
+      error: 'Invalid cursor',
+      message: 'cursor must be the nextCursor value from a previous page'
+    });
+  }
+
+  const invalidDates = Object.entries({ createdAfter, createdBefore })
+    .filter(([, value]) => value !== undefined && (typeof value !== 'string' || isNaN(new Date(value).getTime())))
+    .map(([key]) => key);
+  if (invalidDates.length > 0) {
+    return res.status(400).json({
+      error: 'Invalid date',
+      message: `These parameters must be ISO 8601 dates: ${invalidDates.join(', ')}`
+    });
+  }
+
+  next();
+};
+
 export const sanitizeInput = (req, res, next) => {
   const sanitizeString = (str) => {
     if (typeof str !== 'string') return str;
@@ -1,26 +1,59 @@
 import express from 'express';
 import { 
   uploadDocument, 
+  uploadDocumentBatch,
+  uploadDocumentRevision,
+  ingestUrl,
+  reprocessDocument,
+  downloadDocumentFile,
+  getJobStatus,
   getDocuments, 
   getAllDocuments,
   getDocumentInfo, 
+  getDocumentChunks,
+  getDocumentText,
+  getDocumentVersions,
+  getDocumentVersionDiff,
+  updateDocumentMetadata,
+  editChunk,
+  setChunkState,
+  deleteChunk,
   deleteDocument, 
   getSystemStats,
   resetDocuments
 } from '../controllers/documentController.js';
 import { 
   uploadMiddleware, 
+  uploadBatchMiddleware,
   handleUploadError, 
-  validateUploadedFile 
+  validateUploadedFile,
+  validateUploadedFiles
 } from '../middleware/upload.js';
 import { 
   validateDocumentMetadata, 
+  validateBatchMetadata,
+  validateMetadataUpdate,
+  validateChunkIndex,
+  validateChunkEdit,
+  validateChunkState,
+  validateReprocessOptions,
+  validateIngestUrl,
   validatePagination, 
+  validateDocumentListQuery,
   sanitizeInput 
 } from '../middleware/validation.js';
 
 const router = express.Router();
 
+// Registered ahead of sanitizeInput so edited metadata is stored as typed, like multipart
+// upload fields (which multer parses after sanitizeInput has run)
+router.patch('/:documentId', validateMetadataUpdate, validateDocumentMetadata, updateDocumentMetadata);
+// URLs would be mangled by the escaping as well
+router.post('/ingest-url', validateIngestUrl, validateDocumentMetadata, ingestUrl);
+// Corrected chunk text is indexed verbatim, so it must not be HTML-escaped either
+router.put('/:documentId/chunks/:chunkIndex', validateChunkIndex, validateChunkEdit, editChunk);
+router.patch('/:documentId/chunks/:chunkIndex', validateChunkIndex, validateChunkState, setChunkState);
+
 router.use(sanitizeInput);
 
 router.post('/upload', 
@@ -31,11 +64,35 @@ router.post('/upload',
   uploadDocument
 );
 
-router.get('/', validatePagination, getDocuments);
+router.post('/upload-batch',
+  uploadBatchMiddleware,
+  handleUploadError,
+  validateUploadedFiles,
+  validateDocumentMetadata,
+  validateBatchMetadata,
+  uploadDocumentBatch
+);
+
+router.get('/jobs/:jobId', getJobStatus);
+router.get('/', validatePagination, validateDocumentListQuery, getDocuments);
 router.get('/all', getAllDocuments);
 router.get('/stats', getSystemStats);
 router.delete('/', resetDocuments);
 router.get('/:documentId', getDocumentInfo);
+router.put('/:documentId',
+  uploadMiddleware,
+  handleUploadError,
+  validateUploadedFile,
+  validateDocumentMetadata,
+  uploadDocumentRevision
+);
+router.get('/:documentId/chunks', validatePagination, getDocumentChunks);
+router.get('/:documentId/text', validatePagination, getDocumentText);
+router.get('/:documentId/file', downloadDocumentFile);
+router.post('/:documentId/reprocess', validateReprocessOptions, reprocessDocument);
+router.get('/:documentId/versions', getDocumentVersions);
+router.get('/:documentId/versions/diff', getDocumentVersionDiff);
+router.delete('/:documentId/chunks/:chunkIndex', validateChunkIndex, deleteChunk);
 router.delete('/:documentId', deleteDocument);
 
 export default router;
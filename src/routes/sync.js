@@ -0,0 +1,10 @@
+import express from 'express';
+import { getSyncStatus, triggerSyncScan } from '../controllers/syncController.js';
+
+const router = express.Router();
+
+// Directory sync connector
+router.get('/status', getSyncStatus);
+router.post('/scan', triggerSyncScan);
+
+export default router;
@@ -0,0 +1,253 @@
+import { documentService } from './documentService.js';
+import { documentParser } from '../utils/documentParser.js';
+import { JsonFileStore } from '../utils/jsonStore.js';
+import { hashContent } from '../utils/contentHash.js';
+import { normalizeUrl, parseRobotsTxt, isAllowedByRobots, parseSitemap, extractPageInfo } from '../utils/crawl.js';
+import { logger } from '../utils/logger.js';
+import { config } from '../config/app.js';
+
+const MAX_ROBOTS_DELAY_MS = 10000;
+const MAX_SITEMAP_FILES = 10;
+
+const RESULT_STATUSES = {
+  success: 'ingested',
+  replaced: 'updated',
+  unchanged: 'unchanged',
+  duplicate: 'duplicate'
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export class CrawlService {
+  constructor() {
+    this.stateStore = new JsonFileStore(config.crawler.storagePath);
+  }
+
+  stateKey(url) {
+    return hashContent(url).substring(0, 32);
+  }
+
+  async request(url, headers = {}) {
+    return fetch(url, {
+      headers: { 'User-Agent': config.crawler.userAgent, ...headers },
+      redirect: 'follow',
+      signal: AbortSignal.timeout(config.crawler.timeoutMs)
+    });
+  }
+
+  // A missing robots.txt (4xx) allows everything; an unreachable one (5xx, network
+  // error) disallows everything until it can be read, as RFC 9309 asks
+  async loadRobots(origin) {
+    try {
+      const response = await this.request(`${origin}/robots.txt`);
+      if (response.ok) {
+        return parseRobotsTxt(await response.text(), config.crawler.userAgent);
+      }
+      if (response.status < 500) {
+        return { rules: [], crawlDelay: null, sitemaps: [] };
+      }
+      logger.warn('robots.txt unavailable, not crawling', { origin, status: response.status });
+    } catch (error) {
+      logger.warn('robots.txt unreachable, not crawling', { origin, error: error.message });
+    }
+    return { rules: [{ allow: false, pattern: '/' }], crawlDelay: null, sitemaps: [] };
+  }
+
+  // Same-origin page URLs listed by a sitemap, following sitemap indexes
+  async collectSitemapUrls(sitemapUrl, origin, limit) {
+    const pending = [sitemapUrl];
+    const urls = [];
+    let filesRead = 0;
+
+    while (pending.length > 0 && urls.length < limit && filesRead < MAX_SITEMAP_FILES) {
+      const current = pending.shift();
+      filesRead++;
+
+      try {
+        const response = await this.request(current);
+        if (!response.ok) {
+          logger.warn('Sitemap not available', { sitemapUrl: current, status: response.status });
+          continue;
+        }
+
+        const { isIndex, locations } = parseSitemap(await response.text());
+        for (const location of locations) {
+          const url = normalizeUrl(location, current);
+          if (!url || new URL(url).origin !== origin) continue;
+          if (isIndex) pending.push(url);
+          else if (!urls.includes(url)) urls.push(url);
+        }
+      } catch (error) {
+        logger.warn('Failed to read sitemap', { sitemapUrl: current, error: error.message });
+      }
+    }
+
+    return urls.slice(0, limit);
+  }
+
+  // Fetches `startUrl` and, optionally, same-origin pages linked from it (up to maxDepth
+  // links away) and/or listed in a sitemap, ingesting at most maxPages pages. Pages whose
+  // ETag/Last-Modified show no change since the last crawl are not downloaded again.
+  async crawl(startUrl, { followLinks = false, sitemap = false, maxDepth = 1, maxPages = 10, metadata = {}, onDuplicate, chunking = null } = {}) {
+    const start = normalizeUrl(startUrl);
+    if (!start) {
+      throw new Error('Only http and https URLs can be crawled');
+    }
+
+    const origin = new URL(start).origin;
+    const robots = await this.loadRobots(origin);
+    const delayMs = Math.max(config.crawler.delayMs, Math.min((robots.crawlDelay || 0) * 1000, MAX_ROBOTS_DELAY_MS));
+
+    const queue = [{ url: start, depth: 0 }];
+    const seen = new Set([start]);
+
+    if (sitemap) {
+      const sitemapUrl = typeof sitemap === 'string' ? sitemap : (robots.sitemaps[0] || `${origin}/sitemap.xml`);
+      for (const url of await this.collectSitemapUrls(sitemapUrl, origin, maxPages)) {
+        if (!seen.has(url)) {
+          seen.add(url);
+          queue.push({ url, depth: 0 });
+        }
+      }
+    }
+
+    logger.info('Crawl started', { startUrl: start, followLinks, sitemap: Boolean(sitemap), maxDepth, maxPages });
+
+    const pages = [];
+    const canonicalUrls = new Set();
+    let requests = 0;
+
+    while (queue.length > 0 && requests < maxPages) {
+      const { url, depth } = queue.shift();
+
+      if (!isAllowedByRobots(robots, url)) {
+        pages.push({ url, status: 'disallowed', reason: 'Blocked by robots.txt' });
+        continue;
+      }
+
+      if (requests > 0 && delayMs > 0) await sleep(delayMs);
+      requests++;
+
+      const page = await this.crawlPage(url, { metadata, onDuplicate, chunking, canonicalUrls });
+      pages.push(page.result);
+
+      if (followLinks && depth < maxDepth) {
+        for (const link of page.links) {
+          if (!seen.has(link)) {
+            seen.add(link);
+            queue.push({ url: link, depth: depth + 1 });
+          }
+        }
+      }
+    }
+
+    const summary = pages.reduce((counts, page) => ({ ...counts, [page.status]: (counts[page.status] || 0) + 1 }), { total: pages.length });
+    logger.info('Crawl completed', { startUrl: start, ...summary, notVisited: queue.length });
+
+    return { startUrl: start, pages, summary, notVisited: queue.length };
+  }
+
+  // Returns { result, links } for one URL; failures are reported in the result, not thrown
+  async crawlPage(url, { metadata, onDuplicate, chunking, canonicalUrls }) {
+    const stateKey = this.stateKey(url);
+    const state = this.stateStore.read(stateKey);
+
+    try {
+      // Conditional headers only help while the page's document still exists
+      const knownDocument = state?.documentId && await documentService.documentExists(state.documentId)
+        ? state.documentId
+        : null;
+      const headers = knownDocument ? {
+        ...(state.etag && { 'If-None-Match': state.etag }),
+        ...(state.lastModified && { 'If-Modified-Since': state.lastModified })
+      } : {};
+
+      const response = await this.request(url, headers);
+
+      if (response.status === 304) {
+        return {
+          result: { url, canonicalUrl: state.canonicalUrl, status: 'unchanged', documentId: knownDocument, reason: 'Not modified since last crawl' },
+          links: state.links || []
+        };
+      }
+
+      if (!response.ok) {
+        return { result: { url, status: 'failed', reason: `HTTP ${response.status}` }, links: [] };
+      }
+
+      const finalUrl = normalizeUrl(response.url || url);
+      if (new URL(finalUrl).origin !== new URL(url).origin) {
+        return { result: { url, status: 'skipped', reason: `Redirected to another site: ${finalUrl}` }, links: [] };
+      }
+
+      const contentType = response.headers.get('content-type') || '';
+      const declaredLength = parseInt(response.headers.get('content-length'));
+      if (declaredLength > config.upload.maxFileSize) {
+        return { result: { url, status: 'skipped', reason: 'Larger than the maximum file size' }, links: [] };
+      }
+
+      const buffer = Buffer.from(await response.arrayBuffer());
+      if (buffer.length > config.upload.maxFileSize) {
+        return { result: { url, status: 'skipped', reason: 'Larger than the maximum file size' }, links: [] };
+      }
+
+      const isHtml = /html/i.test(contentType);
+      const fileType = isHtml ? 'html' : documentParser.resolveFileType(new URL(finalUrl).pathname, contentType);
+      if (!fileType) {
+        return { result: { url, status: 'skipped', reason: `Unsupported content type: ${contentType || 'unknown'}` }, links: [] };
+      }
+
+      const info = isHtml
+        ? extractPageInfo(buffer.toString('utf-8'), finalUrl)
+        : { canonicalUrl: finalUrl, title: null, links: [] };
+
+      if (canonicalUrls.has(info.canonicalUrl)) {
+        return { result: { url, canonicalUrl: info.canonicalUrl, status: 'skipped', reason: 'Same canonical URL as an earlier page' }, links: info.links };
+      }
+      canonicalUrls.add(info.canonicalUrl);
+
+      // The canonical URL doubles as the file name, so it becomes the chunks' `source`
+      const processed = await documentService.processDocumentBuffer(buffer, info.canonicalUrl, {
+        ...metadata,
+        title: info.title || metadata.title,
+        originalName: info.canonicalUrl,
+        url: info.canonicalUrl,
+        crawledAt: new Date().toISOString()
+      }, {
+        fileType,
+        mimeType: contentType || null,
+        ...(chunking && { chunking }),
+        ...(knownDocument ? { documentId: knownDocument } : { onDuplicate })
+      });
+
+      this.stateStore.write(stateKey, {
+        url,
+        canonicalUrl: info.canonicalUrl,
+        etag: response.headers.get('etag'),
+        lastModified: response.headers.get('last-modified'),
+        documentId: processed.documentId,
+        links: info.links,
+        fetchedAt: new Date().toISOString()
+      });
+
+      return {
+        result: {
+          url,
+          canonicalUrl: info.canonicalUrl,
+          title: info.title,
+          status: RESULT_STATUSES[processed.status] || processed.status,
+          documentId: processed.documentId,
+          ...(processed.version && { version: processed.version })
+        },
+        links: info.links
+      };
+    } catch (error) {
+      logger.warn('Failed to crawl page', { url, error: error.message });
+      return { result: { url, status: 'failed', reason: error.message }, links: [] };
+    }
+  }
+}
+
+export const crawlService = new CrawlService();
+
+documentService.registerJobHandler('crawl', ({ url, ...options }) => crawlService.crawl(url, options));
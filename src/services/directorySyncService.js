@@ -0,0 +1,232 @@
+import fs from 'fs';
+import path from 'path';
+import { documentService } from './documentService.js';
+import { documentParser } from '../utils/documentParser.js';
+import { JsonFileStore } from '../utils/jsonStore.js';
+import { hashContent } from '../utils/contentHash.js';
+import { logger } from '../utils/logger.js';
+import { config } from '../config/app.js';
+
+const MANIFEST_ID = 'manifest';
+const MAX_RECENT_ERRORS = 20;
+
+// Mirrors a directory into the knowledge base. The manifest maps each file's path (relative
+// to the directory) to its documentId and content hash, so a restart only resyncs what
+// changed while the server was down. File events only schedule a scan; the scan compares
+// the directory with the manifest and is the single place changes are applied.
+export class DirectorySyncService {
+  constructor({ directory = config.sync.directory, manifestPath = config.sync.manifestPath } = {}) {
+    this.directory = directory ? path.resolve(directory) : null;
+    this.manifestStore = new JsonFileStore(manifestPath);
+    this.watcher = null;
+    this.interval = null;
+    this.debounceTimer = null;
+    this.currentScan = null;
+    this.rescanRequested = false;
+    this.lastScan = null;
+    this.recentErrors = [];
+  }
+
+  get enabled() {
+    return Boolean(this.directory);
+  }
+
+  readManifest() {
+    const manifest = this.manifestStore.read(MANIFEST_ID);
+    // A manifest written for another directory says nothing about this one
+    return manifest?.directory === this.directory ? manifest : { directory: this.directory, files: {} };
+  }
+
+  async start() {
+    if (!this.enabled) return false;
+
+    if (!fs.existsSync(this.directory)) {
+      fs.mkdirSync(this.directory, { recursive: true });
+    }
+
+    try {
+      this.watcher = fs.watch(this.directory, { recursive: true }, () => this.scheduleScan());
+      this.watcher.on('error', error => {
+        logger.warn('Directory watcher failed; relying on periodic scans', { directory: this.directory, error: error.message });
+        this.watcher = null;
+      });
+    } catch (error) {
+      logger.warn('Directory watching unavailable; relying on periodic scans', { directory: this.directory, error: error.message });
+    }
+
+    if (config.sync.intervalSeconds > 0) {
+      this.interval = setInterval(() => this.safeScan(), config.sync.intervalSeconds * 1000);
+      this.interval.unref();
+    }
+
+    logger.info('Directory sync started', { directory: this.directory, watching: Boolean(this.watcher) });
+    await this.scan();
+    return true;
+  }
+
+  stop() {
+    this.watcher?.close();
+    this.watcher = null;
+    clearInterval(this.interval);
+    this.interval = null;
+    clearTimeout(this.debounceTimer);
+    this.debounceTimer = null;
+  }
+
+  // Editors and copies emit bursts of events; wait for them to settle before scanning
+  scheduleScan() {
+    clearTimeout(this.debounceTimer);
+    this.debounceTimer = setTimeout(() => this.safeScan(), config.sync.debounceMs);
+    this.debounceTimer.unref();
+  }
+
+  // Concurrent calls share the running scan and queue one more pass after it
+  async scan() {
+    if (!this.enabled) return null;
+
+    if (this.currentScan) {
+      this.rescanRequested = true;
+      return this.currentScan;
+    }
+
+    this.currentScan = this.runScan().finally(() => {
+      this.currentScan = null;
+      if (this.rescanRequested) {
+        this.rescanRequested = false;
+        this.safeScan();
+      }
+    });
+    return this.currentScan;
+  }
+
+  // For scans nobody awaits (timers, watcher events, queued rescans): a failed scan, such as
+  // an unreadable directory or a manifest that cannot be written, is logged and kept in
+  // recentErrors instead of becoming an unhandled rejection
+  safeScan() {
+    return this.scan().catch(error => {
+      logger.error('Directory sync scan failed', { directory: this.directory, error: error.message });
+      this.addRecentError(null, error);
+      return null;
+    });
+  }
+
+  listFiles(directory = this.directory) {
+    const files = [];
+    for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+      if (entry.name.startsWith('.')) continue;
+
+      const fullPath = path.join(directory, entry.name);
+      if (entry.isDirectory()) {
+        files.push(...this.listFiles(fullPath));
+      } else if (entry.isFile() && documentParser.resolveFileType(entry.name)) {
+        files.push(path.relative(this.directory, fullPath).split(path.sep).join('/'));
+      }
+    }
+    return files;
+  }
+
+  async runScan() {
+    const summary = { startedAt: new Date().toISOString(), added: 0, updated: 0, removed: 0, unchanged: 0, failed: 0 };
+    const manifest = this.readManifest();
+    const present = new Set(this.listFiles());
+
+    for (const relativePath of present) {
+      const entry = manifest.files[relativePath];
+
+      try {
+        const fullPath = path.join(this.directory, relativePath);
+        const stats = fs.statSync(fullPath);
+        if (entry && entry.size === stats.size && entry.mtimeMs === stats.mtimeMs) {
+          summary.unchanged++;
+          continue;
+        }
+
+        const contentHash = hashContent(fs.readFileSync(fullPath));
+        if (entry?.contentHash === contentHash) {
+          manifest.files[relativePath] = { ...entry, size: stats.size, mtimeMs: stats.mtimeMs };
+          summary.unchanged++;
+          continue;
+        }
+
+        const documentId = await this.ingest(fullPath, relativePath, entry?.documentId);
+        manifest.files[relativePath] = {
+          documentId,
+          contentHash,
+          size: stats.size,
+          mtimeMs: stats.mtimeMs,
+          syncedAt: new Date().toISOString()
+        };
+        summary[entry ? 'updated' : 'added']++;
+      } catch (error) {
+        summary.failed++;
+        this.recordError(relativePath, error);
+      }
+
+      this.manifestStore.write(MANIFEST_ID, manifest);
+    }
+
+    for (const [relativePath, entry] of Object.entries(manifest.files)) {
+      if (present.has(relativePath)) continue;
+
+      try {
+        await documentService.deleteDocument(entry.documentId);
+        delete manifest.files[relativePath];
+        summary.removed++;
+      } catch (error) {
+        summary.failed++;
+        this.recordError(relativePath, error);
+      }
+    }
+
+    this.manifestStore.write(MANIFEST_ID, manifest);
+    this.lastScan = { ...summary, completedAt: new Date().toISOString() };
+
+    logger.info('Directory sync scan completed', { directory: this.directory, ...summary });
+    return this.lastScan;
+  }
+
+  // A changed file becomes a revision of its document, replacing the previous chunks. Files
+  // are kept in place (processDocument deletes uploads by default) and identical files in
+  // different places stay separate documents.
+  async ingest(fullPath, relativePath, documentId = null) {
+    const metadata = {
+      originalName: path.basename(relativePath),
+      relativePath,
+      uploadedBy: 'directory-sync',
+      uploadedAt: new Date().toISOString()
+    };
+
+    if (documentId && await documentService.documentExists(documentId)) {
+      const result = await documentService.processDocument(fullPath, metadata, { documentId, keepFile: true });
+      return result.documentId;
+    }
+
+    const result = await documentService.processDocument(fullPath, metadata, { onDuplicate: 'keep', keepFile: true });
+    return result.documentId;
+  }
+
+  recordError(relativePath, error) {
+    logger.warn('Directory sync failed for file', { relativePath, error: error.message });
+    this.addRecentError(relativePath, error);
+  }
+
+  addRecentError(relativePath, error) {
+    this.recentErrors = [{ path: relativePath, error: error.message, at: new Date().toISOString() }, ...this.recentErrors]
+      .slice(0, MAX_RECENT_ERRORS);
+  }
+
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      directory: this.directory,
+      watching: Boolean(this.watcher),
+      scanning: Boolean(this.currentScan),
+      intervalSeconds: config.sync.intervalSeconds,
+      trackedFiles: this.enabled ? Object.keys(this.readManifest().files).length : 0,
+      lastScan: this.lastScan,
+      recentErrors: this.recentErrors
+    };
+  }
+}
+
+export const directorySyncService = new DirectorySyncService();
@@ -1,147 +1,338 @@
 import fs from 'fs';
 import path from 'path';
-import { createRequire } from 'module';
 import { v4 as uuidv4 } from 'uuid';
 import { documentParser } from '../utils/documentParser.js';
-import { textChunker } from '../utils/textChunker.js';
+import { TextChunker, textChunker, MAX_CHUNK_TOKENS } from '../utils/textChunker.js';
+import { getTokenizer } from '../utils/tokenizer.js';
 import { embeddingService } from './embeddingService.js';
 import { vectorService } from './vectorService.js';
 import { logger } from '../utils/logger.js';
+import { JsonFileStore } from '../utils/jsonStore.js';
+import { createBlobStore } from '../utils/blobStore.js';
+import { hashContent, fingerprintContent } from '../utils/contentHash.js';
+import { inspectFileContent } from '../utils/fileContent.js';
+import { buildOutline, diffOutlines } from '../utils/versionDiff.js';
+import { groupChunksByDocument, filterCatalog, paginateCatalog, compareCatalogEntries } from '../utils/documentCatalog.js';
 import { config } from '../config/app.js';
 
-const require = createRequire(import.meta.url);
+const ACTIVE_JOB_STATUSES = ['queued', 'processing'];
 
 export class DocumentService {
   constructor() {
     this.processingQueue = new Map();
+    this.pendingJobs = [];
+    this.activeJobCount = 0;
+    this.jobStore = new JsonFileStore(config.jobs.storagePath);
+    this.versionStore = new JsonFileStore(config.versions.storagePath);
+    this.blobStoreInstance = null;
+    this.jobHandlers = new Map();
   }
 
-  async processDocumentBuffer(fileBuffer, originalName, metadata = {}) {
-    const documentId = uuidv4();
-    const startTime = Date.now();
+  // Created on first use rather than at import, so drivers registered at startup can be selected
+  get blobStore() {
+    if (!this.blobStoreInstance) {
+      this.blobStoreInstance = createBlobStore(config.upload.blobStore, { directory: path.join(config.upload.uploadPath, 'originals') });
+    }
+    return this.blobStoreInstance;
+  }
+
+  set blobStore(store) {
+    this.blobStoreInstance = store;
+  }
+
+  createJob(fields) {
+    const now = new Date().toISOString();
+
+    return {
+      jobId: uuidv4(),
+      documentId: null,
+      status: 'queued',
+      stage: 'queued',
+      progress: { chunksEmbedded: 0, totalChunks: 0, percent: 0 },
+      error: null,
+      result: null,
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      completedAt: null,
+      ...fields
+    };
+  }
+
+  queueJob(job) {
+    this.processingQueue.set(job.jobId, job);
+    this.jobStore.write(job.jobId, job);
+
+    this.pendingJobs.push(job.jobId);
+    this.drainQueue();
+
+    return job;
+  }
+
+  // `options` are processing options (e.g. onDuplicate) that are persisted with the job
+  enqueueDocumentBuffer(fileBuffer, originalName, metadata = {}, mimeType = null, options = {}) {
+    const job = this.createJob({ originalName, mimeType, size: fileBuffer.length, metadata, options });
+
+    // The upload is written to disk before the job is acknowledged so a restart can pick it back up
+    this.jobStore.writeAttachment(job.jobId, fileBuffer);
+    logger.info('Document queued for processing', { jobId: job.jobId, originalName, size: fileBuffer.length });
+
+    return this.queueJob(job);
+  }
+
+  // Work other than a single upload (e.g. a crawl) runs through the same queue and job store.
+  // The handler receives the job's JSON-serializable `input` and { onStage } and resolves to
+  // the job's result; it is registered at import so that restored jobs find it too.
+  registerJobHandler(type, handler) {
+    this.jobHandlers.set(type, handler);
+  }
+
+  enqueueJob(type, input, { originalName = null } = {}) {
+    const job = this.createJob({ type, input, originalName });
+    logger.info('Job queued', { jobId: job.jobId, type, originalName });
+
+    return this.queueJob(job);
+  }
+
+  updateJob(jobId, updates) {
+    const job = this.processingQueue.get(jobId);
+    if (!job) return null;
+
+    const updated = { ...job, ...updates, updatedAt: new Date().toISOString() };
+    this.processingQueue.set(jobId, updated);
 
     try {
-      logger.info('Starting document processing (buffer)', { documentId, originalName });
-
-      const extension = path.extname(originalName).toLowerCase().substring(1);
-      const fileType = extension;
-
-      let extractedText = '';
-      if (fileType === 'pdf') {
-        const pdf = require('pdf-parse');
-        const data = await pdf(fileBuffer);
-        extractedText = data.text || '';
-      } else if (fileType === 'docx') {
-        const mammoth = (await import('mammoth')).default || (await import('mammoth'));
-        const result = await mammoth.extractRawText({ buffer: fileBuffer });
-        extractedText = result.value || '';
-      } else if (fileType === 'html') {
-        const html = fileBuffer.toString('utf-8');
-        const cheerio = await import('cheerio');
-        const $ = cheerio.load(html);
-        $('script, style').remove();
-        extractedText = $('body').length ? $('body').text() : $.text();
-      } else if (fileType === 'txt') {
-        extractedText = fileBuffer.toString('utf-8');
-      } else {
-        throw new Error(`Unsupported file type: ${fileType}`);
-      }
+      this.jobStore.write(jobId, updated);
+    } catch (error) {
+      logger.warn('Failed to persist job state', { jobId, error: error.message });
+    }
 
-      extractedText = extractedText
-        .replace(/\r\n/g, '\n')
-        .replace(/\r/g, '\n')
-        .replace(/\t/g, ' ')
-        .replace(/\s+/g, ' ')
-        .replace(/\n\s*\n/g, '\n\n')
-        .trim();
+    return updated;
+  }
 
-      if (!extractedText) {
-        throw new Error('No text content extracted from document');
-      }
+  drainQueue() {
+    while (this.activeJobCount < config.jobs.concurrency && this.pendingJobs.length > 0) {
+      const jobId = this.pendingJobs.shift();
+      this.activeJobCount++;
 
-      const textChunks = textChunker.splitText(extractedText);
-      if (textChunks.length === 0) throw new Error('No text chunks generated');
+      this.runJob(jobId).finally(() => {
+        this.activeJobCount--;
+        this.drainQueue();
+      });
+    }
+  }
 
-      logger.info('Text extracted and chunked', { documentId, originalLength: extractedText.length, chunkCount: textChunks.length });
+  async runJob(jobId) {
+    const job = this.processingQueue.get(jobId);
+    if (!job) return;
 
-      const embeddings = await embeddingService.generateEmbeddings(textChunks);
-      if (embeddings.length !== textChunks.length) throw new Error('Embedding count mismatch with text chunks');
+    try {
+      const result = job.type ? await this.runHandlerJob(job) : await this.runDocumentJob(job);
 
-      const createdAt = new Date();
-      const expiresAt = new Date(createdAt.getTime() + config.retention.days * 24 * 60 * 60 * 1000);
+      this.updateJob(jobId, {
+        status: 'completed',
+        stage: 'completed',
+        documentId: result.documentId || null,
+        result,
+        completedAt: new Date().toISOString()
+      });
 
-      const documents = textChunks.map((chunk, index) => ({
-        id: `${documentId}-chunk-${index}`,
-        text: chunk,
-        embedding: embeddings[index],
-        source: originalName,
-        timestamp: createdAt.toISOString(),
-        metadata: {
-          documentId,
-          chunkIndex: index,
-          totalChunks: textChunks.length,
-          fileType,
-          originalSize: extractedText.length,
-          chunkSize: chunk.length,
-          createdAt: createdAt.toISOString(),
-          createdAtMs: createdAt.getTime(),
-          expiresAt: expiresAt.toISOString(),
-          expiresAtMs: expiresAt.getTime(),
-          ...metadata
+      logger.info('Ingestion job completed', { jobId, type: job.type, documentId: result.documentId });
+    } catch (error) {
+      this.updateJob(jobId, {
+        status: 'failed',
+        stage: 'failed',
+        error: error.message,
+        completedAt: new Date().toISOString()
+      });
+
+      logger.error('Ingestion job failed', { jobId, error: error.message });
+    } finally {
+      this.jobStore.removeAttachment(jobId);
+    }
+  }
+
+  async runDocumentJob(job) {
+    const { jobId } = job;
+    const fileBuffer = this.jobStore.readAttachment(jobId);
+    if (!fileBuffer) {
+      throw new Error('Uploaded file for this job is no longer available');
+    }
+
+    this.updateJob(jobId, { status: 'processing', stage: 'extracting', startedAt: new Date().toISOString() });
+
+    return this.processDocumentBuffer(fileBuffer, job.originalName, job.metadata, {
+      ...job.options,
+      mimeType: job.mimeType,
+      onStage: stage => this.updateJob(jobId, { stage }),
+      onProgress: (chunksEmbedded, totalChunks) => this.updateJob(jobId, {
+        progress: {
+          chunksEmbedded,
+          totalChunks,
+          percent: totalChunks ? Math.round((chunksEmbedded / totalChunks) * 100) : 0
         }
-      }));
+      })
+    });
+  }
 
-      await vectorService.addDocuments(documents);
+  async runHandlerJob(job) {
+    const handler = this.jobHandlers.get(job.type);
+    if (!handler) {
+      throw new Error(`No handler registered for ${job.type} jobs`);
+    }
 
-      const processingTime = Date.now() - startTime;
-      return {
-        documentId,
-        status: 'success',
-        processingTime,
-        stats: {
-          originalTextLength: extractedText.length,
-          chunkCount: textChunks.length,
-          embeddingCount: embeddings.length,
-          fileType,
-          source: originalName
-        },
-        metadata
-      };
+    this.updateJob(job.jobId, { status: 'processing', stage: job.type, startedAt: new Date().toISOString() });
+    return handler(job.input, { onStage: stage => this.updateJob(job.jobId, { stage }) });
+  }
+
+  restorePendingJobs() {
+    try {
+      const retentionMs = config.jobs.retentionHours * 60 * 60 * 1000;
+      const now = Date.now();
+      let restored = 0;
+
+      for (const job of this.jobStore.list()) {
+        if (ACTIVE_JOB_STATUSES.includes(job.status)) {
+          // Work interrupted by a restart starts over from extraction
+          this.processingQueue.set(job.jobId, job);
+          this.updateJob(job.jobId, {
+            status: 'queued',
+            stage: 'queued',
+            progress: { chunksEmbedded: 0, totalChunks: 0, percent: 0 }
+          });
+          this.pendingJobs.push(job.jobId);
+          restored++;
+        } else if (now - new Date(job.updatedAt).getTime() > retentionMs) {
+          this.jobStore.remove(job.jobId);
+        } else {
+          this.processingQueue.set(job.jobId, job);
+        }
+      }
+
+      logger.info('Ingestion jobs restored', { restored, known: this.processingQueue.size });
+      this.drainQueue();
+
+      return restored;
     } catch (error) {
-      const processingTime = Date.now() - startTime;
-      logger.error('Document processing (buffer) failed', { documentId, file: originalName, error: error.message, processingTime });
+      logger.error('Failed to restore ingestion jobs', { error: error.message });
       throw error;
     }
   }
 
-  async processDocument(filePath, metadata = {}) {
-    const documentId = uuidv4();
+  // options.documentId uploads a new revision of that document instead of creating one;
+  // options.reprocess re-chunks it even when the text is unchanged. options.chunking
+  // ({ strategy, chunkSize, chunkOverlap }) overrides the default chunker settings.
+  async processDocumentBuffer(fileBuffer, originalName, metadata = {}, options = {}) {
+    let documentId = options.documentId || uuidv4();
     const startTime = Date.now();
+    const { onStage = () => {}, onProgress = null } = options;
+    const onDuplicate = options.onDuplicate || config.upload.onDuplicate;
 
     try {
-      logger.info('Starting document processing', { documentId, filePath });
+      logger.info('Starting document processing', { documentId, originalName });
+      onStage('extracting');
 
-      const fileType = documentParser.validateFile(filePath);
-      
-      const extractedText = await documentParser.parseDocument(filePath, fileType);
-      
-      if (!extractedText || extractedText.trim().length === 0) {
+      const fileType = options.fileType || documentParser.resolveFileType(originalName, options.mimeType);
+      if (!fileType) {
+        throw new Error(`Unsupported file type: ${path.extname(originalName).substring(1) || options.mimeType || 'unknown'}`);
+      }
+
+      // Rejects renamed binaries before they reach a text parser, and hands text parsers UTF-8
+      const content = inspectFileContent(fileBuffer, fileType);
+      const { text: extractedText, sections } = await documentParser.extract(content.buffer, { fileType, originalName });
+
+      if (!extractedText) {
         throw new Error('No text content extracted from document');
       }
 
-      const textChunks = textChunker.splitText(extractedText);
+      const contentHash = hashContent(extractedText);
+      const duplicate = await this.findDocumentByContentHash(contentHash);
+
+      if (options.documentId && !options.reprocess && duplicate?.documentId === documentId) {
+        logger.info('Revision identical to current version', { documentId, version: duplicate.version });
+        return {
+          documentId,
+          status: 'unchanged',
+          version: duplicate.version,
+          processingTime: Date.now() - startTime,
+          stats: {
+            originalTextLength: extractedText.length,
+            chunkCount: duplicate.totalChunks,
+            embeddingCount: 0,
+            fileType,
+            source: originalName
+          },
+          metadata
+        };
+      }
+
+      if (duplicate && onDuplicate === 'skip' && !options.documentId) {
+        logger.info('Duplicate upload skipped', { originalName, duplicateOf: duplicate.documentId });
+        return {
+          documentId: duplicate.documentId,
+          status: 'duplicate',
+          duplicateOf: duplicate.documentId,
+          processingTime: Date.now() - startTime,
+          stats: {
+            originalTextLength: extractedText.length,
+            chunkCount: duplicate.totalChunks,
+            embeddingCount: 0,
+            fileType,
+            source: originalName
+          },
+          metadata
+        };
+      }
+
+      const replacing = !options.documentId && duplicate && onDuplicate === 'replace';
+      if (replacing) {
+        documentId = duplicate.documentId;
+      }
+
+      // A revision swaps out the chunk set currently stored under the same documentId
+      const currentChunks = options.documentId || replacing
+        ? await vectorService.getDocumentsByMetadata({ documentId })
+        : [];
+      if (options.documentId && currentChunks.length === 0) {
+        throw new Error(`Document with ID ${documentId} not found`);
+      }
+
+      const currentVersion = currentChunks.reduce((max, chunk) => Math.max(max, Number(chunk.metadata.version) || 1), 0);
+      const version = currentVersion + 1;
+      const previousVersions = Array.from({ length: currentVersion }, (_, i) => i + 1);
+      if (currentChunks.length > 0) {
+        // A reprocess keeps the document's current title, description and tags over those it was uploaded with
+        metadata = options.reprocess
+          ? { ...this.definedFields(metadata), ...this.inheritedMetadata(currentChunks[0].metadata) }
+          : { ...this.inheritedMetadata(currentChunks[0].metadata), ...this.definedFields(metadata) };
+      }
+
+      onStage('chunking');
+      const chunker = this.createChunker(options.chunking);
+      const chunks = await chunker.chunkDocument(sections);
+      const textChunks = chunks.map(chunk => chunk.text);
       
       if (textChunks.length === 0) {
         throw new Error('No text chunks generated');
       }
 
+      const tokenizer = getTokenizer();
+      const tokenCounts = textChunks.map(chunk => tokenizer.countTokens(chunk));
+      const fingerprints = textChunks.map(chunk => fingerprintContent(chunk));
+      const nearDuplicates = await this.findNearDuplicateChunks(fingerprints, documentId);
+
       logger.info('Text extracted and chunked', { 
         documentId, 
         originalLength: extractedText.length,
         chunkCount: textChunks.length 
       });
 
-      const embeddings = await embeddingService.generateEmbeddings(textChunks);
+      onStage('embedding');
+      if (onProgress) onProgress(0, textChunks.length);
+      const embeddings = await embeddingService.generateEmbeddings(
+        textChunks.map(chunk => this.embeddingInput(chunk, metadata)),
+        onProgress
+      );
       
       if (embeddings.length !== textChunks.length) {
         throw new Error('Embedding count mismatch with text chunks');
@@ -156,10 +347,10 @@ export class DocumentService {
       const expiresAt = new Date(createdAt.getTime() + config.retention.days * 24 * 60 * 60 * 1000);
 
       const documents = textChunks.map((chunk, index) => ({
-        id: `${documentId}-chunk-${index}`,
+        id: `${documentId}-v${version}-chunk-${index}`,
         text: chunk,
         embedding: embeddings[index],
-        source: path.basename(filePath),
+        source: originalName,
         timestamp: createdAt.toISOString(),
         metadata: {
           documentId,
@@ -167,32 +358,78 @@ export class DocumentService {
           totalChunks: textChunks.length,
           fileType,
           originalSize: extractedText.length,
+          fileSize: fileBuffer.length,
+          ...(content.detectedMimeType && { detectedMimeType: content.detectedMimeType }),
+          ...(content.encoding && { encoding: content.encoding }),
           chunkSize: chunk.length,
+          tokenCount: tokenCounts[index],
+          ...(!tokenizer.exact && { tokenCountEstimated: true }),
+          chunkStrategy: chunker.strategy,
+          maxChunkSize: chunker.maxChunkSize,
+          chunkOverlap: chunker.overlapSize,
+          ...(chunker.tokenizer && { maxChunkTokens: chunker.maxTokens, chunkOverlapTokens: chunker.overlapTokens }),
           createdAt: createdAt.toISOString(),
           createdAtMs: createdAt.getTime(),
           expiresAt: expiresAt.toISOString(),
           expiresAtMs: expiresAt.getTime(),
+          version,
+          ...(previousVersions.length > 0 && { previousVersions }),
+          contentHash,
+          chunkHash: hashContent(chunk),
+          chunkFingerprint: fingerprints[index],
+          nearDuplicate: nearDuplicates.has(fingerprints[index]),
+          disabled: false,
+          ...(nearDuplicates.has(fingerprints[index]) && { nearDuplicateOf: nearDuplicates.get(fingerprints[index]) }),
+          ...(duplicate && onDuplicate === 'keep' && !options.documentId && { duplicateOf: duplicate.documentId }),
+          ...chunks[index].metadata,
           ...metadata
         }
       }));
 
-      await vectorService.addDocuments(documents);
+      onStage('storing');
+      if (currentChunks.length > 0) {
+        await this.swapChunks(currentChunks.map(chunk => chunk.id), documents);
+      } else {
+        await vectorService.addDocuments(documents);
+      }
+
+      this.recordVersion(documentId, {
+        version,
+        createdAt: createdAt.toISOString(),
+        originalName,
+        fileType,
+        contentHash,
+        chunkCount: documents.length,
+        metadata,
+        ...(options.reprocess && { reprocessed: true }),
+        ...(options.chunking && { chunking: this.chunkingSettings(chunker) }),
+        outline: buildOutline(chunks)
+      });
 
-      this.cleanupFile(filePath);
+      await this.storeOriginal(documentId, contentHash, fileBuffer, {
+        originalName,
+        fileType,
+        mimeType: options.mimeType || content.detectedMimeType
+      });
 
       const processingTime = Date.now() - startTime;
       
       const result = {
         documentId,
-        status: 'success',
+        status: currentChunks.length > 0 ? 'replaced' : 'success',
+        version,
         processingTime,
         stats: {
           originalTextLength: extractedText.length,
           chunkCount: textChunks.length,
           embeddingCount: embeddings.length,
+          tokenCounts,
+          ...(!tokenizer.exact && { tokenCountsEstimated: true }),
+          nearDuplicateChunks: documents.filter(doc => doc.metadata.nearDuplicate).length,
           fileType,
-          source: path.basename(filePath)
+          source: originalName
         },
+        ...(duplicate && onDuplicate === 'keep' && !options.documentId && { duplicateOf: duplicate.documentId }),
         metadata
       };
 
@@ -209,54 +446,434 @@ export class DocumentService {
       
       logger.error('Document processing failed', { 
         documentId, 
-        filePath, 
+        file: originalName, 
         error: error.message,
         processingTime 
       });
 
-      this.cleanupFile(filePath);
+      throw error;
+    }
+  }
+
+  // Stored documents whose extracted text hashes the same, ignoring expired chunks
+  async findDocumentByContentHash(contentHash) {
+    const [match] = await vectorService.getDocumentsByMetadata(
+      { contentHash, expiresAtMs: { $gt: Date.now() } },
+      { limit: 1 }
+    );
+
+    return match
+      ? { documentId: match.metadata.documentId, totalChunks: match.metadata.totalChunks, version: match.metadata.version || 1 }
+      : null;
+  }
+
+  // The text that gets embedded for a chunk: the chunk itself, prefixed with the metadata
+  // fields listed in EMBED_METADATA_FIELDS so they influence retrieval
+  embeddingInput(text, metadata = {}) {
+    const prefix = this.metadataPrefix(metadata);
+    return prefix ? `${prefix}\n\n${text}` : text;
+  }
+
+  metadataPrefix(metadata = {}) {
+    return config.embedding.metadataFields
+      .map(field => {
+        const value = Array.isArray(metadata[field]) ? metadata[field].join(', ') : metadata[field];
+        return value !== undefined && value !== null && String(value).trim() !== ''
+          ? `${field.charAt(0).toUpperCase()}${field.slice(1)}: ${value}`
+          : null;
+      })
+      .filter(Boolean)
+      .join(' | ');
+  }
+
+  // Applies metadata updates to every chunk of a document. Chunks are re-embedded only when
+  // the update changes the metadata prefix that is part of their embedded text.
+  async updateDocumentMetadata(documentId, updates) {
+    try {
+      const chunks = await vectorService.getDocumentsByMetadata({ documentId });
+      if (chunks.length === 0) {
+        return null;
+      }
+
+      const updatedAt = new Date().toISOString();
+      const updatedChunks = chunks.map(chunk => ({
+        ...chunk,
+        // `text` mirrors the stored chunk text (vectorService.addDocuments writes it)
+        metadata: { ...chunk.metadata, ...updates, text: chunk.text, metadataUpdatedAt: updatedAt }
+      }));
+
+      const reembed = updatedChunks.some((chunk, index) =>
+        this.metadataPrefix(chunk.metadata) !== this.metadataPrefix(chunks[index].metadata));
+      const embeddings = reembed
+        ? await embeddingService.generateEmbeddings(updatedChunks.map(chunk => this.embeddingInput(chunk.text, chunk.metadata)))
+        : [];
+
+      await vectorService.updateDocuments(updatedChunks.map((chunk, index) => ({
+        id: chunk.id,
+        metadata: chunk.metadata,
+        ...(reembed && { embedding: embeddings[index] })
+      })));
+
+      logger.info('Document metadata updated', { documentId, chunksUpdated: chunks.length, reembedded: reembed });
+
+      return {
+        documentId,
+        chunksUpdated: chunks.length,
+        reembedded: reembed,
+        updatedFields: Object.keys(updates),
+        metadataUpdatedAt: updatedAt
+      };
+    } catch (error) {
+      logger.error('Failed to update document metadata', { error: error.message, documentId });
+      throw error;
+    }
+  }
+
+  async findChunk(documentId, chunkIndex) {
+    const [chunk] = await vectorService.getDocumentsByMetadata({ documentId, chunkIndex }, { limit: 1 });
+    return chunk || null;
+  }
+
+  // Replaces a chunk's text and re-embeds it. The text extracted at ingestion is kept in
+  // originalText (from the first edit on) so corrections can be audited.
+  async editChunk(documentId, chunkIndex, { text, editedBy = 'anonymous' }) {
+    try {
+      const chunk = await this.findChunk(documentId, chunkIndex);
+      if (!chunk) {
+        return null;
+      }
+
+      const editedAt = new Date().toISOString();
+      const metadata = {
+        ...chunk.metadata,
+        text,
+        originalText: chunk.metadata.originalText ?? chunk.text,
+        editedBy,
+        editedAt,
+        chunkSize: text.length,
+        tokenCount: getTokenizer().countTokens(text),
+        chunkHash: hashContent(text),
+        chunkFingerprint: fingerprintContent(text)
+      };
+
+      const embedding = await embeddingService.generateEmbedding(this.embeddingInput(text, metadata));
+      await vectorService.updateDocument(chunk.id, { text, metadata, embedding });
+
+      logger.info('Chunk edited', { documentId, chunkIndex, editedBy });
+
+      return {
+        documentId,
+        chunkIndex,
+        id: chunk.id,
+        text,
+        originalText: metadata.originalText,
+        editedBy,
+        editedAt
+      };
+    } catch (error) {
+      logger.error('Failed to edit chunk', { error: error.message, documentId, chunkIndex });
+      throw error;
+    }
+  }
+
+  // Disabled chunks stay stored (and listed under /chunks) but are excluded from retrieval
+  async setChunkDisabled(documentId, chunkIndex, disabled, changedBy = 'anonymous') {
+    try {
+      const chunk = await this.findChunk(documentId, chunkIndex);
+      if (!chunk) {
+        return null;
+      }
+
+      const changedAt = new Date().toISOString();
+      await vectorService.updateDocuments([{
+        id: chunk.id,
+        metadata: { ...chunk.metadata, disabled, disabledBy: disabled ? changedBy : null, disabledAt: disabled ? changedAt : null }
+      }]);
+
+      logger.info(disabled ? 'Chunk disabled' : 'Chunk enabled', { documentId, chunkIndex, changedBy });
+      return { documentId, chunkIndex, id: chunk.id, disabled, changedBy, changedAt };
+    } catch (error) {
+      logger.error('Failed to change chunk state', { error: error.message, documentId, chunkIndex });
+      throw error;
+    }
+  }
+
+  // Removes one chunk. The remaining chunks keep their chunkIndex; their totalChunks drops
+  // so the document is not reported as incomplete.
+  async deleteChunk(documentId, chunkIndex) {
+    try {
+      const chunks = await vectorService.getDocumentsByMetadata({ documentId });
+      const chunk = chunks.find(candidate => candidate.metadata.chunkIndex === chunkIndex);
+      if (!chunk) {
+        return null;
+      }
+
+      await vectorService.deleteMultipleDocuments([chunk.id]);
+
+      const remaining = chunks.filter(candidate => candidate.id !== chunk.id);
+      if (remaining.length > 0) {
+        await vectorService.updateDocuments(remaining.map(candidate => ({
+          id: candidate.id,
+          metadata: { ...candidate.metadata, totalChunks: remaining.length }
+        })));
+      }
+
+      logger.info('Chunk deleted', { documentId, chunkIndex, remainingChunks: remaining.length });
+      return { documentId, chunkIndex, id: chunk.id, remainingChunks: remaining.length };
+    } catch (error) {
+      logger.error('Failed to delete chunk', { error: error.message, documentId, chunkIndex });
+      throw error;
+    }
+  }
 
+  async documentExists(documentId) {
+    const [chunk] = await vectorService.getDocumentsByMetadata({ documentId }, { limit: 1 });
+    return Boolean(chunk);
+  }
+
+  // Upload fields that a revision keeps from the previous version unless it sets them again
+  inheritedMetadata(previous = {}) {
+    const inherited = {};
+    ['title', 'description', 'tags'].forEach(key => {
+      if (previous[key] !== undefined && previous[key] !== null) inherited[key] = previous[key];
+    });
+    return inherited;
+  }
+
+  definedFields(fields) {
+    return Object.fromEntries(Object.entries(fields).filter(([, value]) =>
+      value !== undefined && !(Array.isArray(value) && value.length === 0)));
+  }
+
+  // Chroma has no transactions: the new chunks are added first and the old ones deleted after,
+  // so a failure part-way leaves one complete version in place rather than none
+  async swapChunks(staleIds, documents) {
+    await vectorService.addDocuments(documents);
+
+    const newIds = new Set(documents.map(doc => doc.id));
+    const toDelete = staleIds.filter(id => !newIds.has(id));
+    if (toDelete.length === 0) return;
+
+    try {
+      await vectorService.deleteMultipleDocuments(toDelete);
+    } catch (error) {
+      await vectorService.deleteMultipleDocuments([...newIds]).catch(rollbackError =>
+        logger.error('Failed to roll back new revision chunks', { error: rollbackError.message }));
       throw error;
     }
   }
 
-  async processMultipleDocuments(filePaths, metadata = {}) {
+  originalKey(documentId, contentHash) {
+    return `${documentId}/${contentHash}`;
+  }
+
+  // Keyed by content hash, so a reprocess (same text) reuses the stored original. Ingestion
+  // has already succeeded at this point, so a storage failure is only logged.
+  async storeOriginal(documentId, contentHash, fileBuffer, metadata) {
+    try {
+      const key = this.originalKey(documentId, contentHash);
+      if (await this.blobStore.exists(key)) return;
+
+      await this.blobStore.put(key, fileBuffer, { ...metadata, documentId, contentHash, storedAt: new Date().toISOString() });
+    } catch (error) {
+      logger.warn('Failed to store original file', { documentId, error: error.message });
+    }
+  }
+
+  // The uploaded file behind the current (or given) version: { buffer, metadata }, or null
+  // when the document, the version or its stored original does not exist
+  async getOriginalFile(documentId, version = null) {
+    try {
+      const [chunk] = await vectorService.getDocumentsByMetadata({ documentId }, { limit: 1 });
+      if (!chunk) return null;
+
+      const entry = version === null
+        ? null
+        : (this.versionStore.read(documentId)?.versions || []).find(v => v.version === version);
+      if (version !== null && !entry && Number(chunk.metadata.version || 1) !== version) return null;
+
+      const contentHash = entry?.contentHash || chunk.metadata.contentHash;
+      if (!contentHash) return null;
+
+      return await this.blobStore.get(this.originalKey(documentId, contentHash));
+    } catch (error) {
+      logger.error('Failed to read original file', { error: error.message, documentId });
+      throw error;
+    }
+  }
+
+  // Queues the stored original for extraction, chunking and embedding again, with the given
+  // chunking settings or else those the current version was uploaded with. Returns null
+  // when the document does not exist; throws when its original was never stored.
+  async reprocessDocument(documentId, chunking = null) {
+    const [chunk] = await vectorService.getDocumentsByMetadata({ documentId }, { limit: 1 });
+    if (!chunk) return null;
+
+    const original = chunk.metadata.contentHash
+      ? await this.blobStore.get(this.originalKey(documentId, chunk.metadata.contentHash))
+      : null;
+    if (!original) {
+      const error = new Error(`No original file stored for document ${documentId}`);
+      error.code = 'ORIGINAL_NOT_STORED';
+      throw error;
+    }
+
+    const history = this.versionStore.read(documentId);
+    const currentVersion = history?.versions[history.versions.length - 1];
+    const uploadMetadata = currentVersion?.metadata || {};
+    const originalName = original.metadata.originalName || chunk.metadata.originalName || chunk.metadata.source;
+    const settings = chunking || currentVersion?.chunking || null;
+
+    logger.info('Reprocessing document from stored original', { documentId, chunking: settings });
+
+    return this.enqueueDocumentBuffer(original.buffer, originalName, uploadMetadata, original.metadata.mimeType || null, {
+      documentId,
+      reprocess: true,
+      ...(settings && { chunking: settings })
+    });
+  }
+
+  recordVersion(documentId, entry) {
+    try {
+      const history = this.versionStore.read(documentId) || { documentId, versions: [] };
+      history.versions = history.versions.filter(existing => existing.version !== entry.version);
+      history.versions.push(entry);
+      this.versionStore.write(documentId, history);
+    } catch (error) {
+      logger.warn('Failed to record document version', { documentId, version: entry.version, error: error.message });
+    }
+  }
+
+  // Version list for a document; documents ingested before history was kept report only
+  // their current version, read from the stored chunks
+  async getVersionHistory(documentId) {
+    const history = this.versionStore.read(documentId);
+    if (history && history.versions.length > 0) {
+      const versions = history.versions.map(({ outline, ...entry }) => ({ ...entry, sectionCount: outline?.length || 0 }));
+      return { documentId, currentVersion: versions[versions.length - 1].version, versions };
+    }
+
+    const [chunk] = await vectorService.getDocumentsByMetadata({ documentId }, { limit: 1 });
+    if (!chunk) return null;
+
+    const version = chunk.metadata.version || 1;
+    return {
+      documentId,
+      currentVersion: version,
+      versions: [{
+        version,
+        createdAt: chunk.metadata.createdAt,
+        originalName: chunk.metadata.originalName || chunk.metadata.source,
+        fileType: chunk.metadata.fileType,
+        contentHash: chunk.metadata.contentHash || null,
+        chunkCount: chunk.metadata.totalChunks
+      }]
+    };
+  }
+
+  // Compares two recorded versions (defaults: the latest against the one before it).
+  // Returns null when the document or either version has no recorded history.
+  getVersionDiff(documentId, fromVersion = null, toVersion = null) {
+    const history = this.versionStore.read(documentId);
+    if (!history || history.versions.length === 0) return null;
+
+    const latest = history.versions[history.versions.length - 1].version;
+    const to = toVersion ?? latest;
+    const from = fromVersion ?? to - 1;
+    const fromEntry = history.versions.find(entry => entry.version === from);
+    const toEntry = history.versions.find(entry => entry.version === to);
+    if (!fromEntry || !toEntry) return null;
+
+    return {
+      documentId,
+      from,
+      to,
+      contentChanged: fromEntry.contentHash !== toEntry.contentHash,
+      ...diffOutlines(fromEntry.outline, toEntry.outline)
+    };
+  }
+
+  // Maps each fingerprint already stored for another document to the id of that chunk
+  async findNearDuplicateChunks(fingerprints, documentId) {
+    const matches = await vectorService.getDocumentsByMetadata({
+      chunkFingerprint: { $in: [...new Set(fingerprints)] },
+      documentId: { $ne: documentId },
+      expiresAtMs: { $gt: Date.now() }
+    });
+
+    const found = new Map();
+    matches.forEach(match => {
+      if (!found.has(match.metadata.chunkFingerprint)) {
+        found.set(match.metadata.chunkFingerprint, match.id);
+      }
+    });
+    return found;
+  }
+
+  // Uploaded files are deleted once processed; `keepFile` leaves files that are not ours in place
+  async processDocument(filePath, metadata = {}, options = {}) {
     try {
-      logger.info('Starting batch document processing', { fileCount: filePaths.length });
+      const fileType = documentParser.validateFile(filePath);
+      const fileBuffer = fs.readFileSync(filePath);
+
+      return await this.processDocumentBuffer(fileBuffer, path.basename(filePath), metadata, { ...options, fileType });
+    } finally {
+      if (!options.keepFile) this.cleanupFile(filePath);
+    }
+  }
+
+  // Items are either file paths on disk or in-memory uploads shaped { buffer, originalName, metadata };
+  // `options` (e.g. onDuplicate) apply to every item
+  async processMultipleDocuments(items, metadata = {}, options = {}) {
+    try {
+      logger.info('Starting batch document processing', { fileCount: items.length });
 
       const results = [];
       const batchSize = 3; 
 
-      for (let i = 0; i < filePaths.length; i += batchSize) {
-        const batch = filePaths.slice(i, i + batchSize);
+      const processItem = (item) => {
+        if (typeof item === 'string') {
+          return this.processDocument(item, metadata, options);
+        }
+        return this.processDocumentBuffer(item.buffer, item.originalName, { ...metadata, ...item.metadata }, {
+          ...options,
+          mimeType: item.mimeType
+        });
+      };
+
+      for (let i = 0; i < items.length; i += batchSize) {
+        const batch = items.slice(i, i + batchSize);
         
-        logger.info(`Processing batch ${Math.floor(i / batchSize) + 1}/${Math.ceil(filePaths.length / batchSize)}`, {
+        logger.info(`Processing batch ${Math.floor(i / batchSize) + 1}/${Math.ceil(items.length / batchSize)}`, {
           batchSize: batch.length,
           totalProcessed: i
         });
 
-        const batchResults = await Promise.allSettled(
-          batch.map(filePath => this.processDocument(filePath, metadata))
-        );
+        const batchResults = await Promise.allSettled(batch.map(processItem));
 
         batchResults.forEach((result, index) => {
+          const item = batch[index];
+          const itemRef = typeof item === 'string'
+            ? { filePath: item }
+            : { originalName: item.originalName, ...(item.metadata?.pathInArchive && { pathInArchive: item.metadata.pathInArchive }) };
+
           if (result.status === 'fulfilled') {
-            results.push(result.value);
+            results.push({ ...itemRef, ...result.value });
           } else {
             logger.error('Batch processing failed for file', {
-              filePath: batch[index],
+              ...itemRef,
               error: result.reason.message
             });
             results.push({
               status: 'failed',
-              filePath: batch[index],
+              ...itemRef,
               error: result.reason.message
             });
           }
         });
 
         
-        if (i + batchSize < filePaths.length) {
+        if (i + batchSize < items.length) {
           await new Promise(resolve => setTimeout(resolve, 1000));
         }
       }
@@ -265,7 +882,7 @@ export class DocumentService {
       const failureCount = results.filter(r => r.status === 'failed').length;
 
       logger.info('Batch document processing completed', {
-        totalFiles: filePaths.length,
+        totalFiles: items.length,
         successCount,
         failureCount
       });
@@ -275,7 +892,7 @@ export class DocumentService {
     } catch (error) {
       logger.error('Batch document processing failed', { 
         error: error.message, 
-        fileCount: filePaths.length 
+        fileCount: items.length 
       });
       throw error;
     }
@@ -326,6 +943,109 @@ export class DocumentService {
     }
   }
 
+  // The shared chunker, or one for a document's own chunking settings. Sizes are in
+  // characters, or in tokens (capped at the embedding model's window) for the token strategy.
+  createChunker(chunking) {
+    if (!chunking) {
+      return textChunker;
+    }
+
+    const { strategy, chunkSize, chunkOverlap } = chunking;
+    if (strategy === 'token') {
+      return new TextChunker({
+        strategy,
+        maxTokens: Math.min(chunkSize || MAX_CHUNK_TOKENS, MAX_CHUNK_TOKENS),
+        overlapTokens: chunkOverlap ?? config.chunking.overlapTokens
+      });
+    }
+
+    return new TextChunker({
+      strategy,
+      maxChunkSize: chunkSize,
+      overlapSize: chunkOverlap,
+      ...(strategy === 'semantic' && { embed: texts => embeddingService.generateEmbeddings(texts) })
+    });
+  }
+
+  // A chunker's settings in the form createChunker takes, as recorded on a version
+  chunkingSettings(chunker) {
+    return chunker.tokenizer
+      ? { strategy: chunker.strategy, chunkSize: chunker.maxTokens, chunkOverlap: chunker.overlapTokens }
+      : { strategy: chunker.strategy, chunkSize: chunker.maxChunkSize, chunkOverlap: chunker.overlapSize };
+  }
+
+  // The document's chunks in chunkIndex order with their offsets into the stitched text,
+  // or null when the document does not exist
+  async loadOrderedChunks(documentId) {
+    const chunks = await vectorService.getDocumentsByMetadata({ documentId });
+    if (chunks.length === 0) return null;
+
+    chunks.sort((a, b) => (a.metadata.chunkIndex ?? 0) - (b.metadata.chunkIndex ?? 0));
+    const { text, offsets } = textChunker.stitchChunks(chunks);
+    return { chunks: chunks.map((chunk, index) => ({ ...chunk, ...offsets[index] })), text };
+  }
+
+  pageOf(items, page, limit) {
+    const start = (page - 1) * limit;
+    return {
+      items: items.slice(start, start + limit),
+      pagination: { page, limit, total: items.length, totalPages: Math.ceil(items.length / limit) }
+    };
+  }
+
+  async getDocumentChunks(documentId, { page = 1, limit = 10 } = {}) {
+    try {
+      const loaded = await this.loadOrderedChunks(documentId);
+      if (!loaded) return null;
+
+      const { items, pagination } = this.pageOf(loaded.chunks, page, limit);
+      return {
+        documentId,
+        chunks: items.map(({ id, text, metadata, charStart, charEnd, overlapChars }) => ({
+          id,
+          chunkIndex: metadata.chunkIndex,
+          text,
+          charStart,
+          charEnd,
+          overlapChars,
+          metadata
+        })),
+        pagination
+      };
+    } catch (error) {
+      logger.error('Failed to get document chunks', { error: error.message, documentId });
+      throw error;
+    }
+  }
+
+  // Full extracted text rebuilt from the chunks with the overlap removed. Pages cover
+  // `limit` chunks each; a page's text is text.substring(charStart, charEnd) of the whole.
+  async getDocumentText(documentId, { page = 1, limit = 10 } = {}) {
+    try {
+      const loaded = await this.loadOrderedChunks(documentId);
+      if (!loaded) return null;
+
+      const { items, pagination } = this.pageOf(loaded.chunks, page, limit);
+      const first = items[0];
+      const last = items[items.length - 1];
+      const charStart = first ? first.charStart + (page > 1 ? first.overlapChars : 0) : loaded.text.length;
+      const charEnd = last ? last.charEnd : loaded.text.length;
+
+      return {
+        documentId,
+        text: loaded.text.substring(charStart, charEnd),
+        charStart,
+        charEnd,
+        totalLength: loaded.text.length,
+        chunkRange: first ? { start: first.metadata.chunkIndex, end: last.metadata.chunkIndex } : null,
+        pagination
+      };
+    } catch (error) {
+      logger.error('Failed to get document text', { error: error.message, documentId });
+      throw error;
+    }
+  }
+
   async deleteDocument(documentId) {
     try {
       logger.info('Deleting document', { documentId });
@@ -342,6 +1062,8 @@ export class DocumentService {
       
       const chunkIds = documentChunks.map(chunk => chunk.id);
       await vectorService.deleteMultipleDocuments(chunkIds);
+      this.versionStore.remove(documentId);
+      await this.blobStore.remove(documentId);
       
       logger.info('Document deletion completed', { 
         documentId, 
@@ -375,8 +1097,8 @@ export class DocumentService {
     }
   }
 
-  getProcessingStatus(documentId) {
-    return this.processingQueue.get(documentId) || { status: 'not_found' };
+  getProcessingStatus(jobId) {
+    return this.processingQueue.get(jobId) || { status: 'not_found' };
   }
 
   async getSystemStats() {
@@ -392,10 +1114,13 @@ export class DocumentService {
         embeddings: {
           cacheSize: embeddingStats.size,
           model: embeddingStats.model,
-          maxLength: embeddingStats.maxLength
+          maxLength: embeddingStats.maxLength,
+          maxTokens: embeddingStats.maxTokens
         },
         processing: {
-          activeJobs: this.processingQueue.size
+          activeJobs: this.activeJobCount,
+          queuedJobs: this.pendingJobs.length,
+          concurrency: config.jobs.concurrency
         }
       };
     } catch (error) {
@@ -404,19 +1129,37 @@ export class DocumentService {
     }
   }
 
+  // One entry per document (not per chunk), skipping chunks past their retention
+  async getDocumentCatalog() {
+    const chunks = await vectorService.getAllDocuments({ includeText: false });
+    const now = Date.now();
+    return groupChunksByDocument(chunks
+      .map(chunk => chunk.metadata)
+      .filter(metadata => !metadata.expiresAtMs || metadata.expiresAtMs > now));
+  }
+
+  // Filtered, sorted page of the catalog. A cursor from a previous page carries its own
+  // sort field and order, which take precedence over sortBy/order.
+  async listDocuments({ filters = {}, page = 1, limit = 10, cursor = null, sortBy = 'createdAt', order = 'desc' } = {}) {
+    try {
+      const catalog = filterCatalog(await this.getDocumentCatalog(), filters);
+      const effectiveSortBy = cursor?.sortBy || sortBy;
+      const effectiveOrder = cursor?.order || order;
+
+      const result = paginateCatalog(catalog, { page, limit, cursor, sortBy: effectiveSortBy, order: effectiveOrder });
+
+      logger.debug('Document catalog listed', { total: result.pagination.total, returned: result.documents.length });
+      return { ...result, sort: { sortBy: effectiveSortBy, order: effectiveOrder } };
+    } catch (error) {
+      logger.error('Failed to list documents', { error: error.message });
+      throw error;
+    }
+  }
+
   async getAllDocuments() {
     try {
-      const documents = await vectorService.getAllDocuments();
-      
-      return documents.map(doc => ({
-        id: doc.id,
-        title: doc.metadata?.source || 'Unknown',
-        filename: doc.metadata?.source || 'Unknown',
-        size: doc.metadata?.originalSize || 0,
-        type: doc.metadata?.fileType || 'unknown',
-        uploadDate: doc.metadata?.timestamp || new Date().toISOString(),
-        status: 'processed'
-      }));
+      const catalog = await this.getDocumentCatalog();
+      return catalog.sort((a, b) => compareCatalogEntries(a, b, 'createdAt', 'desc'));
     } catch (error) {
       logger.error('Failed to get all documents', { error: error.message });
       throw error;
@@ -428,6 +1171,8 @@ export class DocumentService {
       logger.warn('Resetting all documents from vector database');
       
       const result = await vectorService.clearCollection();
+      this.versionStore.list().forEach(history => this.versionStore.remove(history.documentId));
+      await this.blobStore.clear();
       
       logger.info('Document reset completed successfully');
       return result;
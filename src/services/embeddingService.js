@@ -1,11 +1,13 @@
 import { getHuggingfaceClient, aiConfig } from '../config/ai.js';
+import { config } from '../config/app.js';
 import { logger } from '../utils/logger.js';
+import { getTokenizer, SPECIAL_TOKEN_COUNT } from '../utils/tokenizer.js';
 
 export class EmbeddingService {
   constructor() {
     this.client = null;
     this.model = aiConfig.huggingface.embeddingModel;
-    this.maxLength = aiConfig.huggingface.maxLength;
+    this.maxTokens = config.embedding.maxTokens;
     this.embeddingCache = new Map();
   }
 
@@ -100,7 +102,7 @@ export class EmbeddingService {
     }
   }
 
-  async generateEmbeddings(texts) {
+  async generateEmbeddings(texts, onProgress = null) {
     try {
       if (!Array.isArray(texts) || texts.length === 0) {
         throw new Error('Texts must be a non-empty array');
@@ -118,6 +120,10 @@ export class EmbeddingService {
         );
         embeddings.push(...batchEmbeddings);
 
+        if (onProgress) {
+          onProgress(embeddings.length, texts.length);
+        }
+
         if (i + batchSize < texts.length) {
           await new Promise(resolve => setTimeout(resolve, 100));
         }
@@ -145,35 +151,19 @@ export class EmbeddingService {
       .trim();
   }
 
+  // Cuts text on a word boundary to what fits the model's token window
   truncateText(text) {
-    if (text.length <= this.maxLength) {
-      return text;
-    }
-    
-    const sentences = text.split(/[.!?]+/);
-    let truncated = '';
-    
-    for (const sentence of sentences) {
-      if ((truncated + sentence).length <= this.maxLength) {
-        truncated += sentence + '.';
-      } else {
-        break;
-      }
-    }
-    
-    if (truncated.length === 0) {
-      const words = text.split(' ');
-      for (const word of words) {
-        if ((truncated + word + ' ').length <= this.maxLength) {
-          truncated += word + ' ';
-        } else {
-          break;
-        }
+    const limit = this.maxTokens - SPECIAL_TOKEN_COUNT;
+    let tokens = 0;
+
+    for (const word of getTokenizer().words(text)) {
+      tokens += word.tokens;
+      if (tokens > limit) {
+        return word.start > 0 ? text.substring(0, word.start).trim() : text;
       }
-      truncated = truncated.trim();
     }
-    
-    return truncated || text.substring(0, this.maxLength);
+
+    return text;
   }
 
   generateCacheKey(text) {
@@ -191,11 +181,13 @@ export class EmbeddingService {
     logger.info('Embedding cache cleared');
   }
 
+  // maxLength is kept for existing clients; inputs are now limited in tokens, so it equals maxTokens
   getCacheStats() {
     return {
       size: this.embeddingCache.size,
       model: this.model,
-      maxLength: this.maxLength
+      maxLength: this.maxTokens,
+      maxTokens: this.maxTokens
     };
   }
 }
@@ -54,11 +54,11 @@ export class RAGService {
     }
   }
 
-  async processQuery(query, maxResults = 5, includeMetadata = false) {
+  async processQuery(query, maxResults = 5, includeMetadata = false, options = {}) {
     const startTime = Date.now();
     const maxRetries = 3;
     let attempt = 0;
-    const { documentId } = typeof query === 'object' ? query : (arguments[3] || {});
+    const { documentId, threadId } = options;
     
     while (attempt < maxRetries) {
       try {
@@ -67,7 +67,8 @@ export class RAGService {
           query: query.substring(0, 100), 
           maxResults, 
           attempt,
-          ...(documentId && { documentId })
+          ...(documentId && { documentId }),
+          ...(threadId && { threadId })
         });
 
         if (!this.mistralClient) {
@@ -86,7 +87,9 @@ export class RAGService {
 
         logger.debug('Query embedding generated', { embeddingLength: queryEmbedding.length });
 
-        const whereFilter = documentId ? { documentId } : null;
+        const whereFilter = documentId || threadId
+          ? { ...(documentId && { documentId }), ...(threadId && { threadId }) }
+          : null;
         const searchResults = await this.searchDocumentsWithRetryWithFilter(queryEmbedding, maxResults, maxRetries, whereFilter);
         
         if (!searchResults || searchResults.length === 0) {
@@ -122,7 +125,8 @@ export class RAGService {
             totalTokensUsed: aiResponse.tokensUsed,
             model: this.model,
             attempts: attempt,
-            ...(documentId && { scopedDocumentId: documentId })
+            ...(documentId && { scopedDocumentId: documentId }),
+            ...(threadId && { scopedThreadId: threadId })
           }
         };
 
@@ -224,7 +228,8 @@ export class RAGService {
       let context = 'Based on the following information:\n\n';
       
       searchResults.forEach((result, index) => {
-        context += `Source ${index + 1}:\n${result.text}\n\n`;
+        const location = this.describeLocation(result.metadata);
+        context += `Source ${index + 1}${location ? ` (${location})` : ''}:\n${result.text}\n\n`;
         
         if (includeMetadata && result.metadata) {
           context += `Metadata: ${JSON.stringify(result.metadata)}\n\n`;
@@ -326,10 +331,40 @@ Please provide a comprehensive answer based on the sources above. If you need to
 Answer:`;
   }
 
+  // Human-readable position of a chunk inside its document, e.g. "slide 7" or "rows 12-18"
+  describeLocation(metadata = {}) {
+    const range = (unit, start, end) => {
+      if (start === undefined || start === null) return null;
+      return start === end || end === undefined || end === null
+        ? `${unit} ${start}`
+        : `${unit}s ${start}-${end}`;
+    };
+
+    const parts = [
+      metadata.sectionPath || null,
+      metadata.symbolName || null,
+      range('line', metadata.lineStart, metadata.lineEnd),
+      range('page', metadata.pageStart, metadata.pageEnd),
+      range('slide', metadata.slideNumber, metadata.slideNumber),
+      range('row', metadata.rowStart, metadata.rowEnd),
+      range('paragraph', metadata.paragraphStart, metadata.paragraphEnd),
+      metadata.messageIndex ? `message ${metadata.messageIndex}${metadata.from ? ` from ${metadata.from}` : ''}` : null
+    ].filter(Boolean);
+
+    return parts.length ? parts.join(', ') : null;
+  }
+
+  // PDF chunks cite their pages; `link` uses the PDF open parameter so viewers jump to the first one
   formatSources(searchResults, includeMetadata = false) {
     return searchResults.map((result, index) => ({
       id: result.id,
       source: result.metadata?.source || 'Unknown',
+      location: this.describeLocation(result.metadata),
+      ...(result.metadata?.pageStart && {
+        pageStart: result.metadata.pageStart,
+        pageEnd: result.metadata.pageEnd ?? result.metadata.pageStart,
+        link: `${result.metadata.source || 'Unknown'}#page=${result.metadata.pageStart}`
+      }),
       relevance: result.relevance,
       text: result.text.substring(0, 200) + (result.text.length > 200 ? '...' : ''),
       ...(includeMetadata && { metadata: result.metadata })
@@ -32,12 +32,31 @@ export class VectorService {
       this.client = getChromaClient();
       logger.info('Vector service initialized');
       this.startCleanupJob();
+      await this.backfillDisabledFlag();
     } catch (error) {
       logger.error('Failed to initialize vector service', { error: error.message });
       throw error;
     }
   }
 
+  // Retrieval excludes chunks with `disabled: { $ne: true }`, and Chroma only matches a where
+  // clause against chunks that have the key. Chunks stored before chunks could be disabled
+  // get an explicit `disabled: false` so they stay retrievable.
+  async backfillDisabledFlag() {
+    try {
+      const missing = (await this.getAllDocuments({ includeText: false }))
+        .filter(doc => doc.metadata.disabled === undefined);
+      if (missing.length === 0) return 0;
+
+      await this.updateDocuments(missing.map(doc => ({ id: doc.id, metadata: { ...doc.metadata, disabled: false } })));
+      logger.info('Backfilled disabled flag on chunks', { count: missing.length });
+      return missing.length;
+    } catch (error) {
+      logger.warn('Failed to backfill disabled flag on chunks', { error: error.message });
+      return 0;
+    }
+  }
+
   startCleanupJob() {
     if (this.cleanupTimer) return;
     const intervalMs = (config.retention.cleanupIntervalMinutes || 60) * 60 * 1000;
@@ -111,6 +130,15 @@ export class VectorService {
     }
   }
 
+  // Chroma accepts a single field per where clause; several fields must be combined with $and
+  buildWhere(conditions) {
+    const entries = Object.entries(conditions).filter(([, value]) => value !== undefined);
+    if (entries.length <= 1) {
+      return Object.fromEntries(entries);
+    }
+    return { $and: entries.map(([key, value]) => ({ [key]: value })) };
+  }
+
   async searchSimilar(queryEmbedding, maxResults = 5, filter = null) {
     try {
       if (!this.collection) {
@@ -122,7 +150,7 @@ export class VectorService {
       }
 
       const nowMs = Date.now();
-      const where = { expiresAtMs: { $gt: nowMs }, ...(filter || {}) };
+      const where = this.buildWhere({ expiresAtMs: { $gt: nowMs }, disabled: { $ne: true }, ...(filter || {}) });
 
       logger.info('Searching for similar documents', { 
         maxResults, 
@@ -205,7 +233,30 @@ export class VectorService {
     }
   }
 
-  async getAllDocuments() {
+  async getDocumentsByMetadata(conditions, { limit } = {}) {
+    try {
+      if (!this.collection) {
+        await this.initialize();
+      }
+
+      const results = await this.collection.get({
+        where: this.buildWhere(conditions),
+        ...(limit && { limit })
+      });
+
+      return (results.ids || []).map((id, index) => ({
+        id,
+        text: results.documents?.[index],
+        metadata: results.metadatas?.[index] || {}
+      }));
+    } catch (error) {
+      logger.error('Failed to retrieve documents by metadata', { error: error.message });
+      throw error;
+    }
+  }
+
+  // `includeText: false` skips the chunk text when only metadata is needed
+  async getAllDocuments({ includeText = true } = {}) {
     try {
       if (!this.collection) {
         await this.initialize();
@@ -220,16 +271,17 @@ export class VectorService {
       }
 
       const results = await this.collection.get({
-        limit: count
+        limit: count,
+        ...(!includeText && { include: ['metadatas'] })
       });
 
-      if (!results.documents || results.documents.length === 0) {
+      if (!results.ids || results.ids.length === 0) {
         return [];
       }
 
-      const documents = results.documents.map((doc, index) => ({
-        id: results.ids[index],
-        text: doc,
+      const documents = results.ids.map((id, index) => ({
+        id,
+        text: results.documents?.[index] ?? null,
         metadata: results.metadatas[index] || {}
       }));
 
@@ -312,6 +364,38 @@ export class VectorService {
     }
   }
 
+  // Batch form of updateDocument: [{ id, metadata, embedding? }], applied in one request
+  async updateDocuments(updates) {
+    try {
+      if (!this.collection) {
+        await this.initialize();
+      }
+
+      if (!Array.isArray(updates) || updates.length === 0) {
+        throw new Error('Updates must be a non-empty array');
+      }
+
+      logger.info('Updating documents', { count: updates.length });
+
+      const updateParams = {
+        ids: updates.map(update => update.id),
+        metadatas: updates.map(update => toPrimitiveMetadata(update.metadata))
+      };
+
+      if (updates.every(update => update.embedding)) {
+        updateParams.embeddings = updates.map(update => update.embedding);
+      }
+
+      const result = await this.collection.update(updateParams);
+
+      logger.info('Documents updated successfully', { count: updates.length });
+      return result;
+    } catch (error) {
+      logger.error('Failed to update documents', { error: error.message, count: updates?.length });
+      throw error;
+    }
+  }
+
   async deleteDocument(id) {
     try {
       if (!this.collection) {
@@ -0,0 +1,161 @@
+import path from 'path';
+import JSZip from 'jszip';
+import { documentParser } from './documentParser.js';
+import { splitMbox } from './parsers/email.js';
+import { config } from '../config/app.js';
+
+const ZIP_MIME_TYPES = ['application/zip', 'application/x-zip-compressed', 'application/x-zip'];
+
+// macOS resource forks and dotfiles are archive noise rather than documents
+const isIgnoredEntry = (entryPath) =>
+  entryPath.startsWith('__MACOSX/') || path.posix.basename(entryPath).startsWith('.');
+
+const limitError = (message) => {
+  const error = new Error(message);
+  error.code = 'ARCHIVE_LIMIT_EXCEEDED';
+  return error;
+};
+
+export const isArchive = (originalName, mimeType) => {
+  const allowlist = config.upload.fileTypeAllowlist;
+  if (allowlist && !allowlist.includes('zip')) return false;
+
+  const extension = path.extname(originalName || '').toLowerCase();
+  if (extension === '.zip') return true;
+  // .docx, .pptx and .odt files are zips too and often arrive as application/zip; a
+  // document extension a parser handles wins over the mime type
+  if (documentParser.parsers.has(documentParser.getFileTypeFromPath(originalName || ''))) return false;
+
+  return ZIP_MIME_TYPES.includes((mimeType || '').toLowerCase().split(';')[0].trim());
+};
+
+// An mbox holds many messages; each is ingested as a document of its own
+export const isMailbox = (originalName) => path.extname(originalName || '').toLowerCase() === '.mbox';
+
+// Splits an mbox upload into one .eml file per message, in the { files, skipped } form of
+// expandZip. Files also carry the message's 1-based `messageIndex`.
+export const expandMailbox = (buffer, mailboxName, { maxEntries = config.upload.maxArchiveEntries, prefix = '' } = {}) => {
+  // Latin-1 maps bytes one to one, so each message keeps its original bytes (and charsets)
+  const messages = splitMbox(buffer.toString('latin1'));
+  if (messages.length > maxEntries) {
+    throw limitError(`Mailbox has more than ${maxEntries} messages`);
+  }
+
+  const baseName = path.basename(mailboxName, path.extname(mailboxName));
+  return {
+    files: messages.map((message, index) => ({
+      buffer: Buffer.from(message, 'latin1'),
+      originalName: `${baseName}-${index + 1}.eml`,
+      pathInArchive: `${prefix}${baseName}-${index + 1}.eml`,
+      messageIndex: index + 1
+    })),
+    skipped: []
+  };
+};
+
+// Inflates an entry while counting bytes, so sizes are enforced on the real data rather than
+// on the (forgeable) sizes declared in the archive; resolves null once `maxBytes` is passed
+const readEntry = (entry, maxBytes) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let size = 0;
+  let done = false;
+
+  const stream = entry.internalStream('uint8array');
+  stream
+    .on('data', chunk => {
+      if (done) return;
+      size += chunk.length;
+      if (size > maxBytes) {
+        done = true;
+        stream.pause();
+        return resolve(null);
+      }
+      chunks.push(chunk);
+    })
+    .on('error', error => {
+      if (!done) reject(error);
+    })
+    .on('end', () => resolve(Buffer.concat(chunks)));
+  stream.resume();
+});
+
+// Expands a zip upload in memory into { files, skipped }. Files are { buffer, originalName,
+// pathInArchive } for every entry with a registered parser; nested zips are expanded too, up to
+// `maxDepth` archives deep, with paths prefixed by the nested archive's path. Skipped entries
+// are { pathInArchive, reason }. Entries larger than maxFileSize are skipped; passing the
+// entry count or total expanded size limits rejects the whole archive (ARCHIVE_LIMIT_EXCEEDED),
+// as does an upload that is not a zip at all (INVALID_ARCHIVE).
+export const expandZip = async (buffer, {
+  maxEntries = config.upload.maxArchiveEntries,
+  maxTotalSize = config.upload.maxArchiveExpandedSize,
+  maxFileSize = config.upload.maxFileSize,
+  maxDepth = config.upload.maxArchiveDepth
+} = {}) => {
+  const files = [];
+  const skipped = [];
+  let entryCount = 0;
+  let totalSize = 0;
+
+  const expand = async (archiveBuffer, prefix, depth) => {
+    let zip;
+    try {
+      zip = await JSZip.loadAsync(archiveBuffer);
+    } catch (error) {
+      const invalid = new Error(`Not a readable zip archive: ${error.message}`);
+      invalid.code = 'INVALID_ARCHIVE';
+      throw invalid;
+    }
+    const entries = Object.values(zip.files).filter(entry => !entry.dir && !isIgnoredEntry(entry.name));
+
+    for (const entry of entries) {
+      entryCount++;
+      if (entryCount > maxEntries) {
+        throw limitError(`Archive has more than ${maxEntries} files`);
+      }
+
+      const pathInArchive = prefix + entry.name;
+      const originalName = path.posix.basename(entry.name);
+      const nested = isArchive(originalName);
+
+      if (!nested && !documentParser.resolveFileType(originalName)) {
+        skipped.push({ pathInArchive, reason: 'Unsupported file type' });
+        continue;
+      }
+      if (nested && depth >= maxDepth) {
+        skipped.push({ pathInArchive, reason: `Archives nested more than ${maxDepth} deep are not expanded` });
+        continue;
+      }
+
+      const remaining = maxTotalSize - totalSize;
+      const content = await readEntry(entry, Math.min(maxFileSize, remaining));
+      if (!content) {
+        if (remaining <= maxFileSize) {
+          throw limitError(`Archive expands to more than ${maxTotalSize} bytes`);
+        }
+        skipped.push({ pathInArchive, reason: `Larger than the maximum file size of ${maxFileSize} bytes` });
+        continue;
+      }
+      totalSize += content.length;
+
+      if (nested) {
+        try {
+          await expand(content, `${pathInArchive}/`, depth + 1);
+        } catch (error) {
+          if (error.code === 'ARCHIVE_LIMIT_EXCEEDED') throw error;
+          skipped.push({ pathInArchive, reason: error.message });
+        }
+        continue;
+      }
+
+      if (isMailbox(originalName)) {
+        files.push(...expandMailbox(content, originalName, { maxEntries, prefix: `${pathInArchive}/` }).files);
+        continue;
+      }
+
+      files.push({ buffer: content, originalName, pathInArchive });
+    }
+  };
+
+  await expand(buffer, '', 1);
+  return { files, skipped };
+};
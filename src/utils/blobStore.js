@@ -0,0 +1,78 @@
+import fs from 'fs';
+import path from 'path';
+import { loadPlugins } from './plugins.js';
+
+// Keys are "/"-separated; each segment is reduced to a safe file name so a key can never
+// point outside the store's directory
+const keyToPath = (root, key) => path.join(root, ...String(key)
+  .split('/')
+  .filter(Boolean)
+  .map(segment => segment.replace(/[^a-zA-Z0-9._-]/g, '_').replace(/^\.+$/, '_')));
+
+// Stores each blob as a file with a JSON sidecar for its metadata (content type, name, ...)
+export class LocalBlobStore {
+  constructor({ directory }) {
+    this.directory = directory;
+  }
+
+  async put(key, buffer, metadata = {}) {
+    const filePath = keyToPath(this.directory, key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    // Same temp-file-then-rename approach as JsonFileStore, so readers never see a partial file
+    await fs.promises.writeFile(`${filePath}.tmp`, buffer);
+    await fs.promises.rename(`${filePath}.tmp`, filePath);
+    await fs.promises.writeFile(`${filePath}.meta.json`, JSON.stringify({ ...metadata, size: buffer.length }, null, 2));
+  }
+
+  // Returns { buffer, metadata } or null when nothing is stored under the key
+  async get(key) {
+    const filePath = keyToPath(this.directory, key);
+    if (!fs.existsSync(filePath)) return null;
+
+    const buffer = await fs.promises.readFile(filePath);
+    const metadataPath = `${filePath}.meta.json`;
+    const metadata = fs.existsSync(metadataPath)
+      ? JSON.parse(await fs.promises.readFile(metadataPath, 'utf-8'))
+      : {};
+
+    return { buffer, metadata };
+  }
+
+  async exists(key) {
+    return fs.existsSync(keyToPath(this.directory, key));
+  }
+
+  // Removes one blob, or every blob under a prefix such as a document id
+  async remove(keyOrPrefix) {
+    const target = keyToPath(this.directory, keyOrPrefix);
+    await fs.promises.rm(target, { recursive: true, force: true });
+    await fs.promises.rm(`${target}.meta.json`, { force: true });
+  }
+
+  async clear() {
+    await fs.promises.rm(this.directory, { recursive: true, force: true });
+  }
+}
+
+const drivers = new Map([
+  ['local', options => new LocalBlobStore(options)]
+]);
+
+// Other backends (S3, GCS, ...) register a factory here and are selected with BLOB_STORE.
+// A store implements async put(key, buffer, metadata), get(key), exists(key), remove(keyOrPrefix) and clear().
+export const registerBlobStoreDriver = (name, factory) => {
+  drivers.set(name, factory);
+};
+
+// Plugin modules export a default (or named `register`) function that receives registerBlobStoreDriver
+export const loadBlobStorePlugins = (modulePaths = []) =>
+  loadPlugins(modulePaths, registerBlobStoreDriver, 'Blob store');
+
+export const createBlobStore = (driver, options = {}) => {
+  const factory = drivers.get(driver);
+  if (!factory) {
+    throw new Error(`Unknown blob store driver: ${driver}`);
+  }
+  return factory(options);
+};
@@ -0,0 +1,13 @@
+import crypto from 'crypto';
+
+export const hashContent = (text) => crypto.createHash('sha256').update(text, 'utf8').digest('hex');
+
+// Hash of the text with case, punctuation and whitespace differences removed, so chunks that
+// only differ in formatting share a fingerprint
+export const fingerprintContent = (text) => hashContent(
+  text
+    .toLowerCase()
+    .normalize('NFKC')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim()
+);
@@ -0,0 +1,130 @@
+import * as cheerio from 'cheerio';
+
+// Drops the fragment so anchors on the same page are one URL; returns null for
+// anything that is not an http(s) URL
+export const normalizeUrl = (href, base) => {
+  try {
+    const url = new URL(href, base);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+    url.hash = '';
+    return url.toString();
+  } catch {
+    return null;
+  }
+};
+
+// Groups of the robots.txt that apply to `userAgent` (falling back to "*"), as
+// { rules: [{ allow, pattern }], crawlDelay, sitemaps }
+export const parseRobotsTxt = (text, userAgent) => {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const match = /^([a-zA-Z-]+)\s*:\s*(.*)$/.exec(line);
+    if (!match) continue;
+
+    const field = match[1].toLowerCase();
+    const value = match[2].trim();
+
+    if (field === 'sitemap') {
+      sitemaps.push(value);
+      continue;
+    }
+
+    if (field === 'user-agent') {
+      // Consecutive user-agent lines share the rules that follow them
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+
+    lastWasAgent = false;
+    if (!current) continue;
+
+    if (field === 'allow' || field === 'disallow') {
+      // An empty Disallow allows everything, so it adds no rule
+      if (value) current.rules.push({ allow: field === 'allow', pattern: value });
+    } else if (field === 'crawl-delay') {
+      const delay = parseFloat(value);
+      if (!isNaN(delay)) current.crawlDelay = delay;
+    }
+  }
+
+  const token = userAgent.toLowerCase().split('/')[0];
+  const group = groups.find(g => g.agents.some(agent => agent !== '*' && token.includes(agent)))
+    || groups.find(g => g.agents.includes('*'));
+
+  return { rules: group?.rules || [], crawlDelay: group?.crawlDelay ?? null, sitemaps };
+};
+
+const patternToRegExp = (pattern) => {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+};
+
+// The longest matching rule wins; Allow wins a tie (RFC 9309)
+export const isAllowedByRobots = (robots, url) => {
+  const { pathname, search } = new URL(url);
+  const target = pathname + search;
+  let best = null;
+
+  for (const rule of robots.rules) {
+    if (!patternToRegExp(rule.pattern).test(target)) continue;
+    if (!best || rule.pattern.length > best.pattern.length || (rule.pattern.length === best.pattern.length && rule.allow)) {
+      best = rule;
+    }
+  }
+
+  return !best || best.allow;
+};
+
+// <loc> entries of a sitemap, and whether it is a sitemap index pointing at more sitemaps
+export const parseSitemap = (xml) => {
+  const $ = cheerio.load(xml, { xml: true });
+  const isIndex = $('sitemapindex').length > 0;
+  const locations = $(isIndex ? 'sitemap > loc' : 'url > loc')
+    .map((_, loc) => $(loc).text().trim())
+    .get()
+    .filter(Boolean);
+
+  return { isIndex, locations };
+};
+
+// Canonical URL, title and same-origin links of an HTML page
+export const extractPageInfo = (html, pageUrl) => {
+  const $ = cheerio.load(html);
+  const origin = new URL(pageUrl).origin;
+
+  const canonicalHref = $('link[rel="canonical"]').attr('href');
+  const canonical = canonicalHref ? normalizeUrl(canonicalHref, pageUrl) : null;
+
+  const title = $('head > title').first().text().trim()
+    || $('meta[property="og:title"]').attr('content')?.trim()
+    || $('h1').first().text().trim()
+    || null;
+
+  const links = new Set();
+  $('a[href]').each((_, anchor) => {
+    if (/\bnofollow\b/i.test($(anchor).attr('rel') || '')) return;
+    const url = normalizeUrl($(anchor).attr('href'), pageUrl);
+    if (url && new URL(url).origin === origin) links.add(url);
+  });
+
+  return {
+    // A canonical link pointing at another site is ignored
+    canonicalUrl: canonical && new URL(canonical).origin === origin ? canonical : normalizeUrl(pageUrl),
+    title,
+    links: [...links]
+  };
+};
@@ -0,0 +1,129 @@
+export const CATALOG_SORT_FIELDS = ['title', 'tags', 'fileType', 'chunkCount', 'size', 'uploadedBy', 'createdAt', 'expiresAt'];
+
+const splitTags = (tags) => {
+  if (Array.isArray(tags)) return tags;
+  if (typeof tags !== 'string' || !tags.trim()) return [];
+  return tags.split(',').map(tag => tag.trim()).filter(Boolean);
+};
+
+// One catalog entry per documentId, built from the metadata of its chunks
+export const groupChunksByDocument = (metadatas) => {
+  const documents = new Map();
+
+  for (const metadata of metadatas) {
+    if (!metadata?.documentId) continue;
+
+    const entry = documents.get(metadata.documentId);
+    if (entry) {
+      entry.chunkCount++;
+      continue;
+    }
+
+    documents.set(metadata.documentId, {
+      documentId: metadata.documentId,
+      title: metadata.title || metadata.originalName || metadata.source || 'Untitled',
+      originalName: metadata.originalName || metadata.source || null,
+      tags: splitTags(metadata.tags),
+      fileType: metadata.fileType || 'unknown',
+      chunkCount: 1,
+      totalChunks: metadata.totalChunks || null,
+      size: metadata.fileSize || metadata.originalSize || 0,
+      textLength: metadata.originalSize || 0,
+      uploadedBy: metadata.uploadedBy || 'anonymous',
+      createdAt: metadata.createdAt || metadata.timestamp || null,
+      expiresAt: metadata.expiresAt || null,
+      version: metadata.version || 1,
+      ...(metadata.threadId && { threadId: metadata.threadId })
+    });
+  }
+
+  return Array.from(documents.values()).map(({ totalChunks, ...entry }) => ({
+    ...entry,
+    // A document missing chunks was only partly stored (or partly expired)
+    status: totalChunks && entry.chunkCount < totalChunks ? 'incomplete' : 'processed'
+  }));
+};
+
+export const filterCatalog = (documents, { tag, fileType, uploadedBy, threadId, createdAfter, createdBefore } = {}) => {
+  const fileTypes = fileType ? fileType.split(',').map(type => type.trim().toLowerCase()) : null;
+  const tagFilter = tag ? tag.trim().toLowerCase() : null;
+  const uploader = uploadedBy ? uploadedBy.trim().toLowerCase() : null;
+  const after = createdAfter ? new Date(createdAfter).getTime() : null;
+  const before = createdBefore ? new Date(createdBefore).getTime() : null;
+
+  return documents.filter(doc => {
+    const createdMs = doc.createdAt ? new Date(doc.createdAt).getTime() : null;
+    return (!tagFilter || doc.tags.some(t => t.toLowerCase() === tagFilter))
+      && (!fileTypes || fileTypes.includes(doc.fileType.toLowerCase()))
+      && (!uploader || doc.uploadedBy.toLowerCase() === uploader)
+      && (!threadId || doc.threadId === threadId)
+      && (after === null || (createdMs !== null && createdMs >= after))
+      && (before === null || (createdMs !== null && createdMs <= before));
+  });
+};
+
+const sortValue = (doc, sortBy) => {
+  const value = sortBy === 'tags' ? doc.tags.join(',') : doc[sortBy];
+  return typeof value === 'string' ? value.toLowerCase() : value;
+};
+
+// Orders by the sort field, then documentId so the order (and cursors) are stable.
+// Missing values sort last in either direction.
+export const compareCatalogEntries = (a, b, sortBy = 'createdAt', order = 'desc') => {
+  const left = sortValue(a, sortBy);
+  const right = sortValue(b, sortBy);
+  const direction = order === 'asc' ? 1 : -1;
+
+  if (left !== right) {
+    if (left === null || left === undefined || left === '') return 1;
+    if (right === null || right === undefined || right === '') return -1;
+    if (left < right) return -direction;
+    if (left > right) return direction;
+  }
+
+  return a.documentId < b.documentId ? -1 : a.documentId > b.documentId ? 1 : 0;
+};
+
+export const encodeCursor = (doc, sortBy, order) => Buffer
+  .from(JSON.stringify({ sortBy, order, value: sortValue(doc, sortBy) ?? null, documentId: doc.documentId }))
+  .toString('base64url');
+
+// Returns the decoded cursor, or null when it is malformed
+export const decodeCursor = (cursor) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return decoded && typeof decoded.documentId === 'string' && CATALOG_SORT_FIELDS.includes(decoded.sortBy)
+      ? decoded
+      : null;
+  } catch {
+    return null;
+  }
+};
+
+// Sorts, then slices either by page/limit or after a cursor from a previous page
+export const paginateCatalog = (documents, { page = 1, limit = 10, cursor = null, sortBy = 'createdAt', order = 'desc' } = {}) => {
+  const sorted = [...documents].sort((a, b) => compareCatalogEntries(a, b, sortBy, order));
+
+  let start = (page - 1) * limit;
+  if (cursor) {
+    const position = sortBy === 'tags'
+      ? { documentId: cursor.documentId, tags: cursor.value ? cursor.value.split(',') : [] }
+      : { documentId: cursor.documentId, [sortBy]: cursor.value };
+    const index = sorted.findIndex(doc => compareCatalogEntries(doc, position, sortBy, order) > 0);
+    start = index === -1 ? sorted.length : index;
+  }
+
+  const items = sorted.slice(start, start + limit);
+  const hasMore = start + limit < sorted.length;
+
+  return {
+    documents: items,
+    pagination: {
+      ...(!cursor && { page }),
+      limit,
+      total: sorted.length,
+      totalPages: Math.ceil(sorted.length / limit),
+      nextCursor: hasMore && items.length ? encodeCursor(items[items.length - 1], sortBy, order) : null
+    }
+  };
+};
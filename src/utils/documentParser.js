@@ -1,81 +1,277 @@
 import fs from 'fs';
 import path from 'path';
-import { createRequire } from 'module';
 import mammoth from 'mammoth';
-import * as cheerio from 'cheerio';
 import { config } from '../config/app.js';
 import { logger } from './logger.js';
- 
-const require = createRequire(import.meta.url);
+import { loadPlugins } from './plugins.js';
+import { parseMarkdownSections, hasMarkdownTable } from './parsers/markdown.js';
+import { csvToRecords, jsonToRecords } from './parsers/structured.js';
+import { parsePptxSlides, parseOdtParagraphs } from './parsers/office.js';
+import { rtfToParagraphs } from './parsers/rtf.js';
+import { parseEmailMessage, splitMbox } from './parsers/email.js';
+import { CODE_LANGUAGES, languageForExtension } from './parsers/code.js';
+import { parsePdfPages, removeRepeatedMargins, formatPageTables } from './parsers/pdf.js';
+import { htmlToMarkdown } from './parsers/html.js';
  
 export class DocumentParser {
   constructor() {
-    this.supportedFormats = config.upload.allowedFileTypes;
+    this.parsers = new Map();
+    this.mimeTypes = new Map();
+    this.allowlist = config.upload.fileTypeAllowlist;
+    this.registerBuiltInParsers();
   }
  
-  async parseDocument(filePath, fileType) {
+  registerBuiltInParsers() {
+    this.registerParser({
+      name: 'pdf',
+      extensions: ['pdf'],
+      mimeTypes: ['application/pdf'],
+      parse: buffer => this.parsePDF(buffer)
+    });
+    this.registerParser({
+      name: 'docx',
+      extensions: ['docx'],
+      mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+      parse: buffer => this.parseDOCX(buffer)
+    });
+    this.registerParser({
+      name: 'html',
+      extensions: ['html', 'htm'],
+      mimeTypes: ['text/html', 'application/xhtml+xml'],
+      parse: buffer => this.parseHTML(buffer)
+    });
+    this.registerParser({
+      name: 'markdown',
+      extensions: ['md', 'markdown'],
+      mimeTypes: ['text/markdown', 'text/x-markdown'],
+      parse: buffer => this.parseMarkdown(buffer)
+    });
+    this.registerParser({
+      name: 'csv',
+      extensions: ['csv', 'tsv'],
+      mimeTypes: ['text/csv', 'text/tab-separated-values', 'application/csv'],
+      parse: (buffer, { originalName }) => this.parseCSV(buffer, originalName)
+    });
+    this.registerParser({
+      name: 'json',
+      extensions: ['json', 'jsonl', 'ndjson'],
+      mimeTypes: ['application/json', 'application/x-ndjson', 'application/jsonl'],
+      parse: (buffer, { fileType, originalName }) => this.parseJSON(buffer, originalName, fileType !== 'json')
+    });
+    this.registerParser({
+      name: 'pptx',
+      extensions: ['pptx'],
+      mimeTypes: ['application/vnd.openxmlformats-officedocument.presentationml.presentation'],
+      parse: buffer => this.parsePPTX(buffer)
+    });
+    this.registerParser({
+      name: 'odt',
+      extensions: ['odt'],
+      mimeTypes: ['application/vnd.oasis.opendocument.text'],
+      parse: buffer => this.parseODT(buffer)
+    });
+    this.registerParser({
+      name: 'rtf',
+      extensions: ['rtf'],
+      mimeTypes: ['application/rtf', 'text/rtf'],
+      parse: buffer => this.parseRTF(buffer)
+    });
+    this.registerParser({
+      name: 'email',
+      extensions: ['eml', 'mbox'],
+      mimeTypes: ['message/rfc822', 'application/mbox'],
+      parse: (buffer, { fileType }) => this.parseEmail(buffer, fileType === 'mbox')
+    });
+    this.registerParser({
+      name: 'code',
+      extensions: Object.keys(CODE_LANGUAGES),
+      mimeTypes: ['text/javascript', 'application/javascript', 'text/x-python', 'text/x-java-source', 'text/x-go', 'text/x-c', 'text/x-csrc', 'text/x-c++src'],
+      parse: (buffer, { fileType }) => this.parseCode(buffer, fileType)
+    });
+    this.registerParser({
+      name: 'txt',
+      extensions: ['txt'],
+      mimeTypes: ['text/plain'],
+      parse: buffer => this.parseTXT(buffer)
+    });
+  }
+
+  // Parsers receive (buffer, { fileType, originalName }) and resolve either to the extracted
+  // text or to { sections: [{ text, metadata, format }] } when the format has structure worth
+  // keeping ('records' sections carry { header, records: [{ text, row, columns }] } instead of
+  // text). Registering an extension that already has a parser replaces it.
+  registerParser({ name, extensions, mimeTypes = [], parse }) {
+    if (!Array.isArray(extensions) || extensions.length === 0) {
+      throw new Error('Parser must declare at least one file extension');
+    }
+
+    if (typeof parse !== 'function') {
+      throw new Error('Parser must provide a parse function');
+    }
+
+    const parser = {
+      name: name || extensions[0],
+      extensions: extensions.map(ext => ext.toLowerCase().replace(/^\./, '')),
+      mimeTypes: mimeTypes.map(type => type.toLowerCase()),
+      parse
+    };
+
+    parser.extensions.forEach(ext => this.parsers.set(ext, parser));
+    parser.mimeTypes.forEach(type => this.mimeTypes.set(type, parser));
+
+    this.syncAllowedFileTypes();
+    logger.debug('Document parser registered', { name: parser.name, extensions: parser.extensions });
+
+    return parser;
+  }
+
+  // Plugin modules export a default (or named `register`) function that receives this parser
+  async loadPlugins(modulePaths = []) {
+    await loadPlugins(modulePaths, this, 'Parser');
+  }
+
+  syncAllowedFileTypes() {
+    config.upload.allowedFileTypes = this.getSupportedExtensions();
+  }
+
+  getSupportedExtensions() {
+    return Array.from(this.parsers.keys())
+      .filter(ext => !this.allowlist || this.allowlist.includes(ext));
+  }
+
+  getParser(fileType) {
+    if (!fileType || !this.isSupportedFormat(fileType)) return null;
+    return this.parsers.get(fileType.toLowerCase());
+  }
+
+  // Canonical file type for an upload: its extension when a parser handles it, otherwise
+  // the first extension of the parser registered for its MIME type
+  resolveFileType(originalName, mimeType) {
+    const extension = this.getFileTypeFromPath(originalName || '');
+    if (extension && this.isSupportedFormat(extension)) {
+      return extension;
+    }
+
+    const parser = mimeType ? this.mimeTypes.get(mimeType.toLowerCase().split(';')[0].trim()) : null;
+    const fallback = parser?.extensions.find(ext => this.isSupportedFormat(ext));
+    return fallback || null;
+  }
+
+  // Returns { text, sections }: the full cleaned text plus the sections it is chunked from
+  async extract(fileBuffer, { fileType, originalName } = {}) {
     try {
-      logger.info('Starting document parsing', { filePath, fileType });
-      
-      if (!this.isSupportedFormat(fileType)) {
+      logger.info('Starting document parsing', { originalName, fileType });
+
+      const parser = this.getParser(fileType || '');
+      if (!parser) {
         throw new Error(`Unsupported file format: ${fileType}`);
       }
  
-      const fileBuffer = fs.readFileSync(filePath);
-      let extractedText = '';
- 
-      switch (fileType.toLowerCase()) {
-        case 'pdf':
-          extractedText = await this.parsePDF(fileBuffer);
-          break;
-        case 'docx':
-          extractedText = await this.parseDOCX(fileBuffer);
-          break;
-        case 'html':
-          extractedText = await this.parseHTML(fileBuffer);
-          break;
-        case 'txt':
-          extractedText = await this.parseTXT(fileBuffer);
-          break;
-        default:
-          throw new Error(`Parser not implemented for format: ${fileType}`);
-      }
+      const output = await parser.parse(fileBuffer, { fileType, originalName });
+      const rawSections = typeof output === 'string' || !output
+        ? [{ text: output || '', metadata: {} }]
+        : output.sections || [];
  
-      const cleanedText = this.cleanExtractedText(extractedText);
+      const sections = rawSections
+        .map(section => this.normalizeSection(section))
+        .filter(section => section.text.length > 0);
+
+      const text = sections.map(section => section.text).join('\n\n');
       
       logger.info('Document parsing completed', { 
-        filePath, 
+        originalName,
         fileType, 
-        originalLength: extractedText.length,
-        cleanedLength: cleanedText.length 
+        parser: parser.name,
+        sectionCount: sections.length,
+        cleanedLength: text.length
       });
  
-      return cleanedText;
+      return { text, sections };
     } catch (error) {
-      logger.error('Document parsing failed', { filePath, fileType, error: error.message });
+      logger.error('Document parsing failed', { originalName, fileType, error: error.message });
       throw error;
     }
   }
  
+  normalizeSection(section) {
+    const format = section.format || 'text';
+    const metadata = section.metadata || {};
+
+    // Records holding a Markdown table keep their line structure
+    if (format === 'records') {
+      const records = (section.records || [])
+        .map(record => ({
+          ...record,
+          text: hasMarkdownTable(record.text) ? this.cleanStructuredText(record.text) : this.cleanExtractedText(record.text)
+        }))
+        .filter(record => record.text.length > 0);
+
+      return {
+        format,
+        metadata,
+        unit: section.unit || 'row',
+        header: this.cleanExtractedText(section.header),
+        records,
+        text: records.map(record => record.text).join('\n')
+      };
+    }
+
+    if (format === 'code') {
+      return { format, metadata, text: this.cleanCodeText(section.text) };
+    }
+
+    return {
+      format,
+      metadata,
+      text: format === 'markdown'
+        ? this.cleanStructuredText(section.text)
+        : this.cleanExtractedText(section.text)
+    };
+  }
+
+  async parseBuffer(fileBuffer, options = {}) {
+    const { text } = await this.extract(fileBuffer, options);
+    return text;
+  }
+
+  async parseDocument(filePath, fileType) {
+    const fileBuffer = fs.readFileSync(filePath);
+    return this.parseBuffer(fileBuffer, {
+      fileType: fileType || this.getFileTypeFromPath(filePath),
+      originalName: path.basename(filePath)
+    });
+  }
+
   isSupportedFormat(fileType) {
-    return this.supportedFormats.includes(fileType.toLowerCase());
+    const type = fileType.toLowerCase();
+    return this.parsers.has(type) && (!this.allowlist || this.allowlist.includes(type));
   }
  
+  // Every page is a record, so chunks carry the pageStart/pageEnd they were cut from
   async parsePDF(buffer) {
     try {
-      const pdf = require('pdf-parse');
-      const data = await pdf(buffer);
-      return data.text;
+      const pages = removeRepeatedMargins(await parsePdfPages(buffer)).map(formatPageTables);
+
+      return {
+        sections: [{
+          format: 'records',
+          unit: 'page',
+          header: '',
+          records: pages.map((text, index) => ({ row: index + 1, text }))
+        }]
+      };
     } catch (error) {
       logger.error('PDF parsing failed', { error: error.message });
       throw new Error(`Failed to parse PDF: ${error.message}`);
     }
   }
  
+  // Word headings, lists and tables survive mammoth's HTML conversion, so DOCX is
+  // sectioned the same way as HTML
   async parseDOCX(buffer) {
     try {
-      const result = await mammoth.extractRawText({ buffer });
-      return result.value;
+      const result = await mammoth.convertToHtml({ buffer });
+      return this.toMarkdownSections(htmlToMarkdown(result.value));
     } catch (error) {
       logger.error('DOCX parsing failed', { error: error.message });
       throw new Error(`Failed to parse DOCX: ${error.message}`);
@@ -84,20 +280,196 @@ export class DocumentParser {
  
   async parseHTML(buffer) {
     try {
-      const html = buffer.toString('utf-8');
-      const $ = cheerio.load(html);
-      
-      $('script, style').remove();
-      
-      const text = $('body').length ? $('body').text() : $.text();
-      
-      return text;
+      return this.toMarkdownSections(htmlToMarkdown(buffer.toString('utf-8')));
     } catch (error) {
       logger.error('HTML parsing failed', { error: error.message });
       throw new Error(`Failed to parse HTML: ${error.message}`);
     }
   }
  
+  parseMarkdown(buffer) {
+    try {
+      return this.toMarkdownSections(buffer.toString('utf-8'));
+    } catch (error) {
+      logger.error('Markdown parsing failed', { error: error.message });
+      throw new Error(`Failed to parse Markdown: ${error.message}`);
+    }
+  }
+
+  // One section per heading, each recording its heading breadcrumb
+  toMarkdownSections(markdown) {
+    return {
+      sections: parseMarkdownSections(markdown).map(section => ({
+        text: section.text,
+        format: 'markdown',
+        metadata: section.sectionPath
+          ? { sectionPath: section.sectionPath, sectionTitle: section.sectionTitle, headingLevel: section.headingLevel }
+          : {}
+      }))
+    };
+  }
+
+  parseCSV(buffer, originalName) {
+    try {
+      const { columns, records } = csvToRecords(buffer.toString('utf-8'));
+      return this.toRecordSection(columns, records, originalName);
+    } catch (error) {
+      logger.error('CSV parsing failed', { error: error.message });
+      throw new Error(`Failed to parse CSV: ${error.message}`);
+    }
+  }
+
+  parseJSON(buffer, originalName, lines = false) {
+    try {
+      const { columns, records } = jsonToRecords(buffer.toString('utf-8'), { lines });
+      return this.toRecordSection(columns, records, originalName);
+    } catch (error) {
+      logger.error('JSON parsing failed', { error: error.message });
+      throw new Error(`Failed to parse JSON: ${error.message}`);
+    }
+  }
+
+  toRecordSection(columns, records, originalName) {
+    const header = [
+      originalName ? `Source: ${originalName}` : null,
+      columns.length ? `Columns: ${columns.join(', ')}` : null
+    ].filter(Boolean).join(' | ');
+
+    return {
+      sections: [{ format: 'records', header, records, metadata: { recordCount: records.length } }]
+    };
+  }
+
+  async parsePPTX(buffer) {
+    try {
+      const slides = await parsePptxSlides(buffer);
+
+      return {
+        sections: slides.map(slide => ({
+          text: [
+            `Slide ${slide.slideNumber}${slide.title ? `: ${slide.title}` : ''}`,
+            ...slide.body,
+            ...(slide.notes.length ? [`Speaker notes: ${slide.notes.join(' ')}`] : [])
+          ].join('\n'),
+          metadata: {
+            slideNumber: slide.slideNumber,
+            ...(slide.title && { slideTitle: slide.title })
+          }
+        }))
+      };
+    } catch (error) {
+      logger.error('PPTX parsing failed', { error: error.message });
+      throw new Error(`Failed to parse PPTX: ${error.message}`);
+    }
+  }
+
+  async parseODT(buffer) {
+    try {
+      const paragraphs = await parseOdtParagraphs(buffer);
+      const sections = [];
+      const headingStack = [];
+      let current = null;
+
+      paragraphs.forEach((paragraph, index) => {
+        if (paragraph.heading) {
+          while (headingStack.length && headingStack[headingStack.length - 1].level >= paragraph.level) {
+            headingStack.pop();
+          }
+          headingStack.push(paragraph);
+          current = null;
+        }
+
+        if (!current) {
+          const sectionPath = headingStack.map(heading => heading.text).join(' > ');
+          current = {
+            format: 'records',
+            unit: 'paragraph',
+            header: sectionPath,
+            records: [],
+            metadata: sectionPath ? { sectionPath } : {}
+          };
+          sections.push(current);
+        }
+
+        current.records.push({ row: index + 1, text: paragraph.text });
+      });
+
+      return { sections };
+    } catch (error) {
+      logger.error('ODT parsing failed', { error: error.message });
+      throw new Error(`Failed to parse ODT: ${error.message}`);
+    }
+  }
+
+  parseRTF(buffer) {
+    try {
+      const paragraphs = rtfToParagraphs(buffer.toString('latin1'));
+
+      return {
+        sections: [{
+          format: 'records',
+          unit: 'paragraph',
+          header: '',
+          records: paragraphs.map((text, index) => ({ row: index + 1, text }))
+        }]
+      };
+    } catch (error) {
+      logger.error('RTF parsing failed', { error: error.message });
+      throw new Error(`Failed to parse RTF: ${error.message}`);
+    }
+  }
+
+  // Every message becomes its own section so each chunk carries that message's headers
+  async parseEmail(buffer, isMailbox = false) {
+    try {
+      const sources = isMailbox ? splitMbox(buffer.toString('latin1')).map(m => Buffer.from(m, 'latin1')) : [buffer];
+      const sections = [];
+
+      for (const [index, source] of sources.entries()) {
+        const message = await parseEmailMessage(source);
+        if (!message.body) continue;
+
+        const headerLines = [
+          message.subject && `Subject: ${message.subject}`,
+          message.from && `From: ${message.from}`,
+          message.to && `To: ${message.to}`,
+          message.date && `Date: ${message.date.toISOString()}`
+        ].filter(Boolean);
+
+        sections.push({
+          text: [...headerLines, '', message.body].join('\n'),
+          metadata: {
+            messageIndex: index + 1,
+            messageId: message.messageId,
+            threadId: message.threadId,
+            subject: message.subject,
+            from: message.from,
+            to: message.to,
+            ...(message.cc && { cc: message.cc }),
+            ...(message.date && { date: message.date.toISOString(), dateMs: message.date.getTime() })
+          }
+        });
+      }
+
+      return { sections };
+    } catch (error) {
+      logger.error('Email parsing failed', { error: error.message });
+      throw new Error(`Failed to parse email: ${error.message}`);
+    }
+  }
+
+  // Source files are kept verbatim (indentation matters) and chunked on symbol boundaries
+  parseCode(buffer, fileType) {
+    const language = languageForExtension(fileType);
+    return {
+      sections: [{
+        text: buffer.toString('utf8').replace(/^\uFEFF/, ''),
+        format: 'code',
+        metadata: { language }
+      }]
+    };
+  }
+
   parseTXT(buffer) {
     try {
       return buffer.toString('utf-8');
@@ -107,6 +479,8 @@ export class DocumentParser {
     }
   }
  
+  // Collapses whitespace within each paragraph but keeps the blank lines between paragraphs,
+  // which the paragraph chunking strategy splits on
   cleanExtractedText(text) {
     if (!text || typeof text !== 'string') {
       return '';
@@ -115,12 +489,38 @@ export class DocumentParser {
     return text
       .replace(/\r\n/g, '\n')
       .replace(/\r/g, '\n')
-      .replace(/\t/g, ' ')
-      .replace(/\s+/g, ' ')
-      .replace(/\n\s*\n/g, '\n\n')
-      .trim();
+      .split(/\n\s*\n/)
+      .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+      .filter(paragraph => paragraph.length > 0)
+      .join('\n\n');
   }
  
+  // Like cleanExtractedText but keeps line structure, for formats where newlines carry meaning
+  cleanStructuredText(text) {
+    if (!text || typeof text !== 'string') {
+      return '';
+    }
+
+    return text
+      .replace(/\r\n/g, '\n')
+      .replace(/\r/g, '\n')
+      .replace(/[ \t]+$/gm, '')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  // Only normalizes line endings and trailing whitespace so line numbers and indentation survive
+  cleanCodeText(text) {
+    if (!text || typeof text !== 'string') {
+      return '';
+    }
+
+    return text
+      .replace(/\r\n?/g, '\n')
+      .replace(/[ \t]+$/gm, '')
+      .trimEnd();
+  }
+
   getFileTypeFromPath(filePath) {
     const extension = path.extname(filePath).toLowerCase().substring(1);
     return extension;
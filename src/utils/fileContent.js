@@ -0,0 +1,199 @@
+import { CODE_LANGUAGES } from './parsers/code.js';
+
+const DOCX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+const PPTX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.presentationml.presentation';
+const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+const ODT_MIME_TYPE = 'application/vnd.oasis.opendocument.text';
+
+// Magic bytes at fixed offsets. Signatures made only of printable characters that could also
+// open a plain text file (e.g. "ID3", "OggS") are left out; the binary ratio check catches those.
+const SIGNATURES = [
+  { mimeType: 'application/pdf', parts: [[0, '%PDF-']] },
+  { mimeType: 'application/rtf', parts: [[0, '{\\rtf']] },
+  { mimeType: 'application/zip', parts: [[0, [0x50, 0x4b, 0x03, 0x04]]] },
+  { mimeType: 'application/zip', parts: [[0, [0x50, 0x4b, 0x05, 0x06]]] },
+  // Legacy Office (.doc, .xls, .ppt, .msg)
+  { mimeType: 'application/x-cfb', parts: [[0, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]]] },
+  { mimeType: 'image/png', parts: [[0, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]]] },
+  { mimeType: 'image/jpeg', parts: [[0, [0xff, 0xd8, 0xff]]] },
+  { mimeType: 'image/gif', parts: [[0, 'GIF87a']] },
+  { mimeType: 'image/gif', parts: [[0, 'GIF89a']] },
+  { mimeType: 'image/webp', parts: [[0, 'RIFF'], [8, 'WEBP']] },
+  { mimeType: 'audio/wav', parts: [[0, 'RIFF'], [8, 'WAVE']] },
+  { mimeType: 'image/tiff', parts: [[0, [0x49, 0x49, 0x2a, 0x00]]] },
+  { mimeType: 'image/tiff', parts: [[0, [0x4d, 0x4d, 0x00, 0x2a]]] },
+  { mimeType: 'video/mp4', parts: [[4, 'ftyp']] },
+  { mimeType: 'application/gzip', parts: [[0, [0x1f, 0x8b, 0x08]]] },
+  { mimeType: 'application/x-7z-compressed', parts: [[0, [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c]]] },
+  { mimeType: 'application/vnd.rar', parts: [[0, [0x52, 0x61, 0x72, 0x21, 0x1a, 0x07]]] },
+  { mimeType: 'application/x-executable', parts: [[0, [0x7f, 0x45, 0x4c, 0x46]]] },
+  { mimeType: 'application/wasm', parts: [[0, [0x00, 0x61, 0x73, 0x6d]]] },
+  { mimeType: 'application/java-vm', parts: [[0, [0xca, 0xfe, 0xba, 0xbe]]] },
+  { mimeType: 'application/x-sqlite3', parts: [[0, 'SQLite format 3\0']] }
+].map(signature => ({
+  ...signature,
+  parts: signature.parts.map(([offset, bytes]) => [offset, Buffer.from(bytes)])
+}));
+
+// Binary formats are only accepted when their content carries the matching signature
+const EXPECTED_MIME_TYPES = {
+  pdf: ['application/pdf'],
+  docx: [DOCX_MIME_TYPE],
+  pptx: [PPTX_MIME_TYPE],
+  odt: [ODT_MIME_TYPE],
+  rtf: ['application/rtf']
+};
+
+const TEXT_MIME_TYPES = {
+  html: 'text/html',
+  htm: 'text/html',
+  md: 'text/markdown',
+  markdown: 'text/markdown',
+  csv: 'text/csv',
+  tsv: 'text/tab-separated-values',
+  json: 'application/json',
+  jsonl: 'application/x-ndjson',
+  ndjson: 'application/x-ndjson',
+  eml: 'message/rfc822',
+  mbox: 'application/mbox'
+};
+
+const TEXT_FILE_TYPES = new Set(['txt', ...Object.keys(TEXT_MIME_TYPES), ...Object.keys(CODE_LANGUAGES)]);
+
+// Email declares its charsets in MIME headers and the mail parser decodes them; converting
+// the whole file first would decode those parts twice
+const SELF_DECODING_TYPES = new Set(['eml', 'mbox']);
+
+// Share of control characters (other than whitespace) above which "text" is taken to be binary
+const MAX_BINARY_RATIO = 0.05;
+
+const UTF8_DECODER = new TextDecoder('utf-8', { fatal: true });
+// WHATWG "latin1" is windows-1252, which also covers the curly quotes Windows editors write
+const LATIN1_DECODER = new TextDecoder('latin1');
+
+const contentError = (message) => {
+  const error = new Error(message);
+  error.code = 'UNSUPPORTED_CONTENT';
+  return error;
+};
+
+const matchesSignature = (buffer, { parts }) =>
+  parts.every(([offset, bytes]) => buffer.length >= offset + bytes.length
+    && buffer.subarray(offset, offset + bytes.length).equals(bytes));
+
+// Office Open XML and OpenDocument files are zips; their entry names tell them apart
+const zipMimeType = (buffer) => {
+  // OpenDocument stores its MIME type uncompressed as the first entry
+  if (buffer.subarray(30, 200).includes(ODT_MIME_TYPE)) return ODT_MIME_TYPE;
+  if (buffer.includes('word/document.xml')) return DOCX_MIME_TYPE;
+  if (buffer.includes('ppt/presentation.xml')) return PPTX_MIME_TYPE;
+  if (buffer.includes('xl/workbook.xml')) return XLSX_MIME_TYPE;
+  return 'application/zip';
+};
+
+// MIME type from the file's magic bytes, or null when it has no known signature (as text does)
+export const detectMimeType = (buffer) => {
+  const signature = SIGNATURES.find(candidate => matchesSignature(buffer, candidate));
+  if (!signature) return null;
+  return signature.mimeType === 'application/zip' ? zipMimeType(buffer) : signature.mimeType;
+};
+
+// UTF-16 without a byte order mark shows up as zero high bytes on every other position
+const guessUtf16 = (buffer) => {
+  const sample = buffer.subarray(0, 4096);
+  const pairs = Math.floor(sample.length / 2);
+  if (pairs < 2) return null;
+
+  let evenZeros = 0;
+  let oddZeros = 0;
+  for (let i = 0; i < pairs * 2; i += 2) {
+    if (sample[i] === 0) evenZeros++;
+    if (sample[i + 1] === 0) oddZeros++;
+  }
+
+  if (oddZeros / pairs > 0.3 && evenZeros / pairs < 0.05) return 'utf-16le';
+  if (evenZeros / pairs > 0.3 && oddZeros / pairs < 0.05) return 'utf-16be';
+  return null;
+};
+
+const decodeUtf16 = (buffer, encoding) => {
+  const even = buffer.subarray(0, buffer.length - (buffer.length % 2));
+  return encoding === 'utf-16le'
+    ? even.toString('utf16le')
+    : Buffer.from(even).swap16().toString('utf16le');
+};
+
+// Returns { text, encoding }: a byte order mark wins, then UTF-16 by its zero bytes, then
+// UTF-8 if the bytes are valid UTF-8, and Latin-1 otherwise (every byte sequence is valid Latin-1)
+export const decodeText = (buffer) => {
+  if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) {
+    return { text: buffer.subarray(3).toString('utf8'), encoding: 'utf-8' };
+  }
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+    return { text: decodeUtf16(buffer.subarray(2), 'utf-16le'), encoding: 'utf-16le' };
+  }
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+    return { text: decodeUtf16(buffer.subarray(2), 'utf-16be'), encoding: 'utf-16be' };
+  }
+
+  const utf16 = guessUtf16(buffer);
+  if (utf16) {
+    return { text: decodeUtf16(buffer, utf16), encoding: utf16 };
+  }
+
+  try {
+    return { text: UTF8_DECODER.decode(buffer), encoding: 'utf-8' };
+  } catch {
+    return { text: LATIN1_DECODER.decode(buffer), encoding: 'latin1' };
+  }
+};
+
+export const binaryRatio = (text) => {
+  if (text.length === 0) return 0;
+
+  let suspicious = 0;
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    const isControl = (code < 0x20 && code !== 0x09 && code !== 0x0a && code !== 0x0c && code !== 0x0d)
+      || (code >= 0x7f && code <= 0x9f)
+      || code === 0xfffd;
+    if (isControl) suspicious++;
+  }
+  return suspicious / text.length;
+};
+
+// Checks an upload's content against its declared file type. Returns { buffer, detectedMimeType,
+// encoding }, where text formats get their content converted to UTF-8 for the parsers; throws
+// UNSUPPORTED_CONTENT when the bytes are another format or text that is mostly binary. File
+// types registered by plugins are passed through unchecked.
+export const inspectFileContent = (buffer, fileType) => {
+  const detectedMimeType = detectMimeType(buffer);
+  const expected = EXPECTED_MIME_TYPES[fileType];
+
+  if (expected) {
+    if (!expected.includes(detectedMimeType)) {
+      throw contentError(`File content is not a valid .${fileType} file (detected ${detectedMimeType || 'unknown content'})`);
+    }
+    return { buffer, detectedMimeType, encoding: null };
+  }
+
+  if (!TEXT_FILE_TYPES.has(fileType)) {
+    return { buffer, detectedMimeType, encoding: null };
+  }
+
+  if (detectedMimeType) {
+    throw contentError(`File content does not match its .${fileType} extension (detected ${detectedMimeType})`);
+  }
+
+  const { text, encoding } = decodeText(buffer);
+  const ratio = binaryRatio(text);
+  if (ratio > MAX_BINARY_RATIO) {
+    throw contentError(`File content does not look like text (${Math.round(ratio * 100)}% control characters)`);
+  }
+
+  return {
+    buffer: SELF_DECODING_TYPES.has(fileType) ? buffer : Buffer.from(text, 'utf8'),
+    detectedMimeType: TEXT_MIME_TYPES[fileType] || 'text/plain',
+    encoding
+  };
+};
@@ -0,0 +1,77 @@
+import fs from 'fs';
+import path from 'path';
+import { logger } from './logger.js';
+
+export class JsonFileStore {
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  ensureDirectory() {
+    if (!fs.existsSync(this.directory)) {
+      fs.mkdirSync(this.directory, { recursive: true });
+    }
+  }
+
+  filePathFor(id, extension = '.json') {
+    const safeId = String(id).replace(/[^a-zA-Z0-9._-]/g, '_');
+    return path.join(this.directory, `${safeId}${extension}`);
+  }
+
+  // Write to a temp file first so a crash mid-write never leaves a truncated record behind
+  writeAtomic(filePath, contents) {
+    this.ensureDirectory();
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, contents);
+    fs.renameSync(tempPath, filePath);
+  }
+
+  read(id) {
+    const filePath = this.filePathFor(id);
+    if (!fs.existsSync(filePath)) return null;
+
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    } catch (error) {
+      logger.warn('Failed to read stored record', { filePath, error: error.message });
+      return null;
+    }
+  }
+
+  write(id, value) {
+    this.writeAtomic(this.filePathFor(id), JSON.stringify(value, null, 2));
+    return value;
+  }
+
+  remove(id) {
+    const filePath = this.filePathFor(id);
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  }
+
+  list() {
+    if (!fs.existsSync(this.directory)) return [];
+
+    return fs.readdirSync(this.directory)
+      .filter(name => name.endsWith('.json'))
+      .map(name => this.read(name.slice(0, -'.json'.length)))
+      .filter(Boolean);
+  }
+
+  writeAttachment(id, buffer) {
+    this.writeAtomic(this.filePathFor(id, '.bin'), buffer);
+  }
+
+  readAttachment(id) {
+    const filePath = this.filePathFor(id, '.bin');
+    return fs.existsSync(filePath) ? fs.readFileSync(filePath) : null;
+  }
+
+  removeAttachment(id) {
+    const filePath = this.filePathFor(id, '.bin');
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  }
+}
@@ -0,0 +1,232 @@
+export const CODE_LANGUAGES = {
+  js: 'javascript',
+  mjs: 'javascript',
+  cjs: 'javascript',
+  jsx: 'javascript',
+  ts: 'typescript',
+  tsx: 'typescript',
+  py: 'python',
+  java: 'java',
+  go: 'go',
+  rb: 'ruby',
+  rs: 'rust',
+  c: 'c',
+  h: 'c',
+  cpp: 'cpp',
+  cc: 'cpp',
+  hpp: 'cpp',
+  cs: 'csharp',
+  php: 'php',
+  kt: 'kotlin',
+  swift: 'swift',
+  scala: 'scala',
+  sh: 'shell'
+};
+
+// Languages whose blocks are delimited by indentation rather than braces
+const INDENTED_LANGUAGES = new Set(['python', 'ruby']);
+const HASH_COMMENT_LANGUAGES = new Set(['python', 'ruby', 'shell', 'php']);
+const REGEX_LITERAL_LANGUAGES = new Set(['javascript', 'typescript']);
+
+const KEYWORDS = new Set([
+  'if', 'else', 'for', 'foreach', 'while', 'do', 'switch', 'case', 'catch', 'try', 'finally',
+  'return', 'new', 'throw', 'await', 'yield', 'typeof', 'delete', 'sizeof', 'super', 'this',
+  'function', 'with', 'elif', 'except', 'using', 'lock', 'synchronized'
+]);
+
+const DECLARATION_PATTERNS = [
+  // class, interface, struct, enum, trait, impl, module, namespace, type alias
+  /^(?:(?:export|default|declare|abstract|public|private|protected|internal|static|final|sealed|open|data|partial|pub(?:\([^)]*\))?|unsafe)\s+)*(?:class|interface|enum|record|struct|trait|object|impl|module|namespace|type)\s+(?:<[^>]*>\s*)?([\w$]+)/,
+  // function keywords across languages, including Go receivers
+  /^(?:(?:export|default|public|private|protected|internal|static|final|abstract|override|open|suspend|inline|pub(?:\([^)]*\))?|async|unsafe|const)\s+)*(?:function\*?|def|fn|fun|func)\s+(?:\([^)]*\)\s*)?(?:<[^>]*>\s*)?(?:[\w$]+\.)?([\w$?!]+)/,
+  // top-level bindings: const handler = ..., export let config = {...}
+  /^(?:export\s+)?(?:const|let|var)\s+([\w$]+)/,
+  // shell functions: name() {
+  /^([\w-]+)\s*\(\)\s*\{?\s*$/,
+  // C-family functions and methods: <modifiers/return type> name(
+  /^(?:[\w$<>[\],.*&:~?]+\s+)+[*&]?([\w$~]+)\s*\([^;]*$/,
+  // JavaScript class members: async name(args) {
+  /^(?:(?:static|async|get|set|public|private|protected|readonly|override)\s+)*\*?(#?[\w$]+)\s*\([^)]*\)?\s*(?::[^{;]*)?\{?\s*$/
+];
+
+export const languageForExtension = (extension) => CODE_LANGUAGES[(extension || '').toLowerCase()] || null;
+
+const BINDING_PATTERN = DECLARATION_PATTERNS[2];
+
+// Local variables are not symbols, so bindings only count at the top level
+export const declarationName = (line, { nested = false } = {}) => {
+  const firstWord = line.split(/[\s(]/, 1)[0];
+  if (KEYWORDS.has(firstWord)) return null;
+
+  for (const pattern of DECLARATION_PATTERNS) {
+    if (nested && pattern === BINDING_PATTERN) continue;
+    const match = pattern.exec(line);
+    if (match && !KEYWORDS.has(match[1])) return match[1];
+  }
+  return null;
+};
+
+const isLeadLine = (line, language) => line.startsWith('//')
+  || line.startsWith('/*')
+  || line.startsWith('*')
+  || line.startsWith('@')
+  || line.startsWith('#[')
+  || /^\[[\w.]+(\(.*\))?\]$/.test(line)
+  || (HASH_COMMENT_LANGUAGES.has(language) && line.startsWith('#') && !line.startsWith('#!'));
+
+const isCloserLine = (line) => /^(end\b|[}\])])/.test(line);
+
+// A "/" starts a regex literal (not a division) after an operator, an opening bracket or a keyword
+const startsRegexLiteral = (line, index) => {
+  const before = line.substring(0, index).trimEnd();
+  return before === '' || /[(,=:[!&|?{};+\-*%<>~^]$/.test(before) || /\b(return|typeof|case|in|of)$/.test(before);
+};
+
+// Index of the "/" closing the regex literal that opens at `index`
+const skipRegexLiteral = (line, index) => {
+  let inClass = false;
+  for (let i = index + 1; i < line.length; i++) {
+    const char = line[i];
+    if (char === '\\') i++;
+    else if (char === '[') inClass = true;
+    else if (char === ']') inClass = false;
+    else if (char === '/' && !inClass) return i;
+  }
+  return line.length;
+};
+
+// The nesting level each line starts at, or -1 for blank lines and lines that continue a
+// statement (open parentheses, multi-line strings or comments). Brace languages count
+// braces; indented languages use the indentation width.
+export const computeLineLevels = (lines, language) => {
+  const indented = INDENTED_LANGUAGES.has(language);
+  const hashComments = HASH_COMMENT_LANGUAGES.has(language);
+  const regexLiterals = REGEX_LITERAL_LANGUAGES.has(language);
+  const levels = [];
+  let braces = 0;
+  let parens = 0;
+  let blockComment = false;
+  let multilineString = null;
+
+  for (const line of lines) {
+    const continued = blockComment || multilineString !== null || parens > 0;
+
+    if (!line.trim() || continued) {
+      levels.push(-1);
+    } else {
+      levels.push(indented ? line.length - line.trimStart().length : braces);
+    }
+
+    let quote = null;
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+      const pair = line.substring(i, i + 2);
+
+      if (blockComment) {
+        if (pair === '*/') {
+          blockComment = false;
+          i++;
+        }
+        continue;
+      }
+
+      if (multilineString) {
+        if (line.startsWith(multilineString, i)) {
+          i += multilineString.length - 1;
+          multilineString = null;
+        } else if (char === '\\') {
+          i++;
+        }
+        continue;
+      }
+
+      if (quote) {
+        if (char === '\\') i++;
+        else if (char === quote) quote = null;
+        continue;
+      }
+
+      if (!indented && pair === '/*') {
+        blockComment = true;
+        i++;
+      } else if ((!indented && pair === '//') || (hashComments && char === '#')) {
+        break;
+      } else if (regexLiterals && char === '/' && startsRegexLiteral(line, i)) {
+        i = skipRegexLiteral(line, i);
+      } else if (line.startsWith('"""', i) || line.startsWith("'''", i)) {
+        multilineString = line.substring(i, i + 3);
+        i += 2;
+      } else if (char === '`') {
+        multilineString = '`';
+      } else if (char === '"' || (char === "'" && !(language === 'rust' && !/^'(\\.|[^\\'])'/.test(line.substring(i))))) {
+        quote = char;
+      } else if (char === '{' && !indented) {
+        braces++;
+      } else if (char === '}' && !indented) {
+        braces = Math.max(0, braces - 1);
+      } else if (char === '(' || char === '[' || (char === '{' && indented)) {
+        parens++;
+      } else if (char === ')' || char === ']' || (char === '}' && indented)) {
+        parens = Math.max(0, parens - 1);
+      }
+    }
+  }
+
+  return levels;
+};
+
+// Splits lines [start, end] into units that each begin at a declaration or at the first
+// statement after one, at the given nesting level. Comments, decorators and annotations
+// directly above a declaration stay with it. Returns [{ start, end, name }].
+export const findCodeUnits = (lines, levels, { start = 0, end = lines.length - 1, level = 0, language, nested = false } = {}) => {
+  const units = [];
+  let leadStart = null;
+
+  for (let i = start; i <= end; i++) {
+    if (levels[i] !== level) continue;
+
+    const line = lines[i].trim();
+    if (isLeadLine(line, language)) {
+      if (leadStart === null) leadStart = i;
+      continue;
+    }
+    if (isCloserLine(line)) {
+      leadStart = null;
+      continue;
+    }
+
+    const name = declarationName(line, { nested });
+    const unitStart = leadStart ?? i;
+    leadStart = null;
+
+    const current = units[units.length - 1];
+    if (name || !current || current.name) {
+      units.push({ start: unitStart, name });
+    }
+  }
+
+  if (units.length === 0 || units[0].start > start) {
+    units.unshift({ start, name: null });
+  }
+
+  return units.map((unit, index) => ({
+    ...unit,
+    end: index + 1 < units.length ? units[index + 1].start - 1 : end
+  }));
+};
+
+// The level at which the children of lines [start, end] begin, or null when there are none
+export const childLevel = (levels, { start, end, level, language }) => {
+  if (!INDENTED_LANGUAGES.has(language)) {
+    return levels.slice(start, end + 1).some(l => l === level + 1) ? level + 1 : null;
+  }
+
+  const deeper = levels.slice(start, end + 1).filter(l => l > level);
+  return deeper.length ? Math.min(...deeper) : null;
+};
+
+export const baseLevel = (levels, language) => {
+  if (!INDENTED_LANGUAGES.has(language)) return 0;
+  const used = levels.filter(l => l >= 0);
+  return used.length ? Math.min(...used) : 0;
+};
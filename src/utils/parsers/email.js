@@ -0,0 +1,99 @@
+import crypto from 'crypto';
+import { simpleParser } from 'mailparser';
+
+const REPLY_HEADER_PATTERNS = [
+  /^On .+wrote:\s*$/i,
+  /^-{2,}\s*Original Message\s*-{2,}\s*$/i,
+  /^-{2,}\s*Forwarded message\s*-{2,}\s*$/i,
+  /^_{10,}\s*$/,
+  /^From:\s.+$/i
+];
+
+const SIGNATURE_PATTERNS = [
+  /^--\s?$/,
+  /^Sent from my \w+/i,
+  /^Get Outlook for /i
+];
+
+// Keeps only what the sender wrote: stops at the first quoted-reply header or signature
+// delimiter and drops any remaining "> " quoted lines
+export const stripQuotedReply = (body) => {
+  const kept = [];
+  const lines = body.replace(/\r\n?/g, '\n').split('\n');
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const trimmed = line.trim();
+
+    if (SIGNATURE_PATTERNS.some(pattern => pattern.test(line))) break;
+
+    // "On <date>, <name> wrote:" is often wrapped onto two lines
+    const joined = `${trimmed} ${(lines[i + 1] || '').trim()}`;
+    if (REPLY_HEADER_PATTERNS.some(pattern => pattern.test(trimmed)) || /^On .+wrote:\s*$/i.test(joined)) {
+      if (kept.some(l => l.trim())) break;
+    }
+
+    if (trimmed.startsWith('>')) continue;
+    kept.push(line);
+  }
+
+  return kept.join('\n').trim();
+};
+
+// Splits an mbox file on its "From " separator lines and undoes ">From " escaping
+export const splitMbox = (text) => {
+  const messages = [];
+  let current = null;
+
+  for (const line of text.replace(/\r\n?/g, '\n').split('\n')) {
+    if (/^From \S/.test(line)) {
+      if (current) messages.push(current.join('\n'));
+      current = [];
+      continue;
+    }
+    if (current) current.push(line.replace(/^>(>*From )/, '$1'));
+  }
+
+  if (current) messages.push(current.join('\n'));
+  return messages.filter(message => message.trim());
+};
+
+const normalizeSubject = (subject = '') => subject
+  .replace(/^\s*((re|fw|fwd|aw|sv)(\[\d+\])?\s*:\s*)+/i, '')
+  .trim()
+  .toLowerCase();
+
+const shortHash = (value) => crypto.createHash('sha1').update(value).digest('hex').substring(0, 16);
+
+// Messages share a thread id when they share the root of their References chain;
+// messages without threading headers fall back to their normalized subject
+export const threadIdFor = (message) => {
+  const references = Array.isArray(message.references)
+    ? message.references
+    : (message.references ? [message.references] : []);
+  const root = references[0] || message.inReplyTo || message.messageId;
+
+  return shortHash(root || `subject:${normalizeSubject(message.subject)}`);
+};
+
+const addressText = (field) => {
+  if (!field) return null;
+  const list = Array.isArray(field) ? field : [field];
+  return list.map(entry => entry.text).filter(Boolean).join(', ') || null;
+};
+
+export const parseEmailMessage = async (source) => {
+  const parsed = await simpleParser(source, { skipImageLinks: true, skipTextToHtml: true });
+  const body = parsed.text || '';
+
+  return {
+    messageId: parsed.messageId || null,
+    threadId: threadIdFor(parsed),
+    subject: parsed.subject || null,
+    from: addressText(parsed.from),
+    to: addressText(parsed.to),
+    cc: addressText(parsed.cc),
+    date: parsed.date instanceof Date && !isNaN(parsed.date) ? parsed.date : null,
+    body: stripQuotedReply(body)
+  };
+};
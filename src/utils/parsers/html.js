@@ -0,0 +1,113 @@
+import * as cheerio from 'cheerio';
+import { toMarkdownTable } from './markdown.js';
+
+// Page furniture rather than content: scripts, navigation, site headers/footers and sidebars
+const BOILERPLATE_SELECTOR = [
+  'script', 'style', 'noscript', 'template', 'svg', 'iframe',
+  'nav', 'footer', 'aside', 'body > header',
+  '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]', '[role="complementary"]',
+  '[hidden]', '[aria-hidden="true"]'
+].join(', ');
+
+const HEADING_LEVELS = { h1: 1, h2: 2, h3: 3, h4: 4, h5: 5, h6: 6 };
+
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'blockquote', 'dd', 'details', 'div', 'dl', 'dt', 'fieldset', 'figcaption',
+  'figure', 'form', 'header', 'hgroup', 'hr', 'li', 'main', 'ol', 'p', 'pre', 'section', 'summary',
+  'table', 'ul', ...Object.keys(HEADING_LEVELS)
+]);
+
+const isTag = (node, ...names) => node.type === 'tag' && (names.length === 0 || names.includes(node.name));
+const isList = (node) => isTag(node, 'ul', 'ol');
+
+// Lines a paragraph could otherwise be mistaken for: a heading, a code fence or a setext underline
+const MARKDOWN_SYNTAX_PATTERN = /^(#{1,6}\s|`{3}|~{3}|[-=]+$)/;
+const escapeLine = (line) => (MARKDOWN_SYNTAX_PATTERN.test(line) ? `\\${line}` : line);
+
+// Block elements nested in inline content (e.g. paragraphs in a table cell) start a new line
+const rawText = (node) => {
+  if (node.type === 'text') return node.data;
+  if (isTag(node, 'br')) return '\n';
+  const text = (node.children || []).map(rawText).join('');
+  return isTag(node) && BLOCK_TAGS.has(node.name) ? `\n${text}\n` : text;
+};
+
+// Inline content as trimmed lines; whitespace collapses as a browser would, <br> breaks a line
+const inlineLines = (nodes) => nodes
+  .map(rawText)
+  .join('')
+  .split('\n')
+  .map(line => line.replace(/\s+/g, ' ').trim())
+  .filter(Boolean);
+
+const renderList = (list, depth, lines) => {
+  let number = parseInt(list.attribs?.start, 10) || 1;
+
+  for (const item of list.children.filter(child => isTag(child, 'li'))) {
+    const text = inlineLines(item.children.filter(child => !isList(child))).join(' ');
+    const marker = list.name === 'ol' ? `${number++}.` : '-';
+    if (text) lines.push(`${'  '.repeat(depth)}${marker} ${text}`);
+    item.children.filter(isList).forEach(nested => renderList(nested, depth + 1, lines));
+  }
+  return lines;
+};
+
+// Rows of a table (not of tables nested in its cells) as cell text
+const tableRows = ($, table) => $(table).find('tr').toArray()
+  .filter(row => $(row).closest('table').get(0) === table)
+  .map(row => $(row).children('th, td').toArray().map(cell => inlineLines(cell.children).join(' ')))
+  .filter(cells => cells.some(Boolean));
+
+// Walks the content tree into Markdown blocks. Runs of inline content between block
+// elements form paragraphs; containers without meaning of their own are descended into.
+const collectBlocks = ($, nodes, blocks) => {
+  let inline = [];
+
+  const flushInline = () => {
+    const lines = inlineLines(inline);
+    if (lines.length) blocks.push(lines.map(escapeLine).join('\n'));
+    inline = [];
+  };
+
+  for (const node of nodes) {
+    if (!isTag(node) || !BLOCK_TAGS.has(node.name)) {
+      if (node.type === 'text' || isTag(node)) inline.push(node);
+      continue;
+    }
+
+    flushInline();
+
+    if (HEADING_LEVELS[node.name]) {
+      const title = inlineLines([node]).join(' ');
+      if (title) blocks.push(`${'#'.repeat(HEADING_LEVELS[node.name])} ${title}`);
+    } else if (isList(node)) {
+      const lines = renderList(node, 0, []);
+      if (lines.length) blocks.push(lines.join('\n'));
+    } else if (node.name === 'table') {
+      const rows = tableRows($, node);
+      if (rows.length) blocks.push(toMarkdownTable(rows));
+    } else if (node.name === 'pre') {
+      const code = node.children.map(rawText).join('').replace(/^\n|\s+$/g, '');
+      if (code.trim()) blocks.push(`\`\`\`\n${code}\n\`\`\``);
+    } else if (node.name !== 'hr') {
+      collectBlocks($, node.children || [], blocks);
+    }
+  }
+
+  flushInline();
+  return blocks;
+};
+
+// Converts an HTML page (or mammoth's HTML rendering of a DOCX file) into Markdown that keeps
+// headings, paragraphs, list items and tables apart, so it can be sectioned like a .md file.
+// Boilerplate is dropped and, when the page marks up its main content, only that is kept.
+export const htmlToMarkdown = (html) => {
+  const $ = cheerio.load(html);
+  $(BOILERPLATE_SELECTOR).remove();
+
+  const root = [$('main'), $('[role="main"]'), $('article'), $('body')]
+    .find(candidate => candidate.length === 1);
+  const nodes = root ? root.get(0).children : $.root().get(0).children;
+
+  return collectBlocks($, nodes, []).join('\n\n');
+};
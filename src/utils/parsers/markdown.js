@@ -0,0 +1,157 @@
+const FENCE_PATTERN = /^\s{0,3}(`{3,}|~{3,})/;
+const ATX_HEADING_PATTERN = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const SETEXT_UNDERLINE_PATTERN = /^\s{0,3}(=+|-+)\s*$/;
+const FRONT_MATTER_PATTERN = /^---\r?\n[\s\S]*?\r?\n(---|\.\.\.)\r?\n/;
+const LIST_ITEM_PATTERN = /^\s*([-*+]|\d+[.)])\s+/;
+// The delimiter row under a table's header, e.g. `| --- | :---: |`
+const TABLE_DELIMITER_PATTERN = /^\s*\|?(\s*:?-{3,}:?\s*\|)+(\s*:?-{3,}:?\s*)?$/;
+const TABLE_DELIMITER_LINE_PATTERN = new RegExp(TABLE_DELIMITER_PATTERN.source, 'm');
+
+export const isFenceLine = (line) => FENCE_PATTERN.test(line);
+
+export const isMarkdownTable = (text) => {
+  const [header, delimiter] = text.split('\n');
+  return header.includes('|') && TABLE_DELIMITER_PATTERN.test(delimiter || '');
+};
+
+export const hasMarkdownTable = (text) => TABLE_DELIMITER_LINE_PATTERN.test(text);
+
+// Renders rows of cell text as a Markdown table, taking the first row as the header
+export const toMarkdownTable = (rows) => {
+  const width = Math.max(...rows.map(cells => cells.length));
+  const line = (cells) => `| ${Array.from({ length: width }, (_, i) => (cells[i] || '').replace(/\|/g, '\\|')).join(' | ')} |`;
+
+  return [line(rows[0]), line(Array(width).fill('---')), ...rows.slice(1).map(line)].join('\n');
+};
+
+// Splits a Markdown document into one section per heading. Each section keeps its
+// heading line and records the breadcrumb of enclosing headings as `sectionPath`.
+export const parseMarkdownSections = (markdown) => {
+  const lines = markdown
+    .replace(FRONT_MATTER_PATTERN, '')
+    .replace(/\r\n?/g, '\n')
+    .split('\n');
+
+  const sections = [];
+  const headingStack = [];
+  let current = { heading: null, lines: [] };
+  let fence = null;
+
+  const flush = () => {
+    const body = current.lines.join('\n').trim();
+    const hasContent = current.heading
+      ? body.split('\n').length > 1
+      : body.length > 0;
+
+    if (hasContent) {
+      sections.push({
+        text: body,
+        sectionPath: headingStack.map(h => h.title).join(' > '),
+        sectionTitle: current.heading?.title || null,
+        headingLevel: current.heading?.level || 0
+      });
+    }
+  };
+
+  const startSection = (level, title, headingLine) => {
+    flush();
+    while (headingStack.length && headingStack[headingStack.length - 1].level >= level) {
+      headingStack.pop();
+    }
+    headingStack.push({ level, title });
+    current = { heading: { level, title }, lines: [headingLine] };
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (fence) {
+      current.lines.push(line);
+      if (line.trim().startsWith(fence)) fence = null;
+      continue;
+    }
+
+    const fenceMatch = line.match(FENCE_PATTERN);
+    if (fenceMatch) {
+      fence = fenceMatch[1];
+      current.lines.push(line);
+      continue;
+    }
+
+    const atx = line.match(ATX_HEADING_PATTERN);
+    if (atx && atx[2]) {
+      startSection(atx[1].length, atx[2], `${atx[1]} ${atx[2]}`);
+      continue;
+    }
+
+    const next = lines[i + 1];
+    const setext = next !== undefined && line.trim() && !/^\s*([-*+]|\d+\.)\s/.test(line)
+      ? next.match(SETEXT_UNDERLINE_PATTERN)
+      : null;
+    if (setext) {
+      const level = setext[1].startsWith('=') ? 1 : 2;
+      startSection(level, line.trim(), `${'#'.repeat(level)} ${line.trim()}`);
+      i++;
+      continue;
+    }
+
+    current.lines.push(line);
+  }
+
+  flush();
+  return sections;
+};
+
+const textBlockType = (text) => {
+  if (isMarkdownTable(text)) return 'table';
+  return LIST_ITEM_PATTERN.test(text) ? 'list' : 'text';
+};
+
+// Splits Markdown into heading, paragraph, list, table and fenced code blocks, in order
+export const splitMarkdownBlocks = (markdown) => {
+  const blocks = [];
+  let paragraph = [];
+  let code = null;
+
+  const flushParagraph = () => {
+    const text = paragraph.join('\n').trim();
+    if (text) blocks.push({ type: textBlockType(text), text });
+    paragraph = [];
+  };
+
+  for (const line of markdown.split('\n')) {
+    if (code) {
+      code.lines.push(line);
+      if (line.trim().startsWith(code.fence)) {
+        blocks.push({ type: 'code', text: code.lines.join('\n'), fence: code.fence, opener: code.lines[0].trim() });
+        code = null;
+      }
+      continue;
+    }
+
+    const fenceMatch = line.match(FENCE_PATTERN);
+    if (fenceMatch) {
+      flushParagraph();
+      code = { fence: fenceMatch[1], lines: [line] };
+      continue;
+    }
+
+    if (!line.trim()) {
+      flushParagraph();
+    } else if (ATX_HEADING_PATTERN.test(line)) {
+      flushParagraph();
+      blocks.push({ type: 'text', text: line.trim() });
+    } else {
+      paragraph.push(line);
+    }
+  }
+
+  flushParagraph();
+
+  // An unterminated fence runs to the end of the document
+  if (code) {
+    blocks.push({ type: 'code', text: code.lines.join('\n'), fence: code.fence, opener: code.lines[0].trim() });
+  }
+
+  return blocks;
+};
@@ -0,0 +1,119 @@
+import JSZip from 'jszip';
+import * as cheerio from 'cheerio';
+
+const loadXml = async (zip, entryPath) => {
+  const entry = zip.file(entryPath);
+  if (!entry) return null;
+  return cheerio.load(await entry.async('string'), { xml: true });
+};
+
+const resolveRelationships = async (zip, relsPath, baseDir) => {
+  const $ = await loadXml(zip, relsPath);
+  const targets = new Map();
+  if (!$) return targets;
+
+  $('Relationship').each((_, rel) => {
+    const target = $(rel).attr('Target') || '';
+    const resolved = target.startsWith('/')
+      ? target.substring(1)
+      : new URL(target, `file:///${baseDir}/`).pathname.substring(1);
+    targets.set($(rel).attr('Id'), { target: resolved, type: $(rel).attr('Type') || '' });
+  });
+
+  return targets;
+};
+
+const paragraphsOf = ($, scope) => $(scope).find('a\\:p')
+  .map((_, paragraph) => $(paragraph).find('a\\:t').map((__, t) => $(t).text()).get().join('').trim())
+  .get()
+  .filter(Boolean);
+
+// Slide paths in presentation order, falling back to the numeric file order
+const listSlides = async (zip) => {
+  const $ = await loadXml(zip, 'ppt/presentation.xml');
+  const rels = await resolveRelationships(zip, 'ppt/_rels/presentation.xml.rels', 'ppt');
+
+  const ordered = $
+    ? $('p\\:sldId').map((_, slide) => rels.get($(slide).attr('r:id'))?.target).get().filter(Boolean)
+    : [];
+
+  if (ordered.length > 0) return ordered;
+
+  return Object.keys(zip.files)
+    .filter(name => /^ppt\/slides\/slide\d+\.xml$/.test(name))
+    .sort((a, b) => parseInt(a.match(/\d+/)[0]) - parseInt(b.match(/\d+/)[0]));
+};
+
+// One entry per slide with its title, body text and speaker notes
+export const parsePptxSlides = async (buffer) => {
+  const zip = await JSZip.loadAsync(buffer);
+  const slidePaths = await listSlides(zip);
+  const slides = [];
+
+  for (const [index, slidePath] of slidePaths.entries()) {
+    const $ = await loadXml(zip, slidePath);
+    if (!$) continue;
+
+    let title = null;
+    const body = [];
+
+    $('p\\:sp').each((_, shape) => {
+      const placeholder = $(shape).find('p\\:ph').attr('type');
+      const paragraphs = paragraphsOf($, shape);
+      if (!title && (placeholder === 'title' || placeholder === 'ctrTitle') && paragraphs.length) {
+        title = paragraphs.join(' ');
+      } else {
+        body.push(...paragraphs);
+      }
+    });
+
+    $('a\\:tbl a\\:tr').each((_, row) => {
+      const cells = $(row).find('a\\:tc').map((__, cell) => paragraphsOf($, cell).join(' ')).get();
+      if (cells.some(Boolean)) body.push(cells.join(' | '));
+    });
+
+    const slideDir = slidePath.substring(0, slidePath.lastIndexOf('/'));
+    const slideFile = slidePath.substring(slidePath.lastIndexOf('/') + 1);
+    const rels = await resolveRelationships(zip, `${slideDir}/_rels/${slideFile}.rels`, slideDir);
+    const notesRel = Array.from(rels.values()).find(rel => rel.type.endsWith('/notesSlide'));
+
+    const notes = [];
+    if (notesRel) {
+      const $notes = await loadXml(zip, notesRel.target);
+      if ($notes) {
+        $notes('p\\:sp').each((_, shape) => {
+          const placeholder = $notes(shape).find('p\\:ph').attr('type');
+          if (placeholder === 'body') notes.push(...paragraphsOf($notes, shape));
+        });
+      }
+    }
+
+    slides.push({ slideNumber: index + 1, title, body, notes });
+  }
+
+  return slides;
+};
+
+// Paragraphs and headings from an OpenDocument text file, in document order
+export const parseOdtParagraphs = async (buffer) => {
+  const zip = await JSZip.loadAsync(buffer);
+  const $ = await loadXml(zip, 'content.xml');
+  if (!$) {
+    throw new Error('content.xml not found in ODT package');
+  }
+
+  $('text\\:s').replaceWith(' ');
+  $('text\\:tab').replaceWith('\t');
+  $('text\\:line-break').replaceWith('\n');
+  $('text\\:note').remove();
+
+  return $('office\\:body text\\:h, office\\:body text\\:p')
+    .filter((_, element) => $(element).parents('text\\:p, text\\:h').length === 0)
+    .map((_, element) => ({
+      heading: element.tagName === 'text:h',
+      level: parseInt($(element).attr('text:outline-level')) || 1,
+      text: $(element).text().trim()
+    }))
+    .get()
+    .filter(paragraph => paragraph.text);
+};
@@ -0,0 +1,117 @@
+import { createRequire } from 'module';
+import { toMarkdownTable } from './markdown.js';
+
+const require = createRequire(import.meta.url);
+
+// Lines at the top and bottom of a page that can be a running header or footer
+const MARGIN_LINES = 3;
+// A margin line is a header/footer when it repeats on this share of the pages (and on at least 3)
+const REPEAT_RATIO = 0.6;
+const MIN_REPEATS = 3;
+// Text items on one line further apart than this many times the font size are table cells
+const CELL_GAP = 1.5;
+// Consecutive lines with the same number of cells that are taken to be a table
+const MIN_TABLE_ROWS = 3;
+
+// pdf-parse's own page renderer: text items on the same baseline form one line. A wide gap
+// between two items on a line is kept as a tab so that table columns can be found later.
+const renderPage = async (pageData) => {
+  const content = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+  let lastY;
+  let lastEnd;
+  let text = '';
+
+  for (const item of content.items) {
+    const [fontSize, , , , x, y] = item.transform;
+    if (lastY === undefined) {
+      text += item.str;
+    } else if (lastY !== y) {
+      text += `\n${item.str}`;
+    } else {
+      text += (x - lastEnd > Math.abs(fontSize) * CELL_GAP ? '\t' : '') + item.str;
+    }
+    lastY = y;
+    lastEnd = x + item.width;
+  }
+  return text;
+};
+
+// Text of every page, in page order; a page that fails to render comes back empty
+export const parsePdfPages = async (buffer) => {
+  // The package entry point runs its own self-test when it has no parent module (as under a
+  // test runner's module loader); the library file behind it does not
+  const pdf = require('pdf-parse/lib/pdf-parse.js');
+  const pages = [];
+
+  // The bundled pdf.js reads the whole underlying ArrayBuffer, ignoring byteOffset, so small
+  // Buffers carved out of Node's shared pool are copied into one of their own
+  const { numpages } = await pdf(new Uint8Array(buffer), {
+    pagerender: async (pageData) => {
+      const text = await renderPage(pageData);
+      pages[pageData.pageIndex] = text;
+      return text;
+    }
+  });
+
+  return Array.from({ length: numpages }, (_, index) => pages[index] || '');
+};
+
+// Page numbers differ from page to page, so digits are ignored when comparing lines
+const marginKey = (line) => line.toLowerCase().replace(/\d+/g, '#').replace(/\s+/g, ' ').trim();
+
+// Drops lines that open or close most pages (running titles, "Page 3 of 12", confidentiality
+// notices). Only the first and last few lines of a page are candidates, so repeated phrases in
+// the body are kept.
+export const removeRepeatedMargins = (pages) => {
+  const pageLines = pages.map(page => page.split('\n').map(line => line.trim()).filter(Boolean));
+  const threshold = Math.max(MIN_REPEATS, Math.ceil(pages.length * REPEAT_RATIO));
+  if (pages.length < threshold) return pageLines.map(lines => lines.join('\n'));
+
+  const counts = new Map();
+  for (const lines of pageLines) {
+    const margins = new Set([...lines.slice(0, MARGIN_LINES), ...lines.slice(-MARGIN_LINES)].map(marginKey));
+    margins.forEach(key => counts.set(key, (counts.get(key) || 0) + 1));
+  }
+
+  const repeated = (line) => counts.get(marginKey(line)) >= threshold;
+
+  return pageLines.map(lines => {
+    let start = 0;
+    let end = lines.length;
+    while (start < Math.min(MARGIN_LINES, end) && repeated(lines[start])) start++;
+    while (end > start && lines.length - end < MARGIN_LINES && repeated(lines[end - 1])) end--;
+    return lines.slice(start, end).join('\n');
+  });
+};
+
+// Renders runs of at least MIN_TABLE_ROWS lines that split into the same number of cells (two
+// or more) as Markdown tables, set apart from the surrounding text by blank lines. Other lines
+// are joined into running text.
+export const formatPageTables = (page) => {
+  const lines = page.split('\n');
+  const blocks = [];
+  let prose = [];
+
+  const flushProse = () => {
+    if (prose.length) blocks.push(prose.join(' '));
+    prose = [];
+  };
+
+  for (let i = 0; i < lines.length;) {
+    const columns = lines[i].split('\t').length;
+    let end = i + 1;
+    while (columns > 1 && end < lines.length && lines[end].split('\t').length === columns) end++;
+
+    if (columns > 1 && end - i >= MIN_TABLE_ROWS) {
+      flushProse();
+      blocks.push(toMarkdownTable(lines.slice(i, end).map(line => line.split('\t').map(cell => cell.trim()))));
+      i = end;
+    } else {
+      prose.push(lines[i].replace(/\t/g, ' '));
+      i++;
+    }
+  }
+
+  flushProse();
+  return blocks.join('\n\n');
+};
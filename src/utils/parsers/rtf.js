@@ -0,0 +1,141 @@
+// Groups whose content is never body text
+const SKIPPED_DESTINATIONS = new Set([
+  'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'header', 'footer',
+  'headerl', 'headerr', 'footerl', 'footerr', 'footnote', 'listtable', 'listoverridetable',
+  'rsidtbl', 'generator', 'xmlnstbl', 'themedata', 'colorschememapping', 'latentstyles',
+  'datastore', 'fldinst', 'bkmkstart', 'bkmkend', 'revtbl', 'pgdsctbl'
+]);
+
+const CP1252_HIGH = '€\u0081‚ƒ„…†‡ˆ‰Š‹Œ\u008DŽ\u008F\u0090‘’“”•–—˜™š›œ\u009DžŸ';
+
+const decodeByte = (code) => (code >= 0x80 && code < 0xa0 ? CP1252_HIGH[code - 0x80] : String.fromCharCode(code));
+
+// Converts RTF to plain text paragraphs. Handles groups, ignorable destinations,
+// hex escapes (Windows-1252) and \uN unicode escapes with their \ucN fallbacks.
+export const rtfToParagraphs = (rtf) => {
+  if (!rtf.trimStart().startsWith('{\\rtf')) {
+    throw new Error('Not an RTF document');
+  }
+
+  const paragraphs = [];
+  const stack = [];
+  let state = { skip: false, uc: 1 };
+  let current = '';
+  let pendingSkip = 0;
+
+  const emit = (text) => {
+    if (state.skip) return;
+    if (pendingSkip > 0) {
+      const dropped = Math.min(pendingSkip, text.length);
+      pendingSkip -= dropped;
+      text = text.substring(dropped);
+    }
+    current += text;
+  };
+
+  const endParagraph = () => {
+    if (state.skip) return;
+    const text = current.replace(/[ \t]+/g, ' ').trim();
+    if (text) paragraphs.push(text);
+    current = '';
+  };
+
+  let i = 0;
+  while (i < rtf.length) {
+    const char = rtf[i];
+
+    if (char === '{') {
+      stack.push(state);
+      state = { ...state };
+      i++;
+      continue;
+    }
+
+    if (char === '}') {
+      state = stack.pop() || { skip: false, uc: 1 };
+      i++;
+      continue;
+    }
+
+    if (char === '\\') {
+      const next = rtf[i + 1];
+
+      if (next === '\\' || next === '{' || next === '}') {
+        emit(next);
+        i += 2;
+        continue;
+      }
+
+      if (next === '*') {
+        state.skip = true;
+        i += 2;
+        continue;
+      }
+
+      if (next === "'") {
+        emit(decodeByte(parseInt(rtf.substr(i + 2, 2), 16)));
+        i += 4;
+        continue;
+      }
+
+      if (next === '~') {
+        emit(' ');
+        i += 2;
+        continue;
+      }
+
+      if (next === '\n' || next === '\r') {
+        endParagraph();
+        i += 2;
+        continue;
+      }
+
+      const match = /^([a-zA-Z]+)(-?\d+)? ?/.exec(rtf.substring(i + 1, i + 40));
+      if (!match) {
+        i += 2;
+        continue;
+      }
+
+      const [token, word, param] = match;
+      i += 1 + token.length;
+
+      if (SKIPPED_DESTINATIONS.has(word)) {
+        state.skip = true;
+      } else if (word === 'par' || word === 'sect' || word === 'page') {
+        endParagraph();
+      } else if (word === 'line') {
+        emit('\n');
+      } else if (word === 'tab' || word === 'cell') {
+        emit('\t');
+      } else if (word === 'row') {
+        endParagraph();
+      } else if (word === 'uc') {
+        state.uc = parseInt(param) || 0;
+      } else if (word === 'u') {
+        let code = parseInt(param);
+        if (code < 0) code += 65536;
+        emit(String.fromCharCode(code));
+        pendingSkip = state.uc;
+      } else if (word === 'emdash') {
+        emit('—');
+      } else if (word === 'endash') {
+        emit('–');
+      } else if (word === 'bullet') {
+        emit('•');
+      } else if (word === 'lquote' || word === 'rquote') {
+        emit(word === 'lquote' ? '‘' : '’');
+      } else if (word === 'ldblquote' || word === 'rdblquote') {
+        emit(word === 'ldblquote' ? '“' : '”');
+      }
+      continue;
+    }
+
+    if (char !== '\n' && char !== '\r') {
+      emit(char);
+    }
+    i++;
+  }
+
+  endParagraph();
+  return paragraphs;
+};
@@ -0,0 +1,143 @@
+const CANDIDATE_DELIMITERS = [',', ';', '\t', '|'];
+
+// Picks the delimiter that splits the header line into the most columns, ignoring quoted text
+export const detectDelimiter = (text) => {
+  const headerLine = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+  let best = ',';
+  let bestCount = 0;
+
+  for (const delimiter of CANDIDATE_DELIMITERS) {
+    const count = headerLine.split(delimiter).length - 1;
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  }
+
+  return best;
+};
+
+// RFC 4180 style parsing: quoted fields may contain delimiters, doubled quotes and newlines
+export const parseCsv = (text, delimiter = detectDelimiter(text)) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && field.length === 0) {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field.length > 0 || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+};
+
+export const formatRecord = (entries) => entries
+  .filter(([, value]) => value !== null && value !== undefined && String(value).trim() !== '')
+  .map(([key, value]) => `${key}: ${String(value).trim()}`)
+  .join('; ');
+
+// Flattens nested objects into dot-separated keys; arrays of primitives become comma lists
+export const flattenObject = (value, prefix = '', out = {}) => {
+  if (Array.isArray(value)) {
+    if (value.every(item => item === null || typeof item !== 'object')) {
+      out[prefix] = value.join(', ');
+    } else {
+      value.forEach((item, index) => flattenObject(item, `${prefix}[${index}]`, out));
+    }
+  } else if (value && typeof value === 'object') {
+    for (const [key, child] of Object.entries(value)) {
+      flattenObject(child, prefix ? `${prefix}.${key}` : key, out);
+    }
+  } else if (prefix) {
+    out[prefix] = value;
+  }
+  return out;
+};
+
+export const csvToRecords = (text) => {
+  const rows = parseCsv(text.replace(/^\uFEFF/, ''));
+  if (rows.length === 0) {
+    return { columns: [], records: [] };
+  }
+
+  const columns = rows[0].map((name, index) => name.trim() || `column_${index + 1}`);
+  const records = rows.slice(1).map((values, index) => {
+    const fields = columns.map((column, i) => [column, values[i]]);
+    return {
+      row: index + 1,
+      columns: fields.filter(([, v]) => v !== undefined && v.trim() !== '').map(([c]) => c),
+      text: formatRecord(fields)
+    };
+  });
+
+  return { columns, records: records.filter(record => record.text) };
+};
+
+// The records of a JSON document: the top-level array, the single array property of a
+// wrapper object (e.g. { "faqs": [...] }), or the document itself as one record
+const findRecordArray = (data) => {
+  if (Array.isArray(data)) return data;
+
+  if (data && typeof data === 'object') {
+    const arrays = Object.values(data).filter(Array.isArray);
+    if (arrays.length === 1) return arrays[0];
+  }
+
+  return [data];
+};
+
+export const jsonToRecords = (text, { lines = false } = {}) => {
+  const source = text.replace(/^\uFEFF/, '');
+  const items = lines
+    ? source.split(/\r?\n/).filter(line => line.trim()).map(line => JSON.parse(line))
+    : findRecordArray(JSON.parse(source));
+
+  const columns = [];
+  const records = items.map((item, index) => {
+    const flat = item && typeof item === 'object' ? flattenObject(item) : { value: item };
+    const keys = Object.keys(flat);
+    keys.forEach(key => {
+      if (!columns.includes(key)) columns.push(key);
+    });
+
+    return {
+      row: index + 1,
+      columns: keys,
+      text: formatRecord(Object.entries(flat))
+    };
+  });
+
+  return { columns, records: records.filter(record => record.text) };
+};
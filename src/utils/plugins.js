@@ -0,0 +1,28 @@
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { logger } from './logger.js';
+
+// Imports each plugin module and calls its default (or named `register`) export with `target`.
+// Relative and absolute paths are resolved from the working directory; anything else is
+// imported as a package. `kind` names the plugins in log messages ("Parser", "Blob store").
+export const loadPlugins = async (modulePaths, target, kind) => {
+  for (const modulePath of modulePaths) {
+    try {
+      const specifier = modulePath.startsWith('.') || path.isAbsolute(modulePath)
+        ? pathToFileURL(path.resolve(modulePath)).href
+        : modulePath;
+      const plugin = await import(specifier);
+      const register = plugin.default || plugin.register;
+
+      if (typeof register !== 'function') {
+        throw new Error('Plugin must export a default or `register` function');
+      }
+
+      await register(target);
+      logger.info(`${kind} plugin loaded`, { modulePath });
+    } catch (error) {
+      logger.error(`Failed to load ${kind.toLowerCase()} plugin`, { modulePath, error: error.message });
+      throw error;
+    }
+  }
+};
@@ -1,11 +1,71 @@
 import { config } from '../config/app.js';
 import { logger } from './logger.js';
+import { splitMarkdownBlocks, hasMarkdownTable } from './parsers/markdown.js';
+import { computeLineLevels, findCodeUnits, childLevel, baseLevel } from './parsers/code.js';
+import { getTokenizer, SPECIAL_TOKEN_COUNT } from './tokenizer.js';
+
+// Shorter prefix/suffix matches between neighbouring chunks are treated as coincidence
+const MIN_OVERLAP = 20;
+
+// Character budget per token for the format-aware splitters in token mode. It is below the
+// ~4 characters of an average English token, so their pieces rarely need cutting again.
+const CHARS_PER_TOKEN = 3;
+
+// Where a token window prefers to end, best first: a paragraph, a sentence, a clause
+const TOKEN_BOUNDARY_PATTERNS = [/\n\s*\n\s*$/, /[.!?]["')\]]*\s+$/, /[;:,]\s+$/];
+
+// Sentence ends (kept with their sentence) and paragraph breaks
+const SENTENCE_BOUNDARY_PATTERN = /(?<=[.!?]["')\]]*)\s+|\n\s*\n/;
+
+// Neighbouring sentences embedded with each sentence, which steadies the similarity signal
+const SEMANTIC_CONTEXT_SENTENCES = 1;
+
+const cosineSimilarity = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+// The p-th percentile (0-100) of values, interpolating between the nearest ranks
+const percentile = (values, p) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  return sorted[lower] + (sorted[Math.ceil(rank)] - sorted[lower]) * (rank - lower);
+};
+
+// Largest chunk the embedding model takes in whole, in tokens
+export const MAX_CHUNK_TOKENS = config.embedding.maxTokens - SPECIAL_TOKEN_COUNT;
+
+// Longest overlap to look for before a stored chunk: its chunkOverlap, or (like
+// stitchOverlapLimit) no limit for token windows, whose overlap is set in tokens
+const storedOverlapLimit = (metadata = {}) => (metadata.chunkOverlapTokens !== undefined ? Infinity : metadata.chunkOverlap);
 
 export class TextChunker {
+  // With a `tokenizer` (or the token strategy, which loads the shared one) the chunker works
+  // in token mode: no chunk has more than maxTokens tokens, and text is cut into token windows
+  // that overlap by overlapTokens. The semantic strategy needs `embed`, an async function from
+  // an array of texts to their vectors.
   constructor(options = {}) {
-    this.maxChunkSize = options.maxChunkSize || 1000;
-    this.overlapSize = options.overlapSize || 200;
+    this.tokenizer = options.tokenizer || (options.strategy === 'token' ? getTokenizer() : null);
+    this.strategy = options.strategy || (this.tokenizer ? 'token' : 'recursive');
+    this.embed = options.embed || null;
+    this.breakpointPercentile = options.breakpointPercentile ?? 10;
+    this.maxTokens = options.maxTokens || MAX_CHUNK_TOKENS;
+    this.overlapTokens = options.overlapTokens ?? 32;
+    this.maxChunkSize = options.maxChunkSize || (this.tokenizer ? this.maxTokens * CHARS_PER_TOKEN : 1000);
+    this.overlapSize = options.overlapSize ?? (this.tokenizer ? this.overlapTokens * CHARS_PER_TOKEN : 200);
     this.separators = options.separators || ['\n\n', '\n', '. ', '! ', '? ', '; ', ': ', ', ', ' '];
+    this.minChunkSize = options.minChunkSize ?? Math.floor(this.maxChunkSize / 4);
+    // Longest overlap stitchChunks looks for. Token windows overlap by overlapTokens tokens,
+    // which can be any number of characters, so for them it is only bounded by the chunks.
+    this.stitchOverlapLimit = this.tokenizer ? Infinity : this.overlapSize;
   }
 
   splitText(text) {
@@ -30,21 +90,23 @@ export class TextChunker {
       .trim();
   }
 
+  // Text after the split point carries over into the next chunk behind the overlap, so
+  // consecutive chunks tile the text and stitchChunks can rebuild it
   createChunks(text) {
     const chunks = [];
     let currentChunk = '';
-    let lastSeparatorIndex = -1;
 
     for (let i = 0; i < text.length; i++) {
       currentChunk += text[i];
 
       if (currentChunk.length >= this.maxChunkSize) {
-        const chunk = this.findBestSplitPoint(currentChunk, text, i);
+        const splitIndex = this.findSplitIndex(currentChunk);
+        const head = currentChunk.substring(0, splitIndex);
+        const chunk = head.trim();
         
         if (chunk) {
           chunks.push(chunk);
-          currentChunk = this.createOverlap(chunk, text, i);
-          lastSeparatorIndex = i;
+          currentChunk = this.createOverlap(head) + currentChunk.substring(splitIndex);
         }
       }
     }
@@ -62,22 +124,479 @@ export class TextChunker {
     return chunks;
   }
 
-  findBestSplitPoint(chunk, fullText, currentIndex) {
+  // Index just past the preferred separator. Splitting beyond the overlap guarantees the
+  // next chunk starts further into the text than this one did.
+  findSplitIndex(chunk) {
     for (const separator of this.separators) {
       const lastIndex = chunk.lastIndexOf(separator);
-      if (lastIndex > 0 && lastIndex < chunk.length - this.overlapSize) {
-        return chunk.substring(0, lastIndex + separator.length).trim();
+      if (lastIndex > this.overlapSize && lastIndex < chunk.length - this.overlapSize) {
+        return lastIndex + separator.length;
       }
     }
 
-    return chunk.trim();
+    return chunk.length;
   }
 
-  createOverlap(lastChunk, fullText, currentIndex) {
+  createOverlap(lastChunk) {
     const overlapStart = Math.max(0, lastChunk.length - this.overlapSize);
     return lastChunk.substring(overlapStart);
   }
 
+  // Chunks each extracted section on its own so chunks never straddle sections, and
+  // carries the section's metadata onto every chunk cut from it. `split` returns a
+  // section's pieces (strings or { text, metadata }).
+  chunkSections(sections, split = section => this.splitSection(section)) {
+    const chunks = [];
+
+    for (const [index, section] of sections.entries()) {
+      const pieces = split(section, index);
+
+      for (const piece of pieces) {
+        const chunk = typeof piece === 'string' ? { text: piece, metadata: {} } : piece;
+        for (const text of this.fitTokenWindow(chunk.text)) {
+          chunks.push({ text, metadata: { ...section.metadata, ...chunk.metadata } });
+        }
+      }
+    }
+
+    const { offsets } = this.stitchChunks(chunks);
+    return chunks.map((chunk, index) => ({
+      ...chunk,
+      metadata: { ...chunk.metadata, charStart: offsets[index].charStart, charEnd: offsets[index].charEnd }
+    }));
+  }
+
+  // chunkSections with the chunker's strategy. The paragraph, sentence and semantic strategies
+  // apply to prose sections (plain text, and Markdown made only of headings and paragraphs);
+  // lists, tables, code and records keep their own boundaries. Semantic chunking embeds
+  // sentences, so this is async.
+  async chunkDocument(sections) {
+    const splitProse = {
+      paragraph: text => this.chunkByParagraphs(text),
+      sentence: text => this.chunkBySentences(text),
+      semantic: text => this.chunkBySemantics(text)
+    }[this.strategy];
+
+    if (!splitProse) {
+      return this.chunkSections(sections);
+    }
+
+    const isProse = (section) => (section.format || 'text') === 'text'
+      || (section.format === 'markdown' && splitMarkdownBlocks(section.text).every(block => block.type === 'text'));
+
+    const prosePieces = [];
+    for (const section of sections) {
+      prosePieces.push(isProse(section) ? await splitProse(section.text) : null);
+    }
+    return this.chunkSections(sections, (section, index) => prosePieces[index] || this.splitSection(section));
+  }
+
+  // Length of the start of `next` that repeats the end of `previous` (the overlap
+  // createChunks carries from one chunk into the next), or 0 when there is none
+  measureOverlap(previous, next, overlapSize = this.stitchOverlapLimit) {
+    const limit = Math.min(overlapSize, previous.length, next.length);
+    if (limit < MIN_OVERLAP) return 0;
+
+    for (let start = previous.length - limit; start <= previous.length - MIN_OVERLAP; start++) {
+      if (previous[start] === next[0] && next.startsWith(previous.substring(start))) {
+        return previous.length - start;
+      }
+    }
+    return 0;
+  }
+
+  // Rebuilds the text chunks were cut from: overlapping chunks are joined where they overlap,
+  // code chunks on a line break and anything else on a blank line. Each chunk's text is
+  // text.substring(charStart, charEnd); overlapChars of it repeat the previous chunk.
+  stitchChunks(chunks) {
+    let text = '';
+    const offsets = [];
+
+    chunks.forEach((chunk, index) => {
+      const previous = chunks[index - 1];
+      const overlapChars = previous ? this.measureOverlap(previous.text, chunk.text, storedOverlapLimit(chunk.metadata)) : 0;
+
+      if (previous && overlapChars === 0) {
+        const codeLines = previous.metadata?.lineStart !== undefined && chunk.metadata?.lineStart !== undefined;
+        text += codeLines ? '\n' : '\n\n';
+      }
+
+      const charStart = text.length - overlapChars;
+      text += chunk.text.substring(overlapChars);
+      offsets.push({ charStart, charEnd: charStart + chunk.text.length, overlapChars });
+    });
+
+    return { text, offsets };
+  }
+
+  splitSection(section) {
+    switch (section.format) {
+      case 'markdown':
+        return this.splitMarkdown(section.text).map(piece => (hasMarkdownTable(piece)
+          ? { text: piece, metadata: { containsTable: true } }
+          : piece));
+      case 'records':
+        return this.splitRecords(section.records, section.header, section.unit);
+      case 'code':
+        return this.splitCode(section.text, section.metadata?.language);
+      default:
+        return this.tokenizer ? this.splitTokens(section.text) : this.splitText(section.text);
+    }
+  }
+
+  // In token mode, cuts a piece from the format-aware splitters that is still over maxTokens
+  fitTokenWindow(text) {
+    if (!this.tokenizer || this.tokenizer.countTokens(text) <= this.maxTokens) {
+      return [text];
+    }
+    return this.splitTokens(text);
+  }
+
+  // Cuts text into windows of at most maxTokens tokens, each starting overlapTokens tokens
+  // before the previous one ended. A window ends after the last paragraph, sentence or clause
+  // in its second half, and only mid-sentence when there is none.
+  splitTokens(text) {
+    if (!text || typeof text !== 'string') {
+      return [];
+    }
+
+    const words = this.tokenizer.words(text);
+    const chunks = [];
+    let first = 0;
+
+    while (first < words.length) {
+      let end = first;
+      let tokens = 0;
+      while (end < words.length && tokens + words[end].tokens <= this.maxTokens) {
+        tokens += words[end].tokens;
+        end++;
+      }
+
+      if (end === first) {
+        // A single word longer than the window
+        chunks.push(...this.splitLongWord(text.substring(words[first].start, words[first].end), words[first].tokens));
+        first++;
+        continue;
+      }
+
+      if (end < words.length) {
+        end = this.findTokenBoundary(text, words, first, end);
+      }
+      chunks.push(text.substring(words[first].start, words[end - 1].end));
+      if (end >= words.length) break;
+
+      let next = end;
+      let overlap = 0;
+      while (next > first + 1 && overlap + words[next - 1].tokens <= this.overlapTokens) {
+        next--;
+        overlap += words[next].tokens;
+      }
+      first = next;
+    }
+
+    return chunks;
+  }
+
+  // Exclusive end of the window words[first..end) at the best boundary in its second half
+  findTokenBoundary(text, words, first, end) {
+    const earliest = first + Math.ceil((end - first) / 2);
+
+    for (const pattern of TOKEN_BOUNDARY_PATTERNS) {
+      for (let i = end; i >= earliest; i--) {
+        if (pattern.test(text.substring(words[Math.max(first, i - 2)].start, words[i].start))) {
+          return i;
+        }
+      }
+    }
+    return end;
+  }
+
+  // Even character slices of a word, sized to the window by its token count
+  splitLongWord(word, tokens) {
+    const parts = Math.ceil(tokens / this.maxTokens);
+    const size = Math.ceil(word.length / parts);
+    return Array.from({ length: parts }, (_, i) => word.substring(i * size, (i + 1) * size)).filter(Boolean);
+  }
+
+  // Packs whole rows (or paragraphs, per `unit`) into chunks, repeating the header context
+  // at the top of each one. A record is only cut when it cannot fit into a chunk on its own.
+  splitRecords(records = [], header = '', unit = 'row') {
+    const context = header.length > this.maxChunkSize / 4
+      ? header.substring(0, Math.floor(this.maxChunkSize / 4)).trim() + '…'
+      : header;
+    const prefix = context ? context + '\n' : '';
+    const budget = this.maxChunkSize - prefix.length;
+    const chunks = [];
+    let batch = [];
+    let batchLength = 0;
+
+    const flush = () => {
+      if (batch.length === 0) return;
+
+      const columns = [];
+      batch.forEach(record => (record.columns || []).forEach(column => {
+        if (!columns.includes(column)) columns.push(column);
+      }));
+
+      const text = batch.map(record => record.text).join('\n');
+      chunks.push({
+        text: prefix + text,
+        metadata: {
+          [`${unit}Start`]: batch[0].row,
+          [`${unit}End`]: batch[batch.length - 1].row,
+          ...(columns.length > 0 && { columns }),
+          ...(hasMarkdownTable(text) && { containsTable: true })
+        }
+      });
+      batch = [];
+      batchLength = 0;
+    };
+
+    for (const record of records) {
+      if (record.text.length > budget) {
+        flush();
+        const chunker = new TextChunker({
+          maxChunkSize: budget,
+          overlapSize: Math.min(this.overlapSize, Math.floor(budget / 4))
+        });
+        const pieces = hasMarkdownTable(record.text) ? chunker.splitMarkdown(record.text) : chunker.splitText(record.text);
+        pieces.forEach(piece => {
+          batch = [{ ...record, text: piece }];
+          flush();
+        });
+        continue;
+      }
+
+      if (batchLength + record.text.length + 1 > budget) {
+        flush();
+      }
+
+      batch.push(record);
+      batchLength += record.text.length + 1;
+    }
+
+    flush();
+    return chunks;
+  }
+
+  // Packs Markdown paragraphs, lists, tables and fenced code blocks into chunks. Code blocks
+  // and tables are never cut mid-block unless a single block exceeds maxChunkSize: code is then
+  // split on line boundaries and each piece re-fenced, tables between rows under a repeated
+  // header. Lists keep one item per line.
+  splitMarkdown(text) {
+    if (!text || typeof text !== 'string') {
+      return [];
+    }
+
+    const units = [];
+    for (const block of splitMarkdownBlocks(text)) {
+      if (block.type === 'code') {
+        units.push(...this.splitCodeBlock(block));
+      } else if (block.type === 'table') {
+        units.push(...this.splitTable(block.text));
+      } else if (block.type === 'list') {
+        const items = block.text.split('\n').map(line => line.replace(/(\S)\s+/g, '$1 ').trimEnd()).join('\n');
+        units.push(...(items.length <= this.maxChunkSize ? [items] : this.createChunks(items)));
+      } else {
+        const cleaned = this.cleanText(block.text);
+        units.push(...(cleaned.length <= this.maxChunkSize ? [cleaned] : this.createChunks(cleaned)));
+      }
+    }
+
+    const chunks = [];
+    let currentChunk = '';
+
+    for (const unit of units) {
+      if (!currentChunk) {
+        currentChunk = unit;
+      } else if (currentChunk.length + 2 + unit.length <= this.maxChunkSize) {
+        currentChunk += '\n\n' + unit;
+      } else {
+        chunks.push(currentChunk);
+        currentChunk = unit;
+      }
+    }
+
+    if (currentChunk) {
+      chunks.push(currentChunk);
+    }
+
+    return chunks;
+  }
+
+  splitTable(text) {
+    if (text.length <= this.maxChunkSize) {
+      return [text];
+    }
+
+    const [header, delimiter, ...rows] = text.split('\n');
+    const prefix = `${header}\n${delimiter}`;
+    const budget = this.maxChunkSize - prefix.length - 1;
+    const pieces = [];
+    let current = [];
+    let currentLength = 0;
+
+    for (const row of rows) {
+      if (current.length && currentLength + row.length + 1 > budget) {
+        pieces.push(current);
+        current = [];
+        currentLength = 0;
+      }
+      current.push(row);
+      currentLength += row.length + 1;
+    }
+
+    if (current.length) {
+      pieces.push(current);
+    }
+
+    return pieces.map(piece => [prefix, ...piece].join('\n'));
+  }
+
+  splitCodeBlock(block) {
+    if (block.text.length <= this.maxChunkSize) {
+      return [block.text];
+    }
+
+    const lines = block.text.split('\n');
+    const closer = lines[lines.length - 1].trim().startsWith(block.fence) ? lines.pop() : block.fence;
+    lines.shift();
+
+    const budget = this.maxChunkSize - block.opener.length - closer.length - 2;
+    const pieces = [];
+    let current = [];
+    let currentLength = 0;
+
+    for (const line of lines) {
+      if (current.length && currentLength + line.length + 1 > budget) {
+        pieces.push(current);
+        current = [];
+        currentLength = 0;
+      }
+      current.push(line);
+      currentLength += line.length + 1;
+    }
+
+    if (current.length) {
+      pieces.push(current);
+    }
+
+    return pieces.map(piece => [block.opener, ...piece, closer].join('\n'));
+  }
+
+  // Cuts source code on function, class and top-level block boundaries, packing small
+  // neighbouring blocks together. Blocks larger than maxChunkSize are split at their nested
+  // declarations (e.g. methods of a class), and only then on line boundaries. Whitespace is
+  // preserved. Each chunk records its symbolName(s) and 1-based lineStart/lineEnd.
+  splitCode(text, language = null) {
+    if (!text || typeof text !== 'string') {
+      return [];
+    }
+
+    const lines = text.split('\n');
+    const levels = computeLineLevels(lines, language);
+    const units = this.collectCodeUnits(lines, levels, {
+      start: 0,
+      end: lines.length - 1,
+      level: baseLevel(levels, language),
+      language
+    });
+
+    const chunks = [];
+    let batch = [];
+
+    const flush = () => {
+      if (batch.length === 0) return;
+      chunks.push(...this.buildCodeChunks(lines, batch[0].start, batch[batch.length - 1].end, batch));
+      batch = [];
+    };
+
+    for (const unit of units) {
+      const candidate = [...batch, unit];
+      const length = lines.slice(candidate[0].start, unit.end + 1).join('\n').trim().length;
+      if (batch.length && (length > this.maxChunkSize || unit.split)) {
+        flush();
+      }
+      batch.push(unit);
+      if (unit.split) flush();
+    }
+
+    flush();
+    return chunks;
+  }
+
+  collectCodeUnits(lines, levels, { start, end, level, language, parent = null }) {
+    const units = [];
+
+    for (const unit of findCodeUnits(lines, levels, { start, end, level, language, nested: parent !== null })) {
+      const name = parent && unit.name ? `${parent}.${unit.name}` : (unit.name || parent);
+      const length = lines.slice(unit.start, unit.end + 1).join('\n').trim().length;
+
+      if (length <= this.maxChunkSize) {
+        units.push({ ...unit, name });
+        continue;
+      }
+
+      const nested = childLevel(levels, { start: unit.start, end: unit.end, level, language });
+      const children = nested === null
+        ? []
+        : findCodeUnits(lines, levels, { start: unit.start, end: unit.end, level: nested, language, nested: true });
+
+      if (children.length > 1) {
+        units.push(...this.collectCodeUnits(lines, levels, {
+          start: unit.start, end: unit.end, level: nested, language, parent: name
+        }));
+      } else {
+        units.push(...this.splitCodeLines(lines, unit.start, unit.end).map(range => ({ ...range, name, split: true })));
+      }
+    }
+
+    return units;
+  }
+
+  // Line ranges of at most maxChunkSize characters; a single longer line is cut on its own
+  splitCodeLines(lines, start, end) {
+    const ranges = [];
+    let rangeStart = start;
+    let length = 0;
+
+    for (let i = start; i <= end; i++) {
+      const lineLength = lines[i].length + 1;
+      if (i > rangeStart && length + lineLength > this.maxChunkSize) {
+        ranges.push({ start: rangeStart, end: i - 1 });
+        rangeStart = i;
+        length = 0;
+      }
+      length += lineLength;
+    }
+
+    ranges.push({ start: rangeStart, end });
+    return ranges;
+  }
+
+  buildCodeChunks(lines, start, end, units) {
+    while (start < end && !lines[start].trim()) start++;
+    while (end > start && !lines[end].trim()) end--;
+
+    const text = lines.slice(start, end + 1).join('\n').replace(/\s+$/, '');
+    if (!text.trim()) return [];
+
+    const names = [...new Set(units.map(unit => unit.name).filter(Boolean))];
+    const pieces = text.length > this.maxChunkSize
+      ? Array.from({ length: Math.ceil(text.length / this.maxChunkSize) }, (_, i) =>
+        text.substring(i * this.maxChunkSize, (i + 1) * this.maxChunkSize))
+      : [text];
+
+    return pieces.map(piece => ({
+      text: piece,
+      metadata: {
+        lineStart: start + 1,
+        lineEnd: end + 1,
+        ...(names.length > 0 && { symbolName: names.join(', ') })
+      }
+    }));
+  }
+
   chunkByParagraphs(text) {
     const paragraphs = text.split(/\n\s*\n/).filter(p => p.trim());
     const chunks = [];
@@ -93,33 +612,86 @@ export class TextChunker {
     return chunks;
   }
 
+  // Sentences with their closing punctuation; one longer than maxChunkSize is cut by splitText
+  splitSentences(text) {
+    return text.split(SENTENCE_BOUNDARY_PATTERN).map(s => s.trim()).filter(Boolean)
+      .flatMap(sentence => (sentence.length > this.maxChunkSize ? this.splitText(sentence) : [sentence]));
+  }
+
   chunkBySentences(text) {
-    const sentences = text.split(/[.!?]+/).filter(s => s.trim());
     const chunks = [];
     let currentChunk = '';
 
-    for (const sentence of sentences) {
-      const trimmedSentence = sentence.trim();
-      if (trimmedSentence.length === 0) continue;
-
-      if (currentChunk.length + trimmedSentence.length <= this.maxChunkSize) {
-        currentChunk += (currentChunk ? '. ' : '') + trimmedSentence;
+    for (const sentence of this.splitSentences(text)) {
+      if (currentChunk && currentChunk.length + 1 + sentence.length > this.maxChunkSize) {
+        chunks.push(currentChunk);
+        currentChunk = sentence;
       } else {
-        if (currentChunk) {
-          chunks.push(currentChunk + '.');
-          currentChunk = trimmedSentence;
-        } else {
-          chunks.push(trimmedSentence + '.');
-        }
+        currentChunk = currentChunk ? `${currentChunk} ${sentence}` : sentence;
       }
     }
 
     if (currentChunk) {
-      chunks.push(currentChunk + '.');
+      chunks.push(currentChunk);
+    }
+
+    return chunks;
+  }
+
+  // Groups consecutive sentences into chunks, cutting where the similarity of neighbouring
+  // sentences falls to the breakpointPercentile-th percentile of all such similarities in
+  // the text. Chunks stay between minChunkSize and maxChunkSize characters: breakpoints in a
+  // shorter chunk are passed over, and a chunk that would grow too long is cut regardless.
+  async chunkBySemantics(text) {
+    if (!this.embed) {
+      throw new Error('Semantic chunking needs an embed function');
+    }
+
+    const sentences = this.splitSentences(text);
+    if (sentences.length < 3) {
+      return this.splitText(text);
+    }
+
+    const windows = sentences.map((_, i) => sentences
+      .slice(Math.max(0, i - SEMANTIC_CONTEXT_SENTENCES), i + SEMANTIC_CONTEXT_SENTENCES + 1)
+      .join(' '));
+    const embeddings = await this.embed(windows);
+    const similarities = sentences.slice(1).map((_, i) => cosineSimilarity(embeddings[i], embeddings[i + 1]));
+    const threshold = percentile(similarities, this.breakpointPercentile);
+    // Text that reads the same throughout has no breakpoints
+    const uniform = threshold === Math.max(...similarities);
+
+    const chunks = [];
+    let current = sentences[0];
+
+    sentences.slice(1).forEach((sentence, i) => {
+      const breakpoint = !uniform && similarities[i] <= threshold && current.length >= this.minChunkSize;
+      if (breakpoint || current.length + 1 + sentence.length > this.maxChunkSize) {
+        chunks.push(current);
+        current = sentence;
+      } else {
+        current += ' ' + sentence;
+      }
+    });
+
+    // A short tail joins the chunk before it when there is room
+    const previous = chunks[chunks.length - 1];
+    if (current.length < this.minChunkSize && previous && previous.length + 1 + current.length <= this.maxChunkSize) {
+      chunks[chunks.length - 1] = previous + ' ' + current;
+    } else {
+      chunks.push(current);
     }
 
+    logger.debug('Semantic chunking completed', { sentenceCount: sentences.length, chunkCount: chunks.length, threshold });
     return chunks;
   }
 }
 
-export const textChunker = new TextChunker();
+// Character windows by default; CHUNKING_MODE=tokens sizes chunks to the embedding model's window
+export const textChunker = config.chunking.mode === 'tokens'
+  ? new TextChunker({
+    tokenizer: getTokenizer(),
+    maxTokens: Math.min(config.chunking.maxTokens || MAX_CHUNK_TOKENS, MAX_CHUNK_TOKENS),
+    overlapTokens: config.chunking.overlapTokens
+  })
+  : new TextChunker();
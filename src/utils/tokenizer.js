@@ -0,0 +1,120 @@
+import fs from 'fs';
+import path from 'path';
+import { config } from '../config/app.js';
+import { logger } from './logger.js';
+
+// [CLS] and [SEP], which the model adds around every input
+export const SPECIAL_TOKEN_COUNT = 2;
+
+// Words as BERT's basic tokenizer splits them: single CJK ideographs, single punctuation marks
+// and symbols, and runs of everything else between whitespace
+const WORD_PATTERN = /\p{Script=Han}|[\p{P}\p{S}]|[^\s\p{P}\p{S}\p{Script=Han}\p{Cc}]+/gu;
+
+// Longer words become a single [UNK]
+const MAX_WORD_LENGTH = 100;
+
+// Without a vocabulary a run of ASCII letters counts as one token per this many letters (rounded
+// up) and every other character as a token of its own: digits, hex IDs and non-Latin scripts
+// split into a WordPiece per character or two, so the estimate stays at or above the real count
+const ASCII_LETTERS_PER_ESTIMATED_TOKEN = 3;
+
+const estimateWordTokens = (word) => (word.match(/[a-z]+|[^a-z]/giu) || [])
+  .reduce((sum, part) => sum + (/^[a-z]/i.test(part) ? Math.ceil(part.length / ASCII_LETTERS_PER_ESTIMATED_TOKEN) : 1), 0);
+
+// Token counting for BERT-style embedding models such as all-MiniLM-L6-v2. With the model's
+// vocabulary the counts are exact WordPiece counts; without one they are conservative estimates.
+export class WordPieceTokenizer {
+  constructor({ vocab = null, lowercase = true } = {}) {
+    this.vocab = vocab;
+    this.lowercase = lowercase;
+    this.wordCache = new Map();
+  }
+
+  // Reads a vocab.txt (one token per line) or a Hugging Face tokenizer.json
+  static fromFile(filePath, options = {}) {
+    const content = fs.readFileSync(filePath, 'utf-8');
+    const tokens = path.extname(filePath).toLowerCase() === '.json'
+      ? Object.keys(JSON.parse(content).model?.vocab || {})
+      : content.split(/\r?\n/).filter(Boolean);
+
+    if (tokens.length === 0) {
+      throw new Error(`No vocabulary found in ${filePath}`);
+    }
+    return new WordPieceTokenizer({ ...options, vocab: new Set(tokens) });
+  }
+
+  get exact() {
+    return this.vocab !== null;
+  }
+
+  // Uncased models lowercase and strip accents before looking words up
+  normalize(word) {
+    return this.lowercase ? word.toLowerCase().normalize('NFD').replace(/\p{Mn}/gu, '') : word;
+  }
+
+  // Tokens one word splits into: greedy longest match first, continuation pieces prefixed "##"
+  countWordTokens(word) {
+    if (!this.vocab) return Math.max(1, estimateWordTokens(this.normalize(word)));
+
+    const chars = Array.from(this.normalize(word));
+    if (chars.length > MAX_WORD_LENGTH) return 1;
+
+    const cached = this.wordCache.get(word);
+    if (cached !== undefined) return cached;
+
+    let count = 0;
+    let start = 0;
+    while (start < chars.length) {
+      let end = chars.length;
+      while (end > start && !this.vocab.has((start > 0 ? '##' : '') + chars.slice(start, end).join(''))) end--;
+      // A word with any piece missing from the vocabulary becomes a single [UNK]
+      if (end === start) {
+        count = 1;
+        break;
+      }
+      count++;
+      start = end;
+    }
+
+    if (this.wordCache.size > 50000) this.wordCache.clear();
+    this.wordCache.set(word, count);
+    return count;
+  }
+
+  // The words of `text` as { start, end, tokens }, with character offsets into `text`
+  words(text) {
+    return Array.from(text.matchAll(WORD_PATTERN), match => ({
+      start: match.index,
+      end: match.index + match[0].length,
+      tokens: this.countWordTokens(match[0])
+    }));
+  }
+
+  // Tokens in `text`, not counting the special tokens the model adds
+  countTokens(text) {
+    return this.words(text).reduce((sum, word) => sum + word.tokens, 0);
+  }
+}
+
+let sharedTokenizer = null;
+
+// The tokenizer of the configured embedding model, loaded on first use
+export const getTokenizer = () => {
+  if (sharedTokenizer) return sharedTokenizer;
+
+  const { tokenizerPath, tokenizerLowercase: lowercase } = config.embedding;
+  if (tokenizerPath) {
+    try {
+      sharedTokenizer = WordPieceTokenizer.fromFile(tokenizerPath, { lowercase });
+      logger.info('Tokenizer vocabulary loaded', { tokenizerPath, size: sharedTokenizer.vocab.size });
+    } catch (error) {
+      logger.warn('Failed to load tokenizer vocabulary, estimating token counts', { tokenizerPath, error: error.message });
+    }
+  } else {
+    logger.warn('EMBEDDING_TOKENIZER_PATH is not set: token counts are conservative estimates, so token-sized chunks '
+      + 'come out smaller than the model allows. Point it at the embedding model\'s vocab.txt for exact counts.');
+  }
+
+  sharedTokenizer = sharedTokenizer || new WordPieceTokenizer({ lowercase });
+  return sharedTokenizer;
+};
@@ -0,0 +1,70 @@
+import { hashContent } from './contentHash.js';
+
+// The structural key a chunk belongs to, when its format has one
+const outlineKey = (metadata = {}) => metadata.sectionPath
+  || (metadata.slideNumber ? `Slide ${metadata.slideNumber}` : null)
+  || metadata.symbolName
+  || metadata.messageId
+  || null;
+
+// Fingerprint of a version's structure: chunks grouped by section (heading path, slide,
+// code symbol or email message), each with a hash of its text. Chunks without a structural
+// key are listed on their own.
+export const buildOutline = (chunks) => {
+  const entries = [];
+  const byKey = new Map();
+
+  for (const chunk of chunks) {
+    const key = outlineKey(chunk.metadata);
+    if (key && byKey.has(key)) {
+      byKey.get(key).texts.push(chunk.text);
+      continue;
+    }
+
+    const entry = { key, title: key || chunk.text.substring(0, 80), texts: [chunk.text] };
+    entries.push(entry);
+    if (key) byKey.set(key, entry);
+  }
+
+  return entries.map(({ key, title, texts }) => ({ key, title, hash: hashContent(texts.join('\n')) }));
+};
+
+// Sections added, removed or changed between two outlines. Keyed sections are matched by key;
+// unkeyed ones can only be compared by content, so they show up as added/removed
+export const diffOutlines = (from = [], to = []) => {
+  const fromKeyed = new Map(from.filter(entry => entry.key).map(entry => [entry.key, entry]));
+  const toKeyed = new Map(to.filter(entry => entry.key).map(entry => [entry.key, entry]));
+  const fromHashes = new Set(from.filter(entry => !entry.key).map(entry => entry.hash));
+  const toHashes = new Set(to.filter(entry => !entry.key).map(entry => entry.hash));
+
+  const added = [];
+  const removed = [];
+  const changed = [];
+  let unchanged = 0;
+
+  for (const entry of to) {
+    if (entry.key) {
+      const previous = fromKeyed.get(entry.key);
+      if (!previous) added.push(entry.title);
+      else if (previous.hash !== entry.hash) changed.push(entry.title);
+      else unchanged++;
+    } else if (fromHashes.has(entry.hash)) {
+      unchanged++;
+    } else {
+      added.push(entry.title);
+    }
+  }
+
+  for (const entry of from) {
+    if (entry.key ? !toKeyed.has(entry.key) : !toHashes.has(entry.hash)) {
+      removed.push(entry.title);
+    }
+  }
+
+  return {
+    summary: { added: added.length, removed: removed.length, changed: changed.length, unchanged },
+    added,
+    removed,
+    changed
+  };
+};
@@ -0,0 +1,96 @@
+import JSZip from 'jszip';
+import { expandZip, expandMailbox, isArchive } from '../src/utils/archive.js';
+
+const buildZip = async (entries) => {
+  const zip = new JSZip();
+  for (const [name, content] of Object.entries(entries)) {
+    zip.file(name, content);
+  }
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+};
+
+describe('expandMailbox', () => {
+  const mbox = [
+    'From alice@example.com Mon Jan  1 10:00:00 2024',
+    'Subject: Printer broken',
+    '',
+    'Error 42 on the printer.',
+    'From support@example.com Mon Jan  1 11:00:00 2024',
+    'Subject: Re: Printer broken',
+    '',
+    'Caf\u00e9 is closed.'
+  ].join('\n');
+
+  test('splits a mailbox into one .eml file per message, keeping the original bytes', () => {
+    const { files, skipped } = expandMailbox(Buffer.from(mbox, 'latin1'), 'support.mbox');
+
+    expect(files.map(({ originalName, messageIndex }) => ({ originalName, messageIndex }))).toEqual([
+      { originalName: 'support-1.eml', messageIndex: 1 },
+      { originalName: 'support-2.eml', messageIndex: 2 }
+    ]);
+    expect(files[1].buffer.equals(Buffer.from('Subject: Re: Printer broken\n\nCaf\u00e9 is closed.', 'latin1'))).toBe(true);
+    expect(skipped).toEqual([]);
+    expect(() => expandMailbox(Buffer.from(mbox), 'support.mbox', { maxEntries: 1 })).toThrow(expect.objectContaining({ code: 'ARCHIVE_LIMIT_EXCEEDED' }));
+  });
+
+  test('expands mailboxes found in a zip', async () => {
+    const { files } = await expandZip(await buildZip({ 'mail/support.mbox': mbox }));
+    expect(files.map(file => file.pathInArchive)).toEqual(['mail/support.mbox/support-1.eml', 'mail/support.mbox/support-2.eml']);
+  });
+});
+
+describe('expandZip', () => {
+  test('returns supported files with their path and reports unsupported ones', async () => {
+    const buffer = await buildZip({
+      'handbook/intro.md': '# Intro',
+      'handbook/policies/leave.txt': 'Leave policy',
+      'handbook/logo.png': 'not a document',
+      'handbook/.DS_Store': 'noise',
+      '__MACOSX/handbook/._intro.md': 'noise'
+    });
+
+    const { files, skipped } = await expandZip(buffer);
+
+    expect(files.map(({ originalName, pathInArchive }) => ({ originalName, pathInArchive }))).toEqual([
+      { originalName: 'intro.md', pathInArchive: 'handbook/intro.md' },
+      { originalName: 'leave.txt', pathInArchive: 'handbook/policies/leave.txt' }
+    ]);
+    expect(files[1].buffer.toString()).toBe('Leave policy');
+    expect(skipped).toEqual([{ pathInArchive: 'handbook/logo.png', reason: 'Unsupported file type' }]);
+  });
+
+  test('expands nested archives up to the depth limit', async () => {
+    const innermost = await buildZip({ 'deep.txt': 'too deep' });
+    const inner = await buildZip({ 'notes.txt': 'nested notes', 'innermost.zip': innermost });
+    const buffer = await buildZip({ 'inner.zip': inner });
+
+    const { files, skipped } = await expandZip(buffer, { maxDepth: 2 });
+
+    expect(files.map(file => file.pathInArchive)).toEqual(['inner.zip/notes.txt']);
+    expect(skipped).toEqual([expect.objectContaining({ pathInArchive: 'inner.zip/innermost.zip' })]);
+  });
+
+  test('skips oversized entries and rejects archives over the entry or total size limits', async () => {
+    const buffer = await buildZip({ 'big.txt': 'a'.repeat(5000), 'small.txt': 'b'.repeat(100) });
+
+    const { files, skipped } = await expandZip(buffer, { maxFileSize: 1000, maxTotalSize: 10000 });
+    expect(files.map(file => file.originalName)).toEqual(['small.txt']);
+    expect(skipped[0]).toMatchObject({ pathInArchive: 'big.txt' });
+
+    await expect(expandZip(buffer, { maxFileSize: 10000, maxTotalSize: 4000 }))
+      .rejects.toMatchObject({ code: 'ARCHIVE_LIMIT_EXCEEDED' });
+    await expect(expandZip(buffer, { maxEntries: 1 }))
+      .rejects.toMatchObject({ code: 'ARCHIVE_LIMIT_EXCEEDED' });
+  });
+
+  test('rejects data that is not a zip and recognises zips by name or mime type', async () => {
+    await expect(expandZip(Buffer.from('plain text'))).rejects.toMatchObject({ code: 'INVALID_ARCHIVE' });
+
+    expect(isArchive('folder.ZIP')).toBe(true);
+    expect(isArchive('upload', 'application/x-zip-compressed')).toBe(true);
+    expect(isArchive('notes.txt', 'text/plain')).toBe(false);
+    expect(isArchive('report.docx', 'application/zip')).toBe(false);
+    expect(isArchive('deck.pptx', 'application/x-zip-compressed')).toBe(false);
+    expect(isArchive('upload.bin', 'application/zip')).toBe(true);
+  });
+});
@@ -0,0 +1,47 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { LocalBlobStore, loadBlobStorePlugins, createBlobStore } from '../src/utils/blobStore.js';
+import { DocumentService } from '../src/services/documentService.js';
+import { config } from '../src/config/app.js';
+
+describe('blob store drivers', () => {
+  const originalDriver = config.upload.blobStore;
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'dke-blobs-'));
+  });
+
+  afterEach(() => {
+    config.upload.blobStore = originalDriver;
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('local store round-trips blobs and removes them by prefix', async () => {
+    const store = new LocalBlobStore({ directory });
+    await store.put('doc-1/abc', Buffer.from('hello'), { originalName: 'a.txt' });
+
+    expect(await store.get('doc-1/abc')).toEqual({ buffer: Buffer.from('hello'), metadata: { originalName: 'a.txt', size: 5 } });
+    await store.remove('doc-1');
+    expect(await store.exists('doc-1/abc')).toBe(false);
+  });
+
+  test('a driver registered by a plugin is selected with BLOB_STORE', async () => {
+    const pluginPath = path.join(directory, 'memoryStore.mjs');
+    fs.writeFileSync(pluginPath, `
+      export default (registerBlobStoreDriver) => {
+        registerBlobStoreDriver('memory', options => ({ kind: 'memory', options }));
+      };
+    `);
+
+    expect(() => createBlobStore('memory')).toThrow('Unknown blob store driver: memory');
+    await loadBlobStorePlugins([pluginPath]);
+
+    config.upload.blobStore = 'memory';
+    const service = new DocumentService();
+
+    expect(service.blobStore).toMatchObject({ kind: 'memory', options: { directory: expect.stringContaining('originals') } });
+    expect(service.blobStore).toBe(service.blobStore);
+  });
+});
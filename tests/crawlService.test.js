@@ -0,0 +1,119 @@
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import { CrawlService } from '../src/services/crawlService.js';
+import { documentService } from '../src/services/documentService.js';
+import { JsonFileStore } from '../src/utils/jsonStore.js';
+import { parseRobotsTxt, isAllowedByRobots } from '../src/utils/crawl.js';
+
+const page = (title, links = [], extra = '') =>
+  `<html><head><title>${title}</title>${extra}</head><body><p>${title} body</p>${links.map(href => `<a href="${href}">link</a>`).join('')}</body></html>`;
+
+describe('CrawlService', () => {
+  let server;
+  let baseUrl;
+  let directory;
+  let service;
+  let ingested;
+  let requests;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      requests.push(req.url);
+      const html = (body, headers = {}) => {
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', ...headers });
+        res.end(body);
+      };
+
+      switch (req.url) {
+        case '/robots.txt':
+          res.writeHead(200, { 'Content-Type': 'text/plain' });
+          return res.end(`User-agent: *\nDisallow: /private\nSitemap: ${baseUrl}/sitemap.xml\n`);
+        case '/sitemap.xml':
+          res.writeHead(200, { 'Content-Type': 'application/xml' });
+          return res.end(`<?xml version="1.0"?><urlset><url><loc>${baseUrl}/d</loc></url><url><loc>https://elsewhere.test/x</loc></url></urlset>`);
+        case '/':
+          return html(page('Home', ['/a', '/private/secret', '/b#section', 'https://elsewhere.test/'], `<link rel="canonical" href="${baseUrl}/">`));
+        case '/a':
+          return html(page('Page A', ['/c']));
+        case '/b':
+          if (req.headers['if-none-match'] === '"v1"') {
+            res.writeHead(304);
+            return res.end();
+          }
+          return html(page('Page B'), { ETag: '"v1"' });
+        case '/c':
+        case '/d':
+          return html(page(`Page ${req.url.substring(1).toUpperCase()}`));
+        default:
+          res.writeHead(404);
+          return res.end();
+      }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'dke-crawl-'));
+    service = new CrawlService();
+    service.stateStore = new JsonFileStore(directory);
+    ingested = [];
+    requests = [];
+
+    jest.spyOn(documentService, 'processDocumentBuffer').mockImplementation(async (buffer, name, metadata, options) => {
+      ingested.push({ name, metadata, options });
+      return { documentId: `doc-${ingested.length}`, status: options.documentId ? 'replaced' : 'success' };
+    });
+    jest.spyOn(documentService, 'documentExists').mockImplementation(async () => true);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('follows same-origin links up to the depth limit and honours robots.txt', async () => {
+    const result = await service.crawl(`${baseUrl}/`, { followLinks: true, maxDepth: 1, maxPages: 10 });
+
+    expect(result.pages.map(p => [p.url.replace(baseUrl, ''), p.status])).toEqual([
+      ['/', 'ingested'],
+      ['/a', 'ingested'],
+      ['/private/secret', 'disallowed'],
+      ['/b', 'ingested']
+    ]);
+    expect(ingested[0]).toMatchObject({ name: `${baseUrl}/`, metadata: { title: 'Home', url: `${baseUrl}/` }, options: { fileType: 'html' } });
+    expect(requests).not.toContain('/c');
+    expect(requests).not.toContain('/private/secret');
+  });
+
+  test('skips pages whose ETag is unchanged on a re-crawl', async () => {
+    await service.crawl(`${baseUrl}/b`);
+    const again = await service.crawl(`${baseUrl}/b`);
+
+    expect(again.pages[0]).toMatchObject({ status: 'unchanged', documentId: 'doc-1' });
+    expect(ingested).toHaveLength(1);
+  });
+
+  test('adds same-origin sitemap entries and stops at maxPages', async () => {
+    const result = await service.crawl(`${baseUrl}/a`, { sitemap: true, maxPages: 2 });
+
+    expect(result.pages.map(p => p.url.replace(baseUrl, ''))).toEqual(['/a', '/d']);
+    expect(result.summary).toEqual({ total: 2, ingested: 2 });
+  });
+
+  test('robots rules: longest match wins and Allow wins ties', () => {
+    const robots = parseRobotsTxt('User-agent: other\nDisallow: /\n\nUser-agent: *\nDisallow: /docs\nAllow: /docs/public\nDisallow: /*.pdf$', 'TestBot/1.0');
+
+    expect(isAllowedByRobots(robots, 'http://x/docs/internal')).toBe(false);
+    expect(isAllowedByRobots(robots, 'http://x/docs/public/page')).toBe(true);
+    expect(isAllowedByRobots(robots, 'http://x/files/a.pdf')).toBe(false);
+    expect(isAllowedByRobots(robots, 'http://x/files/a.pdf?download=1')).toBe(true);
+  });
+});
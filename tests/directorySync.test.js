@@ -0,0 +1,101 @@
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { DirectorySyncService } from '../src/services/directorySyncService.js';
+import { documentService } from '../src/services/documentService.js';
+
+describe('DirectorySyncService', () => {
+  let root;
+  let directory;
+  let calls;
+
+  const createService = () => new DirectorySyncService({ directory, manifestPath: path.join(root, 'manifest') });
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'dke-sync-'));
+    directory = path.join(root, 'docs');
+    fs.mkdirSync(path.join(directory, 'nested'), { recursive: true });
+    calls = { processed: [], deleted: [] };
+
+    jest.spyOn(documentService, 'processDocument').mockImplementation(async (filePath, metadata, options) => {
+      calls.processed.push({ filePath, metadata, options });
+      return { documentId: options.documentId || `doc-${calls.processed.length}`, status: 'success' };
+    });
+    jest.spyOn(documentService, 'documentExists').mockImplementation(async () => true);
+    jest.spyOn(documentService, 'deleteDocument').mockImplementation(async (documentId) => {
+      calls.deleted.push(documentId);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test('ingests supported files, keeping them on disk, and skips hidden and unsupported ones', async () => {
+    fs.writeFileSync(path.join(directory, 'a.txt'), 'alpha');
+    fs.writeFileSync(path.join(directory, 'nested', 'b.md'), '# beta');
+    fs.writeFileSync(path.join(directory, '.hidden.txt'), 'hidden');
+    fs.writeFileSync(path.join(directory, 'image.png'), 'not a document');
+
+    const scan = await createService().scan();
+
+    expect(scan).toMatchObject({ added: 2, updated: 0, removed: 0, failed: 0 });
+    expect(calls.processed.map(call => call.metadata.relativePath).sort()).toEqual(['a.txt', 'nested/b.md']);
+    expect(calls.processed[0].options).toMatchObject({ keepFile: true, onDuplicate: 'keep' });
+    expect(fs.existsSync(path.join(directory, 'a.txt'))).toBe(true);
+  });
+
+  test('after a restart only changed files are processed, as revisions of their documents', async () => {
+    fs.writeFileSync(path.join(directory, 'a.txt'), 'alpha');
+    fs.writeFileSync(path.join(directory, 'b.txt'), 'beta');
+    await createService().scan();
+    const documentId = `doc-${calls.processed.findIndex(call => call.metadata.relativePath === 'a.txt') + 1}`;
+    calls.processed = [];
+
+    fs.writeFileSync(path.join(directory, 'a.txt'), 'alpha, edited');
+    // Touched but identical content is not reprocessed
+    const later = new Date(Date.now() + 5000);
+    fs.utimesSync(path.join(directory, 'b.txt'), later, later);
+
+    const service = createService();
+    const scan = await service.scan();
+
+    expect(scan).toMatchObject({ added: 0, updated: 1, unchanged: 1 });
+    expect(calls.processed).toHaveLength(1);
+    expect(calls.processed[0].options).toMatchObject({ documentId, keepFile: true });
+    expect(service.getStatus()).toMatchObject({ enabled: true, trackedFiles: 2 });
+  });
+
+  test('deletes the document of a removed file and re-ingests a file whose document is gone', async () => {
+    fs.writeFileSync(path.join(directory, 'a.txt'), 'alpha');
+    fs.writeFileSync(path.join(directory, 'b.txt'), 'beta');
+    const service = createService();
+    await service.scan();
+
+    fs.rmSync(path.join(directory, 'a.txt'));
+    fs.writeFileSync(path.join(directory, 'b.txt'), 'beta, edited');
+    documentService.documentExists.mockImplementation(async () => false);
+
+    const scan = await service.scan();
+
+    expect(scan).toMatchObject({ removed: 1, updated: 1 });
+    expect(calls.deleted).toHaveLength(1);
+    expect(calls.processed.at(-1).options).toEqual({ onDuplicate: 'keep', keepFile: true });
+    expect(service.getStatus().trackedFiles).toBe(1);
+  });
+
+  test('a scan of a directory that has disappeared is recorded instead of rejecting', async () => {
+    fs.writeFileSync(path.join(directory, 'a.txt'), 'alpha');
+    const service = createService();
+    await service.scan();
+
+    fs.rmSync(directory, { recursive: true, force: true });
+
+    await expect(service.scan()).rejects.toThrow('ENOENT');
+    await expect(service.safeScan()).resolves.toBeNull();
+    expect(service.getStatus().recentErrors[0]).toMatchObject({ path: null, error: expect.stringContaining('ENOENT') });
+    expect(service.getStatus().scanning).toBe(false);
+  });
+});
@@ -0,0 +1,73 @@
+import { jest } from '@jest/globals';
+import { DocumentService } from '../src/services/documentService.js';
+import { vectorService } from '../src/services/vectorService.js';
+import { groupChunksByDocument, filterCatalog, paginateCatalog, decodeCursor } from '../src/utils/documentCatalog.js';
+
+const chunksFor = (documentId, count, metadata) => Array.from({ length: count }, (_, chunkIndex) => ({
+  documentId, chunkIndex, totalChunks: count, ...metadata
+}));
+
+describe('Document catalog', () => {
+  const metadatas = [
+    ...chunksFor('doc-a', 3, { title: 'Travel policy', tags: 'policy,travel', fileType: 'pdf', fileSize: 2048, uploadedBy: 'ana', createdAt: '2025-01-10T00:00:00.000Z' }),
+    ...chunksFor('doc-b', 1, { title: 'Onboarding', tags: 'hr', fileType: 'docx', fileSize: 512, uploadedBy: 'ben', createdAt: '2025-03-01T00:00:00.000Z' }),
+    ...chunksFor('doc-c', 2, { title: 'Expenses', tags: 'policy', fileType: 'pdf', fileSize: 1024, uploadedBy: 'ana', createdAt: '2025-02-15T00:00:00.000Z' })
+  ];
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('groups chunks into one entry per document', () => {
+    const catalog = groupChunksByDocument(metadatas.filter(m => !(m.documentId === 'doc-a' && m.chunkIndex === 2)));
+
+    expect(catalog).toHaveLength(3);
+    expect(catalog.find(doc => doc.documentId === 'doc-a')).toMatchObject({
+      title: 'Travel policy', tags: ['policy', 'travel'], chunkCount: 2, size: 2048, status: 'incomplete'
+    });
+    expect(catalog.find(doc => doc.documentId === 'doc-b').status).toBe('processed');
+  });
+
+  test('filters by tag, file type, uploader and date range', () => {
+    const catalog = groupChunksByDocument(metadatas);
+    const ids = filters => filterCatalog(catalog, filters).map(doc => doc.documentId).sort();
+
+    expect(ids({ tag: 'POLICY' })).toEqual(['doc-a', 'doc-c']);
+    expect(ids({ fileType: 'docx, txt' })).toEqual(['doc-b']);
+    expect(ids({ uploadedBy: 'ana', createdAfter: '2025-02-01' })).toEqual(['doc-c']);
+    expect(ids({ createdBefore: '2025-02-20' })).toEqual(['doc-a', 'doc-c']);
+
+    const messages = groupChunksByDocument([...chunksFor('msg-1', 1, { threadId: 't1' }), ...chunksFor('msg-2', 2, { threadId: 't2' })]);
+    expect(filterCatalog(messages, { threadId: 't2' }).map(doc => doc.documentId)).toEqual(['msg-2']);
+  });
+
+  test('cursor pagination continues after the last entry even when documents are removed', () => {
+    const catalog = groupChunksByDocument(metadatas);
+    const first = paginateCatalog(catalog, { limit: 2, sortBy: 'size', order: 'desc' });
+
+    expect(first.documents.map(doc => doc.documentId)).toEqual(['doc-a', 'doc-c']);
+    expect(first.pagination).toMatchObject({ page: 1, total: 3, totalPages: 2 });
+
+    const cursor = JSON.parse(Buffer.from(first.pagination.nextCursor, 'base64url').toString());
+    const remaining = catalog.filter(doc => doc.documentId !== 'doc-a');
+    const second = paginateCatalog(remaining, { limit: 2, cursor, sortBy: 'size', order: 'desc' });
+
+    expect(second.documents.map(doc => doc.documentId)).toEqual(['doc-b']);
+    expect(second.pagination.nextCursor).toBeNull();
+  });
+
+  test('listDocuments skips expired chunks and honours the cursor sort', async () => {
+    const expired = chunksFor('doc-old', 1, { title: 'Old', fileType: 'txt', expiresAtMs: Date.now() - 1000 });
+    jest.spyOn(vectorService, 'getAllDocuments')
+      .mockImplementation(async () => [...metadatas, ...expired].map((metadata, index) => ({ id: `c-${index}`, text: null, metadata })));
+
+    const service = new DocumentService();
+    const first = await service.listDocuments({ limit: 1, sortBy: 'title', order: 'asc' });
+    expect(first.pagination.total).toBe(3);
+    expect(first.documents[0].title).toBe('Expenses');
+
+    const next = await service.listDocuments({ limit: 1, cursor: decodeCursor(first.pagination.nextCursor) });
+    expect(next.sort).toEqual({ sortBy: 'title', order: 'asc' });
+    expect(next.documents[0].title).toBe('Onboarding');
+  });
+});
@@ -0,0 +1,76 @@
+import { jest } from '@jest/globals';
+import { DocumentService } from '../src/services/documentService.js';
+import { vectorService } from '../src/services/vectorService.js';
+import { embeddingService } from '../src/services/embeddingService.js';
+
+describe('DocumentService chunk inspection and correction', () => {
+  let stored;
+  let embedded;
+  let service;
+
+  beforeEach(() => {
+    service = new DocumentService();
+    embedded = [];
+    stored = ['Third chunk.', 'First chunk of the policy text, ends with a shared overlap.', 'ends with a shared overlap. Second chunk continues here.']
+      .map((text, index) => ({
+        id: `doc-1-v1-chunk-${[2, 0, 1][index]}`,
+        text,
+        metadata: { documentId: 'doc-1', chunkIndex: [2, 0, 1][index], totalChunks: 3 }
+      }));
+
+    jest.spyOn(vectorService, 'getDocumentsByMetadata').mockImplementation(async (conditions) => stored.filter(doc =>
+      Object.entries(conditions).every(([key, value]) => doc.metadata[key] === value)));
+    jest.spyOn(vectorService, 'updateDocument').mockImplementation(async (id, updates) => {
+      Object.assign(stored.find(doc => doc.id === id), updates);
+    });
+    jest.spyOn(vectorService, 'updateDocuments').mockImplementation(async updates => {
+      updates.forEach(update => Object.assign(stored.find(doc => doc.id === update.id), update));
+    });
+    jest.spyOn(vectorService, 'deleteMultipleDocuments').mockImplementation(async ids => {
+      stored = stored.filter(doc => !ids.includes(doc.id));
+    });
+    jest.spyOn(embeddingService, 'generateEmbedding').mockImplementation(async text => {
+      embedded.push(text);
+      return [0.5];
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('lists chunks in order and rebuilds the text without the overlap', async () => {
+    const chunks = await service.getDocumentChunks('doc-1', { page: 1, limit: 2 });
+    expect(chunks.chunks.map(chunk => chunk.chunkIndex)).toEqual([0, 1]);
+    expect(chunks.chunks[1]).toMatchObject({ charStart: 32, overlapChars: 27 });
+    expect(chunks.pagination).toMatchObject({ total: 3, totalPages: 2 });
+
+    const full = await service.getDocumentText('doc-1', { page: 1, limit: 10 });
+    expect(full.text).toBe('First chunk of the policy text, ends with a shared overlap. Second chunk continues here.\n\nThird chunk.');
+
+    const second = await service.getDocumentText('doc-1', { page: 2, limit: 2 });
+    expect(second.text).toBe('Third chunk.');
+    expect(full.text.substring(second.charStart, second.charEnd)).toBe(second.text);
+  });
+
+  test('re-embeds edited text and keeps the extracted text across edits', async () => {
+    await service.editChunk('doc-1', 0, { text: 'First fix.', editedBy: 'maria' });
+    const result = await service.editChunk('doc-1', 0, { text: 'Second fix.', editedBy: 'li' });
+    const chunk = stored.find(doc => doc.metadata.chunkIndex === 0);
+
+    expect(result).toMatchObject({ text: 'Second fix.', editedBy: 'li', originalText: 'First chunk of the policy text, ends with a shared overlap.' });
+    expect(chunk).toMatchObject({ text: 'Second fix.', embedding: [0.5] });
+    expect(chunk.metadata).toMatchObject({ text: 'Second fix.', originalText: 'First chunk of the policy text, ends with a shared overlap.', chunkSize: 11 });
+    expect(embedded).toEqual(['First fix.', 'Second fix.']);
+    expect(await service.editChunk('doc-1', 9, { text: 'x' })).toBeNull();
+  });
+
+  test('disables chunks and deletes single chunks', async () => {
+    await service.setChunkDisabled('doc-1', 1, true, 'maria');
+    expect(stored.find(doc => doc.metadata.chunkIndex === 1).metadata).toMatchObject({ disabled: true, disabledBy: 'maria' });
+
+    const result = await service.deleteChunk('doc-1', 2);
+    expect(result).toMatchObject({ remainingChunks: 2 });
+    expect(stored.map(doc => doc.metadata.totalChunks)).toEqual([2, 2]);
+  });
+});
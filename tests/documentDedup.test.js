@@ -0,0 +1,81 @@
+import { jest } from '@jest/globals';
+import { DocumentService } from '../src/services/documentService.js';
+import { vectorService } from '../src/services/vectorService.js';
+import { embeddingService } from '../src/services/embeddingService.js';
+
+// Minimal stand-in for the Chroma collection: evaluates the where clauses the service builds
+const matches = (metadata, where) => {
+  if (where.$and) return where.$and.every(clause => matches(metadata, clause));
+  return Object.entries(where).every(([key, condition]) => {
+    if (condition && typeof condition === 'object') {
+      if ('$in' in condition) return condition.$in.includes(metadata[key]);
+      if ('$ne' in condition) return metadata[key] !== condition.$ne;
+      if ('$gt' in condition) return metadata[key] > condition.$gt;
+    }
+    return metadata[key] === condition;
+  });
+};
+
+describe('DocumentService content-hash deduplication', () => {
+  let stored;
+  let service;
+
+  beforeEach(() => {
+    stored = [];
+    service = new DocumentService();
+    service.recordVersion = () => {};
+    service.storeOriginal = async () => {};
+
+    jest.spyOn(vectorService, 'getDocumentsByMetadata').mockImplementation(async (conditions, { limit } = {}) => {
+      const found = stored.filter(doc => matches(doc.metadata, vectorService.buildWhere(conditions)));
+      return limit ? found.slice(0, limit) : found;
+    });
+    jest.spyOn(vectorService, 'addDocuments').mockImplementation(async docs => { stored.push(...docs); });
+    jest.spyOn(vectorService, 'getAllDocuments').mockImplementation(async () => stored);
+    jest.spyOn(vectorService, 'deleteMultipleDocuments').mockImplementation(async ids => { stored = stored.filter(doc => !ids.includes(doc.id)); });
+    jest.spyOn(embeddingService, 'generateEmbeddings').mockImplementation(async texts => texts.map(() => [0.1, 0.2]));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const upload = (text, options = {}) =>
+    service.processDocumentBuffer(Buffer.from(text), 'notes.txt', {}, options);
+
+  test('returns the existing documentId for a re-upload by default', async () => {
+    const first = await upload('Quarterly report. Revenue grew.');
+    const second = await upload('Quarterly report. Revenue grew.');
+
+    expect(second).toMatchObject({ status: 'duplicate', documentId: first.documentId, duplicateOf: first.documentId });
+    expect(stored).toHaveLength(1);
+    expect(stored[0].metadata.contentHash).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  test('replace re-ingests into the existing documentId', async () => {
+    const first = await upload('Quarterly report. Revenue grew.');
+    const second = await upload('Quarterly report. Revenue grew.', { onDuplicate: 'replace' });
+
+    expect(second).toMatchObject({ status: 'replaced', documentId: first.documentId });
+    expect(stored).toHaveLength(1);
+    expect(stored[0].metadata.nearDuplicate).toBe(false);
+  });
+
+  test('keep stores a copy and flags its chunks as near-duplicates', async () => {
+    const first = await upload('Quarterly report. Revenue grew.');
+    const second = await upload('Quarterly report. Revenue grew.', { onDuplicate: 'keep' });
+
+    expect(second.documentId).not.toBe(first.documentId);
+    expect(second.duplicateOf).toBe(first.documentId);
+    expect(stored[1].metadata).toMatchObject({ nearDuplicate: true, nearDuplicateOf: stored[0].id });
+  });
+
+  test('flags chunks that only differ in case and punctuation from another document', async () => {
+    await upload('Quarterly report. Revenue grew.');
+    await upload('QUARTERLY REPORT -- revenue grew!');
+
+    expect(stored).toHaveLength(2);
+    expect(stored[1].metadata.chunkHash).not.toBe(stored[0].metadata.chunkHash);
+    expect(stored[1].metadata.nearDuplicateOf).toBe(stored[0].id);
+  });
+});
@@ -0,0 +1,104 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { DocumentService } from '../src/services/documentService.js';
+import { JsonFileStore } from '../src/utils/jsonStore.js';
+
+const waitFor = async (predicate, timeoutMs = 2000) => {
+  const start = Date.now();
+  while (!predicate()) {
+    if (Date.now() - start > timeoutMs) throw new Error('Timed out waiting for condition');
+    await new Promise(r => setTimeout(r, 10));
+  }
+};
+
+const createService = (directory) => {
+  const service = new DocumentService();
+  service.jobStore = new JsonFileStore(directory);
+  return service;
+};
+
+describe('DocumentService ingestion jobs', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'dke-jobs-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('runs queued jobs in the background and records progress', async () => {
+    const service = createService(directory);
+    service.processDocumentBuffer = async (buffer, name, metadata, { onStage, onProgress }) => {
+      onStage('embedding');
+      onProgress(2, 4);
+      onProgress(4, 4);
+      return { documentId: 'doc-1', status: 'success' };
+    };
+
+    const job = service.enqueueDocumentBuffer(Buffer.from('hello'), 'a.txt', { title: 't' });
+    expect(job.status).toBe('queued');
+
+    await waitFor(() => service.getProcessingStatus(job.jobId).status === 'completed');
+    const finished = service.getProcessingStatus(job.jobId);
+    expect(finished.documentId).toBe('doc-1');
+    expect(finished.progress).toEqual({ chunksEmbedded: 4, totalChunks: 4, percent: 100 });
+    expect(service.jobStore.read(job.jobId).status).toBe('completed');
+    expect(service.jobStore.readAttachment(job.jobId)).toBeNull();
+  });
+
+  test('runs registered job types such as crawls through the same queue', async () => {
+    const service = createService(directory);
+    const inputs = [];
+    service.registerJobHandler('crawl', async (input, { onStage }) => {
+      inputs.push(input);
+      onStage('fetching');
+      return { pages: [], summary: { total: 0 } };
+    });
+
+    const job = service.enqueueJob('crawl', { url: 'https://example.com/' }, { originalName: 'https://example.com/' });
+    expect(job.status).toBe('queued');
+    expect(service.jobStore.read(job.jobId).type).toBe('crawl');
+
+    await waitFor(() => service.getProcessingStatus(job.jobId).status === 'completed');
+    expect(inputs).toEqual([{ url: 'https://example.com/' }]);
+    expect(service.getProcessingStatus(job.jobId)).toMatchObject({ documentId: null, result: { summary: { total: 0 } } });
+
+    const unknown = service.enqueueJob('export', {});
+    await waitFor(() => service.getProcessingStatus(unknown.jobId).status === 'failed');
+    expect(service.getProcessingStatus(unknown.jobId).error).toBe('No handler registered for export jobs');
+  });
+
+  test('records failures on the job', async () => {
+    const service = createService(directory);
+    service.processDocumentBuffer = async () => { throw new Error('boom'); };
+
+    const job = service.enqueueDocumentBuffer(Buffer.from('x'), 'a.txt');
+    await waitFor(() => service.getProcessingStatus(job.jobId).status === 'failed');
+    expect(service.getProcessingStatus(job.jobId).error).toBe('boom');
+  });
+
+  test('restores interrupted jobs from disk', async () => {
+    const store = new JsonFileStore(directory);
+    store.write('job-1', { jobId: 'job-1', status: 'processing', stage: 'embedding', originalName: 'a.txt', metadata: {}, updatedAt: new Date().toISOString() });
+    store.writeAttachment('job-1', Buffer.from('pending'));
+
+    const service = createService(directory);
+    const seen = [];
+    service.processDocumentBuffer = async (buffer) => {
+      seen.push(buffer.toString());
+      return { documentId: 'doc-2', status: 'success' };
+    };
+
+    expect(service.restorePendingJobs()).toBe(1);
+    await waitFor(() => service.getProcessingStatus('job-1').status === 'completed');
+    expect(seen).toEqual(['pending']);
+  });
+
+  test('unknown jobs report not_found', () => {
+    const service = createService(directory);
+    expect(service.getProcessingStatus('missing')).toEqual({ status: 'not_found' });
+  });
+});
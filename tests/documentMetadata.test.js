@@ -0,0 +1,61 @@
+import { jest } from '@jest/globals';
+import { DocumentService } from '../src/services/documentService.js';
+import { vectorService } from '../src/services/vectorService.js';
+import { embeddingService } from '../src/services/embeddingService.js';
+import { config } from '../src/config/app.js';
+
+describe('DocumentService metadata updates', () => {
+  let stored;
+  let embedded;
+  let service;
+
+  beforeEach(() => {
+    service = new DocumentService();
+    embedded = [];
+    stored = [0, 1].map(index => ({
+      id: `doc-1-v1-chunk-${index}`,
+      text: `chunk ${index}`,
+      metadata: { documentId: 'doc-1', chunkIndex: index, title: 'Old title', tags: 'hr' }
+    }));
+
+    jest.spyOn(vectorService, 'getDocumentsByMetadata')
+      .mockImplementation(async ({ documentId }) => stored.filter(doc => doc.metadata.documentId === documentId));
+    jest.spyOn(vectorService, 'updateDocuments').mockImplementation(async updates => {
+      updates.forEach(update => Object.assign(stored.find(doc => doc.id === update.id), update));
+    });
+    jest.spyOn(embeddingService, 'generateEmbeddings').mockImplementation(async texts => {
+      embedded.push(...texts);
+      return texts.map(() => [0.3]);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('updates every chunk without re-embedding by default', async () => {
+    jest.replaceProperty(config.embedding, 'metadataFields', []);
+    const result = await service.updateDocumentMetadata('doc-1', { title: 'New title', department: 'People' });
+
+    expect(result).toMatchObject({ chunksUpdated: 2, reembedded: false, updatedFields: ['title', 'department'] });
+    expect(stored.map(doc => doc.metadata.title)).toEqual(['New title', 'New title']);
+    expect(stored[1].metadata).toMatchObject({ chunkIndex: 1, tags: 'hr', department: 'People' });
+    expect(embedded).toHaveLength(0);
+  });
+
+  test('re-embeds when the update changes the embedded metadata prefix', async () => {
+    jest.replaceProperty(config.embedding, 'metadataFields', ['title', 'tags']);
+
+    await service.updateDocumentMetadata('doc-1', { department: 'People' });
+    expect(embedded).toHaveLength(0);
+
+    const result = await service.updateDocumentMetadata('doc-1', { tags: ['hr', 'leave'] });
+    expect(result.reembedded).toBe(true);
+    expect(embedded[0]).toBe('Title: Old title | Tags: hr, leave\n\nchunk 0');
+    expect(stored[0].embedding).toEqual([0.3]);
+  });
+
+  test('returns null for unknown documents', async () => {
+    expect(await service.updateDocumentMetadata('missing', { title: 'x' })).toBeNull();
+  });
+});
@@ -0,0 +1,301 @@
+import JSZip from 'jszip';
+import { DocumentParser } from '../src/utils/documentParser.js';
+import { config } from '../src/config/app.js';
+import { stripQuotedReply, splitMbox } from '../src/utils/parsers/email.js';
+import { removeRepeatedMargins } from '../src/utils/parsers/pdf.js';
+
+// Minimal PDF with one Helvetica text line per entry of each page; an array entry places its
+// cells 150pt apart, like the columns of a table
+const buildPdf = (pages) => {
+  const objects = [];
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[2] = `<< /Type /Pages /Kids [${pages.map((_, i) => `${4 + i * 2} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+  objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>';
+  pages.forEach((lines, i) => {
+    const stream = lines.flatMap((line, n) => [].concat(line).map((cell, column) =>
+      `BT /F1 12 Tf ${72 + column * 150} ${720 - n * 20} Td (${cell}) Tj ET`)).join('\n');
+    objects[4 + i * 2] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 3 0 R >> >> /Contents ${5 + i * 2} 0 R >>`;
+    objects[5 + i * 2] = `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`;
+  });
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = [];
+  for (let id = 1; id < objects.length; id++) {
+    offsets.push(pdf.length);
+    pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n${offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('')}`;
+  pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF`;
+  return Buffer.from(pdf, 'latin1');
+};
+
+describe('DocumentParser registry', () => {
+  test('registers built-in parsers and derives allowed file types', () => {
+    const parser = new DocumentParser();
+    expect(parser.getSupportedExtensions()).toEqual(expect.arrayContaining(['pdf', 'docx', 'html', 'txt']));
+    expect(config.upload.allowedFileTypes).toEqual(parser.getSupportedExtensions());
+  });
+
+  test('resolves file types by extension, then by MIME type', () => {
+    const parser = new DocumentParser();
+    expect(parser.resolveFileType('notes.TXT')).toBe('txt');
+    expect(parser.resolveFileType('page', 'text/html; charset=utf-8')).toBe('html');
+    expect(parser.resolveFileType('archive.rar', 'application/octet-stream')).toBeNull();
+  });
+
+  test('routes buffers through registered third-party parsers', async () => {
+    const parser = new DocumentParser();
+    parser.registerParser({
+      name: 'shout',
+      extensions: ['.shout'],
+      mimeTypes: ['text/x-shout'],
+      parse: buffer => buffer.toString('utf-8').toUpperCase()
+    });
+
+    expect(config.upload.allowedFileTypes).toContain('shout');
+    const text = await parser.parseBuffer(Buffer.from('hello\tworld'), { fileType: 'shout' });
+    expect(text).toBe('HELLO WORLD');
+  });
+
+  test('rejects parsers without extensions or parse function', () => {
+    const parser = new DocumentParser();
+    expect(() => parser.registerParser({ extensions: [], parse: () => '' })).toThrow();
+    expect(() => parser.registerParser({ extensions: ['x'] })).toThrow();
+  });
+
+  test('respects the configured allowlist', () => {
+    const parser = new DocumentParser();
+    parser.allowlist = ['pdf'];
+    parser.syncAllowedFileTypes();
+    expect(parser.isSupportedFormat('txt')).toBe(false);
+    expect(parser.resolveFileType('a.txt', 'text/plain')).toBeNull();
+    expect(parser.getSupportedExtensions()).toEqual(['pdf']);
+  });
+
+  test('extracts Markdown sections with heading breadcrumbs', async () => {
+    const parser = new DocumentParser();
+    const markdown = [
+      '# Install',
+      '## Linux',
+      'Use the package.',
+      '### Proxy',
+      '```sh',
+      '# not a heading',
+      'export HTTP_PROXY=x',
+      '```'
+    ].join('\n');
+
+    const { sections } = await parser.extract(Buffer.from(markdown), { fileType: 'md' });
+    expect(sections.map(s => s.metadata.sectionPath)).toEqual(['Install > Linux', 'Install > Linux > Proxy']);
+    expect(sections[1].text).toContain('# not a heading\nexport HTTP_PROXY=x');
+    expect(sections.every(s => s.format === 'markdown')).toBe(true);
+  });
+
+  test('extracts HTML headings, lists and tables without page boilerplate', async () => {
+    const html = '<html><body><nav><a href="/">Home</a></nav><main><h1>Guide</h1><p>Read   this<br>first.</p>' +
+      '<h2>Steps</h2><ol><li>Install<ul><li>Linux</li></ul></li><li>Run</li></ol>' +
+      '<table><tr><th>Plan</th><th>Price</th></tr><tr><td>Pro</td><td>$10</td></tr></table></main>' +
+      '<aside>Related posts</aside><footer>Copyright</footer></body></html>';
+
+    const parser = new DocumentParser();
+    const { sections, text } = await parser.extract(Buffer.from(html), { fileType: 'html' });
+
+    expect(sections.map(s => s.metadata.sectionPath)).toEqual(['Guide', 'Guide > Steps']);
+    expect(sections[0].text).toBe('# Guide\n\nRead this\nfirst.');
+    expect(sections[1].text).toBe('## Steps\n\n1. Install\n  - Linux\n2. Run\n\n| Plan | Price |\n| --- | --- |\n| Pro | $10 |');
+    expect(text).not.toMatch(/Home|Related|Copyright/);
+  });
+
+  test('extracts DOCX through its headings like HTML', async () => {
+    const paragraph = (text, style) => `<w:p>${style ? `<w:pPr><w:pStyle w:val="${style}"/></w:pPr>` : ''}<w:r><w:t>${text}</w:t></w:r></w:p>`;
+    const zip = new JSZip();
+    zip.file('[Content_Types].xml', '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"/>');
+    zip.file('_rels/.rels', '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/></Relationships>');
+    zip.file('word/document.xml', '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>' +
+      paragraph('Policy', 'Heading1') + paragraph('Applies to all staff.') + paragraph('Leave', 'Heading2') + paragraph('Ask first.') +
+      '</w:body></w:document>');
+
+    const parser = new DocumentParser();
+    const { sections } = await parser.extract(await zip.generateAsync({ type: 'nodebuffer' }), { fileType: 'docx' });
+
+    expect(sections.map(s => s.metadata)).toEqual([
+      { sectionPath: 'Policy', sectionTitle: 'Policy', headingLevel: 1 },
+      { sectionPath: 'Policy > Leave', sectionTitle: 'Leave', headingLevel: 2 }
+    ]);
+    expect(sections[1].text).toBe('## Leave\n\nAsk first.');
+  });
+
+  test('turns CSV rows into self-describing records', async () => {
+    const parser = new DocumentParser();
+    const csv = 'name,price,notes\n"Widget, large",9.99,"says ""hi"""\nGadget,5,\n';
+    const { sections } = await parser.extract(Buffer.from(csv), { fileType: 'csv', originalName: 'catalog.csv' });
+
+    expect(sections[0].format).toBe('records');
+    expect(sections[0].header).toBe('Source: catalog.csv | Columns: name, price, notes');
+    expect(sections[0].records).toEqual([
+      { row: 1, columns: ['name', 'price', 'notes'], text: 'name: Widget, large; price: 9.99; notes: says "hi"' },
+      { row: 2, columns: ['name', 'price'], text: 'name: Gadget; price: 5' }
+    ]);
+  });
+
+  test('flattens JSON objects from a wrapper array into records', async () => {
+    const parser = new DocumentParser();
+    const json = JSON.stringify({ faqs: [{ q: 'How?', a: 'Like this', meta: { tags: ['x', 'y'] } }, { q: 'Why?' }] });
+    const { sections } = await parser.extract(Buffer.from(json), { fileType: 'json' });
+
+    expect(sections[0].records.map(r => r.text)).toEqual([
+      'q: How?; a: Like this; meta.tags: x, y',
+      'q: Why?'
+    ]);
+  });
+
+  test('extracts PPTX slides with speaker notes in presentation order', async () => {
+    const shape = (text, type) => `<p:sp><p:nvSpPr><p:nvPr>${type ? `<p:ph type="${type}"/>` : ''}</p:nvPr></p:nvSpPr>` +
+      `<p:txBody><a:p><a:r><a:t>${text}</a:t></a:r></a:p></p:txBody></p:sp>`;
+    const slide = (body) => `<p:sld xmlns:p="p" xmlns:a="a"><p:cSld><p:spTree>${body}</p:spTree></p:cSld></p:sld>`;
+    const rel = (id, type, target) => `<Relationship Id="${id}" Type="http://x/${type}" Target="${target}"/>`;
+
+    const zip = new JSZip();
+    zip.file('ppt/presentation.xml', '<p:presentation xmlns:p="p" xmlns:r="r"><p:sldIdLst><p:sldId r:id="rId2"/><p:sldId r:id="rId1"/></p:sldIdLst></p:presentation>');
+    zip.file('ppt/_rels/presentation.xml.rels', `<Relationships>${rel('rId1', 'slide', 'slides/slide1.xml')}${rel('rId2', 'slide', 'slides/slide2.xml')}</Relationships>`);
+    zip.file('ppt/slides/slide1.xml', slide(shape('Pricing', 'title') + shape('Plans start at $10')));
+    zip.file('ppt/slides/slide2.xml', slide(shape('Welcome', 'ctrTitle')));
+    zip.file('ppt/slides/_rels/slide1.xml.rels', `<Relationships>${rel('rId3', 'notesSlide', '../notesSlides/notesSlide1.xml')}</Relationships>`);
+    zip.file('ppt/notesSlides/notesSlide1.xml', slide(shape('Mention the discount', 'body') + shape('2', 'sldNum')));
+
+    const parser = new DocumentParser();
+    const { sections } = await parser.extract(await zip.generateAsync({ type: 'nodebuffer' }), { fileType: 'pptx' });
+
+    expect(sections.map(s => s.metadata)).toEqual([
+      { slideNumber: 1, slideTitle: 'Welcome' },
+      { slideNumber: 2, slideTitle: 'Pricing' }
+    ]);
+    expect(sections[1].text).toBe('Slide 2: Pricing Plans start at $10 Speaker notes: Mention the discount');
+  });
+
+  test('extracts ODT paragraphs grouped under their headings', async () => {
+    const zip = new JSZip();
+    zip.file('content.xml', '<office:document-content xmlns:office="o" xmlns:text="t"><office:body><office:text>' +
+      '<text:p>Preface</text:p><text:h text:outline-level="1">Terms</text:h><text:p>First<text:s/>clause</text:p>' +
+      '<text:h text:outline-level="2">Payment</text:h><text:p>Net 30</text:p></office:text></office:body></office:document-content>');
+
+    const parser = new DocumentParser();
+    const { sections } = await parser.extract(await zip.generateAsync({ type: 'nodebuffer' }), { fileType: 'odt' });
+
+    expect(sections.map(s => s.metadata.sectionPath)).toEqual([undefined, 'Terms', 'Terms > Payment']);
+    expect(sections[1].records).toEqual([{ row: 2, text: 'Terms' }, { row: 3, text: 'First clause' }]);
+    expect(sections[1].unit).toBe('paragraph');
+  });
+
+  test('extracts RTF paragraphs and skips formatting tables', async () => {
+    const rtf = String.raw`{\rtf1\ansi{\fonttbl{\f0 Arial;}}{\*\generator Writer;}\f0 Caf\'e9 menu\par Second \u8212? line\par}`;
+    const parser = new DocumentParser();
+    const { sections } = await parser.extract(Buffer.from(rtf, 'latin1'), { fileType: 'rtf' });
+
+    expect(sections[0].records).toEqual([
+      { row: 1, text: 'Café menu' },
+      { row: 2, text: 'Second — line' }
+    ]);
+  });
+
+  test('extracts PDF text page by page without running headers and footers', async () => {
+    const bodies = ['Leave requests go to your manager.', 'Expenses are reimbursed monthly.', 'Laptops are replaced every three years.'];
+    const pdf = buildPdf(bodies.map((body, i) => ['ACME Handbook', body, `Page ${i + 1} of 3`]));
+    const { sections } = await new DocumentParser().extract(pdf, { fileType: 'pdf' });
+
+    expect(sections[0].unit).toBe('page');
+    expect(sections[0].records).toEqual(bodies.map((text, i) => ({ row: i + 1, text })));
+  });
+
+  test('renders PDF table columns as a Markdown table', async () => {
+    const pdf = buildPdf([['Prices for 2024:', ['Plan', 'Seats', 'Price'], ['Basic', '1', '$5'], ['Pro', '10', '$40'], 'Prices exclude VAT.']]);
+    const { sections } = await new DocumentParser().extract(pdf, { fileType: 'pdf' });
+
+    expect(sections[0].records[0].text).toBe([
+      'Prices for 2024:',
+      '',
+      '| Plan | Seats | Price |',
+      '| --- | --- | --- |',
+      '| Basic | 1 | $5 |',
+      '| Pro | 10 | $40 |',
+      '',
+      'Prices exclude VAT.'
+    ].join('\n'));
+  });
+
+  test('only strips margin lines that repeat on most pages', () => {
+    const pages = [
+      'Confidential\nIntro\nConfidential matters are described below\n1',
+      'Confidential\nScope\n2',
+      'Terms\nConfidential\n3',
+      'Confidential\nNotes\n4'
+    ];
+
+    expect(removeRepeatedMargins(pages)).toEqual([
+      'Intro\nConfidential matters are described below',
+      'Scope',
+      'Terms',
+      'Notes'
+    ]);
+    expect(removeRepeatedMargins(['Title\nOne', 'Title\nTwo'])).toEqual(['Title\nOne', 'Title\nTwo']);
+  });
+
+  test('splits an mbox into messages that share a thread id', async () => {
+    const mbox = [
+      'From alice@example.com Mon Jan  1 10:00:00 2024',
+      'Message-ID: <root@example.com>',
+      'From: Alice <alice@example.com>',
+      'To: support@example.com',
+      'Subject: Printer broken',
+      'Date: Mon, 1 Jan 2024 10:00:00 +0000',
+      '',
+      'Error 42 on the printer.',
+      '>From the manual nothing helps.',
+      '',
+      'From support@example.com Mon Jan  1 11:00:00 2024',
+      'Message-ID: <reply@example.com>',
+      'In-Reply-To: <root@example.com>',
+      'References: <root@example.com>',
+      'From: Support <support@example.com>',
+      'To: alice@example.com',
+      'Subject: Re: Printer broken',
+      'Date: Mon, 1 Jan 2024 11:00:00 +0000',
+      '',
+      'Reset the fuser.',
+      '',
+      'On Mon, Jan 1, 2024 Alice wrote:',
+      '> Error 42 on the printer.',
+      ''
+    ].join('\n');
+
+    const parser = new DocumentParser();
+    const { sections } = await parser.extract(Buffer.from(mbox), { fileType: 'mbox' });
+
+    expect(sections).toHaveLength(2);
+    expect(sections[0].text).toContain('From the manual nothing helps.');
+    expect(sections[1].text).toContain('Reset the fuser.');
+    expect(sections[1].text).not.toContain('Error 42');
+    expect(sections[1].metadata).toMatchObject({
+      messageIndex: 2,
+      subject: 'Re: Printer broken',
+      date: '2024-01-01T11:00:00.000Z',
+      threadId: sections[0].metadata.threadId
+    });
+  });
+
+  test('strips quoted replies and signatures from email bodies', () => {
+    expect(stripQuotedReply('Thanks!\n\n-- \nBob\nACME')).toBe('Thanks!');
+    expect(stripQuotedReply('Sounds good.\n\n-----Original Message-----\nFrom: Ann\nold text')).toBe('Sounds good.');
+    expect(stripQuotedReply('Inline reply\n> quoted\nmore')).toBe('Inline reply\nmore');
+    expect(splitMbox('From a@b Mon\nSubject: x\n\nbody\n>From here')).toEqual(['Subject: x\n\nbody\nFrom here']);
+  });
+
+  test('keeps source code indentation and records its language', async () => {
+    const parser = new DocumentParser();
+    const { sections } = await parser.extract(Buffer.from('def run():\r\n    return 1   \r\n'), { fileType: 'py' });
+
+    expect(sections).toEqual([{ format: 'code', metadata: { language: 'python' }, text: 'def run():\n    return 1' }]);
+  });
+});
@@ -0,0 +1,150 @@
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { DocumentService } from '../src/services/documentService.js';
+import { vectorService } from '../src/services/vectorService.js';
+import { embeddingService } from '../src/services/embeddingService.js';
+import { JsonFileStore } from '../src/utils/jsonStore.js';
+import { LocalBlobStore } from '../src/utils/blobStore.js';
+import { buildOutline, diffOutlines } from '../src/utils/versionDiff.js';
+
+describe('DocumentService versioning', () => {
+  let directory;
+  let stored;
+  let service;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'dke-versions-'));
+    stored = [];
+    service = new DocumentService();
+    service.versionStore = new JsonFileStore(directory);
+    service.jobStore = new JsonFileStore(path.join(directory, 'jobs'));
+    service.blobStore = new LocalBlobStore({ directory: path.join(directory, 'originals') });
+
+    // Only the equality lookups used by versioning; hash and fingerprint lookups find nothing
+    jest.spyOn(vectorService, 'getDocumentsByMetadata').mockImplementation(async ({ documentId }, { limit } = {}) => {
+      const found = documentId ? stored.filter(doc => doc.metadata.documentId === documentId) : [];
+      return limit ? found.slice(0, limit) : found;
+    });
+    jest.spyOn(vectorService, 'addDocuments').mockImplementation(async docs => { stored.push(...docs); });
+    jest.spyOn(vectorService, 'deleteMultipleDocuments').mockImplementation(async ids => { stored = stored.filter(doc => !ids.includes(doc.id)); });
+    jest.spyOn(embeddingService, 'generateEmbeddings').mockImplementation(async texts => texts.map(() => [0.1, 0.2]));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const markdown = (sections) => Buffer.from(Object.entries(sections).map(([title, body]) => `# ${title}\n\n${body}`).join('\n\n'));
+
+  test('swaps the chunk set and keeps the version trail in metadata', async () => {
+    const first = await service.processDocumentBuffer(
+      markdown({ Leave: 'Ten days.', Travel: 'Economy only.' }), 'policy.md', { title: 'Policy' });
+    const second = await service.processDocumentBuffer(
+      markdown({ Leave: 'Twelve days.', Travel: 'Economy only.', Remote: 'Two days a week.' }), 'policy.md', {},
+      { documentId: first.documentId });
+
+    expect(second).toMatchObject({ documentId: first.documentId, status: 'replaced', version: 2 });
+    expect(stored).toHaveLength(3);
+    expect(stored.every(doc => doc.id.startsWith(`${first.documentId}-v2-chunk-`))).toBe(true);
+    expect(stored[0].metadata).toMatchObject({ version: 2, previousVersions: [1], title: 'Policy' });
+
+    const history = await service.getVersionHistory(first.documentId);
+    expect(history.currentVersion).toBe(2);
+    expect(history.versions.map(v => v.version)).toEqual([1, 2]);
+
+    const diff = service.getVersionDiff(first.documentId);
+    expect(diff.summary).toEqual({ added: 1, removed: 0, changed: 1, unchanged: 1 });
+    expect(diff.added).toEqual(['Remote']);
+    expect(diff.changed).toEqual(['Leave']);
+  });
+
+  test('reprocesses the stored original with new chunking options', async () => {
+    const upload = markdown({ Leave: 'Ten days. '.repeat(40), Travel: 'Economy only.' });
+    const first = await service.processDocumentBuffer(upload, 'policy.md', { title: 'Policy' }, { mimeType: 'text/markdown' });
+
+    const original = await service.getOriginalFile(first.documentId);
+    expect(original.buffer.equals(upload)).toBe(true);
+    expect(original.metadata).toMatchObject({ originalName: 'policy.md', mimeType: 'text/markdown' });
+
+    const job = await service.reprocessDocument(first.documentId, { chunkSize: 150, chunkOverlap: 30 });
+    while (!['completed', 'failed'].includes(service.getProcessingStatus(job.jobId).status)) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+
+    expect(service.getProcessingStatus(job.jobId).result).toMatchObject({ status: 'replaced', version: 2 });
+    expect(stored.length).toBeGreaterThan(first.stats.chunkCount);
+    expect(stored.every(doc => doc.metadata.version === 2 && doc.metadata.maxChunkSize === 150)).toBe(true);
+    expect(stored[0].metadata.title).toBe('Policy');
+    expect((await service.getOriginalFile(first.documentId, 1)).buffer.equals(upload)).toBe(true);
+    expect(await service.reprocessDocument('missing')).toBeNull();
+  });
+
+  test('records per-upload chunking settings and reprocesses with them', async () => {
+    const upload = Buffer.from('First point. Second point. '.repeat(20));
+    const chunking = { strategy: 'sentence', chunkSize: 120, chunkOverlap: 0 };
+    const first = await service.processDocumentBuffer(upload, 'notes.txt', {}, { chunking });
+
+    expect(stored.every(doc => doc.metadata.chunkStrategy === 'sentence' && doc.metadata.maxChunkSize === 120)).toBe(true);
+    expect((await service.getVersionHistory(first.documentId)).versions[0].chunking).toEqual(chunking);
+
+    const job = await service.reprocessDocument(first.documentId);
+    while (!['completed', 'failed'].includes(service.getProcessingStatus(job.jobId).status)) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+
+    expect(stored.every(doc => doc.metadata.version === 2 && doc.metadata.chunkStrategy === 'sentence')).toBe(true);
+  });
+
+  test('records the chunk size and overlap each strategy resolved', async () => {
+    const upload = Buffer.from('Word after word in a long running paragraph. '.repeat(30));
+
+    const byChars = await service.processDocumentBuffer(upload, 'chars.txt', {}, { chunking: { chunkSize: 300, chunkOverlap: 40 } });
+    const charChunks = stored.filter(doc => doc.metadata.documentId === byChars.documentId);
+    expect(charChunks.every(doc => doc.metadata.maxChunkSize === 300 && doc.metadata.chunkOverlap === 40)).toBe(true);
+
+    const byTokens = await service.processDocumentBuffer(upload, 'tokens.txt', {}, {
+      chunking: { strategy: 'token', chunkSize: 64, chunkOverlap: 16 },
+      onDuplicate: 'keep'
+    });
+    const tokenChunks = stored.filter(doc => doc.metadata.documentId === byTokens.documentId);
+    expect(tokenChunks.length).toBeGreaterThan(1);
+    tokenChunks.forEach(doc => expect(doc.metadata).toMatchObject({
+      chunkStrategy: 'token', maxChunkTokens: 64, chunkOverlapTokens: 16, maxChunkSize: 192, chunkOverlap: 48
+    }));
+    expect((await service.getVersionHistory(byTokens.documentId)).versions[0].chunking)
+      .toEqual({ strategy: 'token', chunkSize: 64, chunkOverlap: 16 });
+  });
+
+  test('chunks a plain-text upload on its paragraph breaks', async () => {
+    const paragraphs = ['Leave', 'Travel', 'Expenses', 'Equipment']
+      .map(topic => `${topic} rules apply to every team and\nevery office. `.repeat(6).trim());
+    const upload = Buffer.from(paragraphs.join('\r\n\r\n'));
+
+    const result = await service.processDocumentBuffer(upload, 'policy.txt', {}, { chunking: { strategy: 'paragraph' } });
+
+    const chunks = stored.filter(doc => doc.metadata.documentId === result.documentId);
+    expect(chunks.map(doc => doc.text)).toEqual(paragraphs.map(paragraph => paragraph.replace(/\s+/g, ' ')));
+    expect(chunks.every(doc => doc.metadata.chunkStrategy === 'paragraph')).toBe(true);
+  });
+
+  test('rejects revisions of unknown documents', async () => {
+    await expect(service.processDocumentBuffer(Buffer.from('text'), 'a.txt', {}, { documentId: 'missing' }))
+      .rejects.toThrow('Document with ID missing not found');
+    expect(stored).toHaveLength(0);
+  });
+
+  test('diffOutlines compares unstructured chunks by content', () => {
+    const from = buildOutline([{ text: 'alpha', metadata: {} }, { text: 'beta', metadata: {} }]);
+    const to = buildOutline([{ text: 'alpha', metadata: {} }, { text: 'gamma', metadata: {} }]);
+
+    expect(diffOutlines(from, to)).toEqual({
+      summary: { added: 1, removed: 1, changed: 0, unchanged: 1 },
+      added: ['gamma'],
+      removed: ['beta'],
+      changed: []
+    });
+  });
+});
@@ -0,0 +1,40 @@
+import JSZip from 'jszip';
+import { detectMimeType, decodeText, inspectFileContent } from '../src/utils/fileContent.js';
+
+describe('fileContent', () => {
+  test('detects formats from magic bytes, telling Office zips apart', async () => {
+    const docx = new JSZip();
+    docx.file('[Content_Types].xml', '<Types/>');
+    docx.file('word/document.xml', '<w:document/>');
+
+    expect(detectMimeType(Buffer.from('%PDF-1.7\n...'))).toBe('application/pdf');
+    expect(detectMimeType(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00]))).toBe('image/png');
+    expect(detectMimeType(await docx.generateAsync({ type: 'nodebuffer' })))
+      .toBe('application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+    expect(detectMimeType(Buffer.from('just some text'))).toBeNull();
+  });
+
+  test('decodes UTF-8, UTF-16 with and without a byte order mark, and Latin-1', () => {
+    expect(decodeText(Buffer.from('Grüße'))).toEqual({ text: 'Grüße', encoding: 'utf-8' });
+    expect(decodeText(Buffer.from('﻿Grüße', 'utf16le'))).toEqual({ text: 'Grüße', encoding: 'utf-16le' });
+    expect(decodeText(Buffer.from('plain words', 'utf16le').swap16())).toEqual({ text: 'plain words', encoding: 'utf-16be' });
+    expect(decodeText(Buffer.from('Grüße', 'latin1'))).toEqual({ text: 'Grüße', encoding: 'latin1' });
+  });
+
+  test('converts text uploads to UTF-8 and records what was detected', () => {
+    const result = inspectFileContent(Buffer.from('Café menu', 'latin1'), 'md');
+
+    expect(result.buffer.toString('utf8')).toBe('Café menu');
+    expect(result).toMatchObject({ detectedMimeType: 'text/markdown', encoding: 'latin1' });
+  });
+
+  test('rejects content that does not match the extension or is not text', () => {
+    const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0x00]);
+    const binary = Buffer.from(Array.from({ length: 1024 }, (_, i) => (i * 37) % 256));
+
+    expect(() => inspectFileContent(png, 'txt')).toThrow(expect.objectContaining({ code: 'UNSUPPORTED_CONTENT' }));
+    expect(() => inspectFileContent(Buffer.from('not really a pdf'), 'pdf')).toThrow(/not a valid \.pdf/);
+    expect(() => inspectFileContent(binary, 'txt')).toThrow(/does not look like text/);
+    expect(inspectFileContent(Buffer.from('%PDF-1.4'), 'pdf').detectedMimeType).toBe('application/pdf');
+  });
+});
@@ -0,0 +1,15 @@
+import { RAGService } from '../src/services/ragService.js';
+
+describe('RAGService sources', () => {
+  test('cite PDF pages with a deep link and describe other locations', () => {
+    const service = new RAGService();
+    const sources = service.formatSources([
+      { id: 'a', text: 'Leave policy', relevance: 0.9, metadata: { source: 'handbook.pdf', pageStart: 12, pageEnd: 13 } },
+      { id: 'b', text: 'Row data', relevance: 0.8, metadata: { source: 'data.csv', rowStart: 4, rowEnd: 4 } }
+    ]);
+
+    expect(sources[0]).toMatchObject({ location: 'pages 12-13', pageStart: 12, pageEnd: 13, link: 'handbook.pdf#page=12' });
+    expect(sources[1]).toMatchObject({ location: 'row 4' });
+    expect(sources[1]).not.toHaveProperty('link');
+  });
+});
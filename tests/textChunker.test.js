@@ -1,4 +1,5 @@
 import { TextChunker } from '../src/utils/textChunker.js';
+import { WordPieceTokenizer } from '../src/utils/tokenizer.js';
 
 describe('TextChunker', () => {
   test('returns whole text if shorter than maxChunkSize', () => {
@@ -20,4 +21,190 @@ describe('TextChunker', () => {
     const chunks = chunker.chunkBySentences(text);
     chunks.forEach(c => expect(c.length).toBeLessThanOrEqual(31));
   });
+
+  test('paragraph and sentence strategies cut prose sections and keep punctuation', async () => {
+    const sections = [
+      { text: 'Is it open? Yes, daily.\n\nClosed on Sundays! Call ahead.', metadata: {} },
+      { format: 'code', text: 'const a = 1;\nconst b = 2;', metadata: { language: 'javascript' } }
+    ];
+
+    const byParagraph = await new TextChunker({ strategy: 'paragraph' }).chunkDocument(sections);
+    const bySentence = await new TextChunker({ strategy: 'sentence', maxChunkSize: 30 }).chunkDocument(sections);
+
+    expect(byParagraph.map(c => c.text)).toEqual(['Is it open? Yes, daily.', 'Closed on Sundays! Call ahead.', 'const a = 1;\nconst b = 2;']);
+    expect(bySentence.map(c => c.text)).toEqual(['Is it open? Yes, daily.', 'Closed on Sundays! Call ahead.', 'const a = 1;\nconst b = 2;']);
+    expect(new TextChunker({ strategy: 'token' }).tokenizer).not.toBeNull();
+  });
+
+  test('splitMarkdown keeps fenced code blocks intact', () => {
+    const chunker = new TextChunker({ maxChunkSize: 80, overlapSize: 10 });
+    const code = '```js\nconst a = 1;\n  if (a) {\n    run();\n  }\n```';
+    const text = `Intro paragraph that is long enough to fill most of the chunk.\n\n${code}\n\nOutro.`;
+    const chunks = chunker.splitMarkdown(text);
+    expect(chunks.some(c => c.includes(code))).toBe(true);
+    chunks.forEach(c => expect(c.length).toBeLessThanOrEqual(80));
+  });
+
+  test('splitMarkdown re-fences oversized code blocks on line boundaries', () => {
+    const chunker = new TextChunker({ maxChunkSize: 40 });
+    const lines = Array.from({ length: 10 }, (_, i) => `line_${i}();`);
+    const chunks = chunker.splitMarkdown(['```py', ...lines, '```'].join('\n'));
+    expect(chunks.length).toBeGreaterThan(1);
+    chunks.forEach(c => {
+      expect(c.startsWith('```py\n')).toBe(true);
+      expect(c.endsWith('\n```')).toBe(true);
+    });
+    expect(chunks.join('\n')).toContain('line_9();');
+  });
+
+  test('splitMarkdown keeps list items on their own lines', () => {
+    const chunker = new TextChunker({ maxChunkSize: 60, overlapSize: 10 });
+    const chunks = chunker.splitMarkdown('## Steps\n\n1. Install   it\n  - Linux\n2. Run\n\nDone.');
+    expect(chunks).toEqual(['## Steps\n\n1. Install it\n  - Linux\n2. Run\n\nDone.']);
+  });
+
+  test('keeps tables whole when they fit and repeats the header when split', () => {
+    const rows = Array.from({ length: 8 }, (_, i) => `| Item ${i} | ${i * 10} |`);
+    const table = ['| Item | Price |', '| --- | --- |', ...rows].join('\n');
+    const chunker = new TextChunker({ maxChunkSize: 100, overlapSize: 10 });
+
+    const chunks = chunker.chunkSections([{ text: table, format: 'markdown', metadata: {} }]);
+    expect(chunks.length).toBeGreaterThan(1);
+    chunks.forEach(chunk => {
+      expect(chunk.text).toContain('| Item | Price |\n| --- | --- |');
+      expect(chunk.metadata.containsTable).toBe(true);
+      expect(chunk.text.length).toBeLessThanOrEqual(100);
+    });
+    expect(chunks.map(chunk => chunk.text).join('\n')).toContain('| Item 7 | 70 |');
+
+    const whole = new TextChunker({ maxChunkSize: 300 }).splitMarkdown(`Prices:\n\n${table}\n\nThanks.`);
+    expect(whole).toEqual([`Prices:\n\n${table}\n\nThanks.`]);
+  });
+
+  test('chunkSections carries section metadata onto each chunk', () => {
+    const chunker = new TextChunker({ maxChunkSize: 100 });
+    const chunks = chunker.chunkSections([
+      { text: 'first', metadata: { sectionPath: 'A' } },
+      { text: '## B\n\nsecond', format: 'markdown', metadata: { sectionPath: 'A > B' } }
+    ]);
+    expect(chunks).toEqual([
+      { text: 'first', metadata: { sectionPath: 'A', charStart: 0, charEnd: 5 } },
+      { text: '## B\n\nsecond', metadata: { sectionPath: 'A > B', charStart: 7, charEnd: 19 } }
+    ]);
+  });
+
+  test('splitRecords cuts on row boundaries and repeats the header', () => {
+    const chunker = new TextChunker({ maxChunkSize: 80 });
+    const records = [1, 2, 3, 4].map(row => ({ row, columns: ['id', 'name'], text: `id: ${row}; name: item ${row}` }));
+    const chunks = chunker.splitRecords(records, 'Columns: id, name');
+
+    expect(chunks.length).toBeGreaterThan(1);
+    chunks.forEach(chunk => {
+      expect(chunk.text.startsWith('Columns: id, name\n')).toBe(true);
+      expect(chunk.text.length).toBeLessThanOrEqual(80);
+    });
+    expect(chunks[0].metadata).toEqual({ rowStart: 1, rowEnd: 3, columns: ['id', 'name'] });
+    expect(chunks[chunks.length - 1].metadata.rowEnd).toBe(4);
+  });
+
+  test('splitCode cuts on top-level declarations and keeps indentation', () => {
+    const source = [
+      "import fs from 'fs';",
+      '',
+      '// Reads the config',
+      'export function load(path) {',
+      '  if (!path) {',
+      '    return {};',
+      '  }',
+      "  return JSON.parse(fs.readFileSync(path, 'utf8'));",
+      '}',
+      '',
+      'export class Store {',
+      '  constructor() {',
+      '    this.items = new Map();',
+      '  }',
+      '',
+      '  get(key) {',
+      '    return this.items.get(key);',
+      '  }',
+      '}'
+    ].join('\n');
+
+    const chunks = new TextChunker({ maxChunkSize: 160 }).splitCode(source, 'javascript');
+
+    expect(chunks.map(c => c.metadata)).toEqual([
+      { lineStart: 1, lineEnd: 9, symbolName: 'load' },
+      { lineStart: 11, lineEnd: 19, symbolName: 'Store' }
+    ]);
+    expect(chunks[0].text).toContain('// Reads the config\nexport function load(path) {\n  if (!path) {');
+  });
+
+  test('splitCode splits oversized classes at their methods', () => {
+    const source = [
+      'class Greeter:',
+      '    """Says hello."""',
+      '',
+      '    def hello(self, name):',
+      "        return f'Hello {name}'",
+      '',
+      '    @staticmethod',
+      '    def bye():',
+      "        return 'Bye'"
+    ].join('\n');
+
+    const chunks = new TextChunker({ maxChunkSize: 80 }).splitCode(source, 'python');
+
+    expect(chunks.map(c => c.metadata.symbolName)).toEqual(['Greeter', 'Greeter.hello', 'Greeter.bye']);
+    expect(chunks[2].text).toBe("    @staticmethod\n    def bye():\n        return 'Bye'");
+    expect(chunks[2].metadata).toMatchObject({ lineStart: 7, lineEnd: 9 });
+  });
+
+  test('chunkSections records offsets that rebuild the text without the overlap', () => {
+    const sentences = Array.from({ length: 40 }, (_, i) => `Sentence number ${i} talks about topic ${i % 7}.`);
+    const chunker = new TextChunker({ maxChunkSize: 300, overlapSize: 60 });
+    const chunks = chunker.chunkSections([
+      { text: sentences.join(' '), metadata: {} },
+      { text: 'Closing notes.', metadata: {} }
+    ]);
+
+    const { text, offsets } = chunker.stitchChunks(chunks);
+    expect(text).toBe(`${sentences.join(' ')}\n\nClosing notes.`);
+    expect(offsets[1].overlapChars).toBeGreaterThanOrEqual(20);
+    expect(offsets[offsets.length - 1].overlapChars).toBe(0);
+    chunks.forEach(chunk => {
+      expect(text.substring(chunk.metadata.charStart, chunk.metadata.charEnd)).toBe(chunk.text);
+    });
+  });
+
+  test('token mode keeps chunks within the token window and overlaps them by tokens', () => {
+    const tokenizer = new WordPieceTokenizer();
+    const text = Array.from({ length: 30 }, (_, i) => `Sentence ${i} covers topic ${i % 5} in some detail.`).join(' ');
+    const chunker = new TextChunker({ tokenizer, maxTokens: 40, overlapTokens: 12 });
+
+    const chunks = chunker.chunkSections([{ text, metadata: {} }]);
+    expect(chunks.length).toBeGreaterThan(1);
+    chunks.forEach(chunk => expect(tokenizer.countTokens(chunk.text)).toBeLessThanOrEqual(40));
+    chunks.slice(0, -1).forEach(chunk => expect(chunk.text.endsWith('detail.')).toBe(true));
+    expect(chunker.stitchChunks(chunks).text).toBe(text);
+  });
+
+  test('semantic strategy cuts where neighbouring sentences stop being similar', async () => {
+    const topics = ['Cats', 'Rain', 'Tax'];
+    const text = topics.flatMap(topic => [0, 1, 2, 3].map(i => `${topic} sentence number ${i}.`)).join(' ');
+    // Stand-in embedding: how often each topic is mentioned
+    const embed = async texts => texts.map(t => topics.map(topic => t.split(topic).length - 1));
+    const chunker = new TextChunker({ strategy: 'semantic', embed, maxChunkSize: 200, minChunkSize: 20 });
+
+    const chunks = await chunker.chunkDocument([
+      { text, metadata: {} },
+      { text: '## List\n\n- one\n- two', format: 'markdown', metadata: {} }
+    ]);
+    expect(chunks.map(chunk => chunk.text)).toEqual([
+      ...topics.map(topic => [0, 1, 2, 3].map(i => `${topic} sentence number ${i}.`).join(' ')),
+      '## List\n\n- one\n- two'
+    ]);
+
+    const capped = await new TextChunker({ strategy: 'semantic', embed, maxChunkSize: 60, minChunkSize: 10 }).chunkBySemantics(text);
+    capped.forEach(chunk => expect(chunk.length).toBeLessThanOrEqual(60));
+  });
 });
@@ -0,0 +1,32 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { WordPieceTokenizer } from '../src/utils/tokenizer.js';
+
+describe('WordPieceTokenizer', () => {
+  test('splits words into the longest vocabulary pieces', () => {
+    const tokenizer = new WordPieceTokenizer({ vocab: new Set(['[UNK]', 'the', 'token', '##izer', 'un', '##aff', '##able', 'cafe', '.']) });
+
+    expect(tokenizer.words('The tokenizer, unaffable.').map(word => word.tokens)).toEqual([1, 2, 1, 3, 1]);
+    expect(tokenizer.countTokens('Café xyzzy')).toBe(2);
+    expect(tokenizer.exact).toBe(true);
+  });
+
+  test('loads vocab.txt and tokenizer.json files and estimates without a vocabulary', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dke-tokenizer-'));
+    fs.writeFileSync(path.join(dir, 'vocab.txt'), '[UNK]\nhello\n##s\n');
+    fs.writeFileSync(path.join(dir, 'tokenizer.json'), JSON.stringify({ model: { type: 'WordPiece', vocab: { hello: 0, '##s': 1 } } }));
+
+    try {
+      expect(WordPieceTokenizer.fromFile(path.join(dir, 'vocab.txt')).countTokens('hellos')).toBe(2);
+      expect(WordPieceTokenizer.fromFile(path.join(dir, 'tokenizer.json')).countTokens('Hellos hello')).toBe(3);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    const estimate = new WordPieceTokenizer();
+    expect(estimate.countTokens('internationalization is hard')).toBe(7 + 1 + 2);
+    expect(estimate.countTokens('id 3f9a2b7c')).toBe(1 + 8);
+    expect(estimate.countTokens('привет')).toBe(6);
+  });
+});
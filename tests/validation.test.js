@@ -1,4 +1,5 @@
-import { validateRAGQuery, validateDocumentMetadata } from '../src/middleware/validation.js';
+import { jest } from '@jest/globals';
+import { validateRAGQuery, validateDocumentMetadata, validateBatchMetadata, validateMetadataUpdate, validateDocumentListQuery, checkChunkingOptions } from '../src/middleware/validation.js';
 
 const mock = () => {
   const req = { body: {}, query: {} };
@@ -34,9 +35,30 @@ describe('validation middleware', () => {
       expect(next).toHaveBeenCalled();
       expect(req.body.documentId).toBe('abc-123');
     });
+
+    test('accepts threadId and rejects non-string threadId', () => {
+      const { req, res, next } = mock();
+      req.body = { query: 'ok query', threadId: ' 78a08a38552d62a3 ' };
+      validateRAGQuery(req, res, next);
+      expect(next).toHaveBeenCalled();
+      expect(req.body.threadId).toBe('78a08a38552d62a3');
+
+      const bad = mock();
+      bad.req.body = { query: 'ok query', threadId: 42 };
+      validateRAGQuery(bad.req, bad.res, bad.next);
+      expect(bad.res.status).toHaveBeenCalledWith(400);
+    });
   });
 
   describe('validateDocumentMetadata', () => {
+    test('rejects an unknown onDuplicate policy', () => {
+      const { req, res, next } = mock();
+      req.body = { onDuplicate: 'merge' };
+      validateDocumentMetadata(req, res, next);
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(next).not.toHaveBeenCalled();
+    });
+
     test('accepts comma-separated tags', () => {
       const { req, res, next } = mock();
       req.body = { title: 't', description: 'd', tags: 'a, b , c' };
@@ -61,4 +83,80 @@ describe('validation middleware', () => {
       expect(next).not.toHaveBeenCalled();
     });
   });
+
+  describe('validateMetadataUpdate', () => {
+    test('accepts custom fields and rejects server-managed ones', () => {
+      const ok = mock();
+      ok.req.body = { title: 'New', department: 'HR', reviewed: true };
+      validateMetadataUpdate(ok.req, ok.res, ok.next);
+      expect(ok.next).toHaveBeenCalled();
+
+      const bad = mock();
+      bad.req.body = { documentId: 'other' };
+      validateMetadataUpdate(bad.req, bad.res, bad.next);
+      expect(bad.res.status).toHaveBeenCalledWith(400);
+      expect(bad.next).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('validateDocumentListQuery', () => {
+    test('accepts catalog sort fields and rejects unknown ones, bad cursors and dates', () => {
+      const ok = mock();
+      ok.req.query = { sortBy: 'chunkCount', order: 'asc', createdAfter: '2025-01-01' };
+      validateDocumentListQuery(ok.req, ok.res, ok.next);
+      expect(ok.next).toHaveBeenCalled();
+
+      for (const query of [{ sortBy: 'text' }, { order: 'up' }, { cursor: 'not-a-cursor' }, { createdBefore: 'yesterday' }]) {
+        const bad = mock();
+        bad.req.query = query;
+        validateDocumentListQuery(bad.req, bad.res, bad.next);
+        expect(bad.res.status).toHaveBeenCalledWith(400);
+        expect(bad.next).not.toHaveBeenCalled();
+      }
+    });
+  });
+
+  describe('checkChunkingOptions', () => {
+    test('fills in defaults and bounds the overlap by the chunk size', () => {
+      expect(checkChunkingOptions({})).toEqual({ chunking: null });
+      expect(checkChunkingOptions({ chunkSize: '400' })).toEqual({ chunking: { chunkSize: 400, chunkOverlap: 100 } });
+      expect(checkChunkingOptions({ chunkOverlap: 0 })).toEqual({ chunking: { chunkSize: 1000, chunkOverlap: 0 } });
+      expect(checkChunkingOptions({ chunkSize: 50 }).error).toBe('Invalid chunkSize');
+      expect(checkChunkingOptions({ chunkSize: 400, chunkOverlap: 200 }).error).toBe('Invalid chunkOverlap');
+    });
+
+    test('accepts a chunkStrategy and measures the token strategy in tokens', () => {
+      expect(checkChunkingOptions({ chunkStrategy: 'sentence' })).toEqual({ chunking: { strategy: 'sentence' } });
+      expect(checkChunkingOptions({ chunkStrategy: 'token', chunkSize: '128' }))
+        .toEqual({ chunking: { strategy: 'token', chunkSize: 128, chunkOverlap: 32 } });
+      expect(checkChunkingOptions({ chunkStrategy: 'token', chunkSize: 1000 }).error).toBe('Invalid chunkSize');
+      expect(checkChunkingOptions({ chunkStrategy: 'words' }).error).toBe('Invalid chunkStrategy');
+    });
+  });
+
+  describe('validateBatchMetadata', () => {
+    test('parses per-file metadata keyed by file name', () => {
+      const { req, res, next } = mock();
+      req.body = { fileMetadata: '{"a.txt": {"title": " A ", "tags": "x,y"}}' };
+      validateBatchMetadata(req, res, next);
+      expect(next).toHaveBeenCalled();
+      expect(req.body.fileMetadata).toEqual({ 'a.txt': { title: 'A', tags: ['x', 'y'] } });
+    });
+
+    test('rejects invalid JSON', () => {
+      const { req, res, next } = mock();
+      req.body = { fileMetadata: '[{' };
+      validateBatchMetadata(req, res, next);
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    test('rejects invalid entries', () => {
+      const { req, res, next } = mock();
+      req.body = { fileMetadata: [{ title: 'x'.repeat(201) }] };
+      validateBatchMetadata(req, res, next);
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
 });
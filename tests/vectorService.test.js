@@ -0,0 +1,36 @@
+import { VectorService } from '../src/services/vectorService.js';
+
+describe('VectorService', () => {
+  test('backfills disabled: false on chunks stored without the flag', async () => {
+    const metadatas = [{ documentId: 'doc-1' }, { documentId: 'doc-1', disabled: true }, { documentId: 'doc-2', disabled: false }];
+    const updates = [];
+    const service = new VectorService();
+    service.collection = {
+      count: async () => metadatas.length,
+      get: async () => ({ ids: ['a', 'b', 'c'], metadatas }),
+      update: async params => { updates.push(params); }
+    };
+
+    expect(await service.backfillDisabledFlag()).toBe(1);
+    expect(updates).toEqual([{ ids: ['a'], metadatas: [{ documentId: 'doc-1', disabled: false }] }]);
+
+    metadatas[0].disabled = false;
+    expect(await service.backfillDisabledFlag()).toBe(0);
+    expect(updates).toHaveLength(1);
+  });
+
+  test('searches exclude disabled chunks', async () => {
+    const queries = [];
+    const service = new VectorService();
+    service.collection = {
+      query: async params => {
+        queries.push(params);
+        return { ids: [[]], documents: [[]], metadatas: [[]], distances: [[]] };
+      }
+    };
+
+    await service.searchSimilar([0.1, 0.2], 3, { documentId: 'doc-1' });
+
+    expect(queries[0].where.$and).toEqual(expect.arrayContaining([{ disabled: { $ne: true } }, { documentId: 'doc-1' }]));
+  });
+});